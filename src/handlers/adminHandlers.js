@@ -0,0 +1,472 @@
+const MemoryStore = require('../services/stores/memoryStore');
+const { getLevelCodes } = require('../utils/levels');
+const { CATEGORIES } = require('../utils/categories');
+const {
+  QUESTION_TYPES,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  OPTION_LETTERS,
+  getQuestionType
+} = require('../utils/questionTypes');
+
+// Unfinished wizards are dropped after this many seconds
+const WIZARD_TTL_SECONDS = 15 * 60;
+
+// Maximum number of questions listed in one /listquestions reply
+const LIST_LIMIT = 40;
+
+// Wizard steps of /addquestion, in order
+const ADD_STEPS = ['text', 'options', 'correct', 'level', 'category', 'explanation'];
+
+/**
+ * Admin Handlers
+ * Question bank management for users with the admin role (see RoleService):
+ * /addquestion, /editquestion, /disablequestion, /enablequestion, /listquestions, /reloadquestions.
+ * Wizard buttons use the `adm_` callback prefix.
+ */
+class AdminHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (questionService, roleService)
+   */
+  constructor(bot, services) {
+    this.bot = bot;
+    this.questionService = services.questionService;
+    this.roleService = services.roleService;
+    this.wizards = new MemoryStore(WIZARD_TTL_SECONDS); // userId -> wizard state
+  }
+
+  /**
+   * Check if a user may manage questions
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean}
+   */
+  isAdmin(userId) {
+    return this.roleService.hasRole(userId, 'admin');
+  }
+
+  /**
+   * Run a command handler for admins only; other users get no reply and the attempt is audit-logged
+   */
+  async guard(msg, handler) {
+    const command = msg.text.split(/\s/)[0];
+    if (!this.roleService.authorize(msg.from, 'admin', command, 'main')) {
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      console.error('Error in admin command:', error);
+      await this.bot.sendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle /addquestion: start the step-by-step wizard for a new multiple-choice question
+   */
+  async handleAddQuestion(msg) {
+    const state = {
+      mode: 'add',
+      step: ADD_STEPS[0],
+      complete: false,
+      draft: {}
+    };
+    this.wizards.set(String(msg.from.id), state);
+
+    await this.bot.sendMessage(msg.chat.id, '➕ New question. You can cancel at any step.');
+    await this.sendStepPrompt(msg.chat.id, state);
+  }
+
+  /**
+   * Handle /editquestion <id>: show the question with buttons for each field
+   */
+  async handleEditQuestion(msg, match) {
+    const question = this.getQuestionFromArgument(match[1]);
+
+    const state = {
+      mode: 'edit',
+      questionId: question.id,
+      step: null,
+      complete: true,
+      draft: JSON.parse(JSON.stringify(question))
+    };
+    this.wizards.set(String(msg.from.id), state);
+
+    await this.sendPreview(msg.chat.id, state);
+  }
+
+  /**
+   * Handle /disablequestion <id> and /enablequestion <id>
+   */
+  async handleSetDisabled(msg, match, disabled) {
+    const question = this.getQuestionFromArgument(match[1]);
+    this.questionService.setQuestionDisabled(question.id, disabled);
+
+    await this.bot.sendMessage(msg.chat.id, disabled
+      ? `⛔ Question #${question.id} disabled. It will not be used in new tests.`
+      : `✅ Question #${question.id} enabled.`);
+  }
+
+  /**
+   * Handle /listquestions [filters]
+   * Filters are space-separated: a level code, a category, a question type,
+   * "disabled"/"enabled", and any other words as a text search.
+   */
+  async handleListQuestions(msg, match) {
+    const filters = this.parseListFilters(match[1] || '');
+    const questions = this.questionService.findQuestions(filters);
+
+    if (questions.length === 0) {
+      await this.bot.sendMessage(msg.chat.id, '📭 No questions match these filters.');
+      return;
+    }
+
+    const lines = questions.slice(0, LIST_LIMIT).map(q => {
+      const flag = q.disabled ? '⛔ ' : '';
+      const text = q.text.length > 60 ? `${q.text.slice(0, 57)}...` : q.text;
+      return `${flag}#${q.id} [${q.level}, ${q.category}, ${getQuestionType(q)}] ${text}`;
+    });
+
+    let message = `📋 Questions (${questions.length})\n\n${lines.join('\n')}`;
+    if (questions.length > LIST_LIMIT) {
+      message += `\n\n...and ${questions.length - LIST_LIMIT} more. Add filters to narrow the list.`;
+    }
+
+    // Plain text: question text often contains underscores
+    await this.bot.sendMessage(msg.chat.id, message);
+  }
+
+  /**
+   * Parse /listquestions filter words
+   * @param {string} text - Filter words
+   * @returns {Object} Filters for QuestionService.findQuestions
+   */
+  parseListFilters(text) {
+    const levels = getLevelCodes(this.questionService.levels);
+    const categories = CATEGORIES.map(category => category.code);
+    const types = Object.values(QUESTION_TYPES);
+    const filters = {};
+    const searchWords = [];
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+      const lower = word.toLowerCase();
+
+      if (levels.includes(word.toUpperCase())) {
+        filters.level = word.toUpperCase();
+      } else if (categories.includes(lower)) {
+        filters.category = lower;
+      } else if (types.includes(lower)) {
+        filters.type = lower;
+      } else if (lower === 'disabled' || lower === 'enabled') {
+        filters.disabled = lower === 'disabled';
+      } else {
+        searchWords.push(word);
+      }
+    }
+
+    if (searchWords.length > 0) {
+      filters.text = searchWords.join(' ');
+    }
+
+    return filters;
+  }
+
+  /**
+   * Handle /reloadquestions: re-read questions.json after manual edits
+   */
+  async handleReloadQuestions(msg) {
+    this.questionService.reloadQuestions();
+    const stats = this.questionService.getStats();
+
+    await this.bot.sendMessage(msg.chat.id,
+      `🔄 Reloaded ${stats.total} questions (${stats.disabled} disabled) and ${stats.passages} passages.`);
+  }
+
+  /**
+   * Look up the question given as a command argument
+   * @throws {Error} If the argument is not a known question ID
+   */
+  getQuestionFromArgument(argument) {
+    const id = parseInt(argument);
+    const question = Number.isInteger(id) ? this.questionService.getQuestionById(id) : null;
+
+    if (!question) {
+      throw new Error(argument ? `Question ${argument} not found.` : 'Please give a question ID, e.g. /editquestion 12');
+    }
+
+    return question;
+  }
+
+  /**
+   * Handle a text message that answers the current wizard step
+   * @param {Object} msg - Telegram message
+   * @returns {Promise<boolean>} True if the message was used by a wizard
+   */
+  async handleWizardInput(msg) {
+    const key = String(msg.from.id);
+    const state = this.wizards.get(key);
+
+    if (!state || !this.isAdmin(msg.from.id) || !['text', 'options', 'explanation'].includes(state.step)) {
+      return false;
+    }
+
+    const text = msg.text.trim();
+
+    if (state.step === 'text') {
+      state.draft.text = text;
+    } else if (state.step === 'options') {
+      const options = text.split('\n').map(option => option.trim()).filter(Boolean);
+      if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+        await this.bot.sendMessage(msg.chat.id,
+          `⚠️ Please send ${MIN_OPTIONS}-${MAX_OPTIONS} options, one per line.`);
+        return true;
+      }
+      state.draft.options = options;
+
+      // A changed option list may no longer contain the old correct index
+      if (state.draft.correct >= options.length) {
+        delete state.draft.correct;
+      }
+    } else if (state.step === 'explanation') {
+      state.draft.explanation = text;
+    }
+
+    await this.advanceWizard(msg.chat.id, key, state);
+    return true;
+  }
+
+  /**
+   * Handle adm_ callback queries from wizard buttons
+   * @param {Object} query - Telegram callback query
+   */
+  async handleCallback(query) {
+    const chatId = query.message.chat.id;
+    const key = String(query.from.id);
+    const data = query.data;
+
+    await this.bot.answerCallbackQuery(query.id);
+
+    if (!this.roleService.authorize(query.from, 'admin', data, 'main')) {
+      return;
+    }
+
+    const state = this.wizards.get(key);
+    if (!state) {
+      await this.bot.sendMessage(chatId, '⚠️ This wizard has expired. Start again with /addquestion or /editquestion.');
+      return;
+    }
+
+    try {
+      if (data === 'adm_cancel') {
+        this.wizards.del(key);
+        await this.bot.sendMessage(chatId, '❌ Cancelled. No changes were saved.');
+      } else if (data === 'adm_save') {
+        await this.saveDraft(chatId, key, state);
+      } else if (data === 'adm_skip' && state.step === 'explanation') {
+        delete state.draft.explanation;
+        await this.advanceWizard(chatId, key, state);
+      } else if (data.startsWith('adm_field_')) {
+        state.step = data.substring('adm_field_'.length);
+        this.wizards.set(key, state);
+        await this.sendStepPrompt(chatId, state);
+      } else if (data.startsWith('adm_correct_') && state.step === 'correct') {
+        state.draft.correct = parseInt(data.substring('adm_correct_'.length));
+        await this.advanceWizard(chatId, key, state);
+      } else if (data.startsWith('adm_level_') && state.step === 'level') {
+        state.draft.level = data.substring('adm_level_'.length);
+        await this.advanceWizard(chatId, key, state);
+      } else if (data.startsWith('adm_category_') && state.step === 'category') {
+        state.draft.category = data.substring('adm_category_'.length);
+        await this.advanceWizard(chatId, key, state);
+      }
+    } catch (error) {
+      console.error('Error in admin callback:', error);
+      await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Move the wizard on after a step was answered
+   * New questions go through every step once; after that, and when editing,
+   * each change returns to the preview.
+   */
+  async advanceWizard(chatId, key, state) {
+    if (!state.complete) {
+      const nextStep = ADD_STEPS[ADD_STEPS.indexOf(state.step) + 1];
+      if (nextStep) {
+        state.step = nextStep;
+        this.wizards.set(key, state);
+        await this.sendStepPrompt(chatId, state);
+        return;
+      }
+      state.complete = true;
+    }
+
+    // A shorter option list may have dropped the correct answer
+    if (getQuestionType(state.draft) === QUESTION_TYPES.MULTIPLE_CHOICE && state.draft.correct === undefined) {
+      state.step = 'correct';
+      this.wizards.set(key, state);
+      await this.sendStepPrompt(chatId, state);
+      return;
+    }
+
+    state.step = null;
+    this.wizards.set(key, state);
+    await this.sendPreview(chatId, state);
+  }
+
+  /**
+   * Ask for the value of the current wizard step
+   */
+  async sendStepPrompt(chatId, state) {
+    const { draft } = state;
+    const cancelRow = [{ text: '❌ Cancel', callback_data: 'adm_cancel' }];
+    let text;
+    let keyboard = [cancelRow];
+
+    switch (state.step) {
+      case 'text':
+        text = '✏️ Send the question text. Use ______ for the gap.';
+        break;
+      case 'options':
+        text = `✏️ Send the answer options, one per line (${MIN_OPTIONS}-${MAX_OPTIONS}).`;
+        break;
+      case 'correct':
+        text = '✅ Which option is correct?';
+        keyboard = [
+          ...draft.options.map((option, index) => [{
+            text: `${OPTION_LETTERS[index]}. ${option}`,
+            callback_data: `adm_correct_${index}`
+          }]),
+          cancelRow
+        ];
+        break;
+      case 'level':
+        text = '📶 Choose the level.';
+        keyboard = [
+          getLevelCodes(this.questionService.levels).map(code => ({ text: code, callback_data: `adm_level_${code}` })),
+          cancelRow
+        ];
+        break;
+      case 'category':
+        text = '🏷 Choose the category.';
+        keyboard = [
+          this.getCategoryChoices(draft).map(category => ({
+            text: category.name,
+            callback_data: `adm_category_${category.code}`
+          })),
+          cancelRow
+        ];
+        break;
+      case 'explanation':
+        text = '💡 Send a short explanation shown when users review their mistakes, or skip it.';
+        keyboard = [[{ text: '⏭ Skip', callback_data: 'adm_skip' }], cancelRow];
+        break;
+      default:
+        return;
+    }
+
+    await this.bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  }
+
+  /**
+   * Get the categories a draft may use
+   * Reading and listening need a passage or an audio file, which are edited in questions.json.
+   */
+  getCategoryChoices(draft) {
+    return CATEGORIES.filter(category =>
+      (category.code !== 'reading' || draft.passageId !== undefined) &&
+      (category.code !== 'listening' || draft.audio !== undefined));
+  }
+
+  /**
+   * Show the draft with buttons to change a field, save or cancel
+   */
+  async sendPreview(chatId, state) {
+    const { draft } = state;
+    const type = getQuestionType(draft);
+    const title = state.mode === 'add' ? '📝 New question' : `📝 Question #${state.questionId}`;
+
+    let text = `${title}${draft.disabled ? ' (disabled)' : ''}\n\n`;
+    text += `Type: ${type}\n`;
+    text += `Level: ${draft.level}\n`;
+    text += `Category: ${draft.category}\n\n`;
+    text += `${draft.text}\n`;
+
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      text += '\n' + draft.options
+        .map((option, index) => `${index === draft.correct ? '✅' : '▫️'} ${OPTION_LETTERS[index]}. ${option}`)
+        .join('\n') + '\n';
+    }
+
+    text += `\n💡 ${draft.explanation || '(no explanation)'}`;
+
+    // Options and the correct answer can only be edited here for multiple-choice questions
+    const fields = ['text', 'level', 'category', 'explanation'];
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      fields.splice(1, 0, 'options', 'correct');
+    }
+
+    const fieldButtons = fields.map(field => ({ text: `✏️ ${field}`, callback_data: `adm_field_${field}` }));
+    const keyboard = [];
+    for (let i = 0; i < fieldButtons.length; i += 3) {
+      keyboard.push(fieldButtons.slice(i, i + 3));
+    }
+    keyboard.push([
+      { text: '💾 Save', callback_data: 'adm_save' },
+      { text: '❌ Cancel', callback_data: 'adm_cancel' }
+    ]);
+
+    // Plain text: question text often contains underscores
+    await this.bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  }
+
+  /**
+   * Validate and save the draft
+   * Validation errors are reported and the wizard stays open so the draft can be fixed.
+   */
+  async saveDraft(chatId, key, state) {
+    if (!state.complete) {
+      await this.sendStepPrompt(chatId, state);
+      return;
+    }
+
+    let saved;
+    try {
+      saved = state.mode === 'add'
+        ? this.questionService.addQuestion(state.draft)
+        : this.questionService.updateQuestion(state.questionId, state.draft);
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `⚠️ Not saved: ${error.message}`);
+      return;
+    }
+
+    this.wizards.del(key);
+    await this.bot.sendMessage(chatId, `💾 Question #${saved.id} saved. It will be used in new tests.`);
+  }
+
+  /**
+   * Register admin command and callback handlers
+   */
+  registerHandlers() {
+    this.bot.onText(/^\/addquestion\b/, (msg) => this.guard(msg, () => this.handleAddQuestion(msg)));
+    this.bot.onText(/^\/editquestion\b\s*(\S*)/, (msg, match) =>
+      this.guard(msg, () => this.handleEditQuestion(msg, match)));
+    this.bot.onText(/^\/disablequestion\b\s*(\S*)/, (msg, match) =>
+      this.guard(msg, () => this.handleSetDisabled(msg, match, true)));
+    this.bot.onText(/^\/enablequestion\b\s*(\S*)/, (msg, match) =>
+      this.guard(msg, () => this.handleSetDisabled(msg, match, false)));
+    this.bot.onText(/^\/listquestions\b\s*(.*)/, (msg, match) =>
+      this.guard(msg, () => this.handleListQuestions(msg, match)));
+    this.bot.onText(/^\/reloadquestions\b/, (msg) => this.guard(msg, () => this.handleReloadQuestions(msg)));
+
+    this.bot.on('callback_query', (query) => {
+      if (query.data && query.data.startsWith('adm_')) {
+        return this.handleCallback(query);
+      }
+    });
+  }
+}
+
+module.exports = AdminHandlers;
@@ -1,32 +1,48 @@
-const fs = require('fs');
-const path = require('path');
+const {
+  QUESTION_TYPES,
+  OPTION_LETTERS,
+  getQuestionType,
+  isTextAnswerQuestion,
+  getAcceptedAnswers
+} = require('../utils/questionTypes');
+const { getDisplayName, generateId } = require('../utils/helpers');
 
 /**
  * Callback Handlers
  * Handles inline keyboard callbacks for test flow
  */
 class CallbackHandlers {
-  constructor(bot, sessionService, questionService, assessmentService, monitoringService) {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (sessionService, questionService, assessmentService,
+   *   monitoringService, localeService, audioService, configService, profileService, certificateService, classService, rateLimitService,
+   *   callbackTokenService, updateQueueService, statsService, errorReportService)
+   */
+  constructor(bot, services) {
     this.bot = bot;
-    this.sessionService = sessionService;
-    this.questionService = questionService;
-    this.assessmentService = assessmentService;
-    this.monitoringService = monitoringService;
-    this.config = this.loadConfig();
+    this.sessionService = services.sessionService;
+    this.questionService = services.questionService;
+    this.assessmentService = services.assessmentService;
+    this.monitoringService = services.monitoringService;
+    this.localeService = services.localeService;
+    this.audioService = services.audioService;
+    this.configService = services.configService;
+    this.profileService = services.profileService;
+    this.certificateService = services.certificateService;
+    this.classService = services.classService;
+    this.rateLimitService = services.rateLimitService;
+    this.callbackTokenService = services.callbackTokenService;
+    this.updateQueueService = services.updateQueueService;
+    this.statsService = services.statsService;
+    this.errorReportService = services.errorReportService;
+    this.questionTimers = new Map(); // userId -> pending question timeout
   }
 
   /**
-   * Load configuration
+   * Active configuration (follows reloads)
    */
-  loadConfig() {
-    try {
-      const configPath = path.join(__dirname, '../../data/config.json');
-      const data = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading config in callback handlers:', error.message);
-      return { bot: {}, test: { totalQuestions: 20 } };
-    }
+  get config() {
+    return this.configService.getConfig();
   }
 
   /**
@@ -38,6 +54,14 @@ class CallbackHandlers {
     const userId = query.from.id;
     const data = query.data;
     const messageId = query.message.message_id;
+    const t = this.localeService.getTranslator(userId, query.from.language_code);
+
+    // Admin wizard, history, class and session buttons are handled by AdminHandlers, ProfileHandlers,
+    // ClassHandlers and SessionHandlers
+    if (data.startsWith('adm_') || data.startsWith('profile_') || data.startsWith('class_') ||
+        data.startsWith('session_')) {
+      return;
+    }
 
     try {
       // Answer callback to remove loading state
@@ -47,13 +71,21 @@ class CallbackHandlers {
       if (data === 'start_test') {
         await this.handleStartTest(chatId, userId, messageId);
       } else if (data === 'show_instructions') {
-        await this.handleShowInstructions(chatId, messageId);
+        await this.handleShowInstructions(chatId, userId);
+      } else if (data.startsWith('review_')) {
+        await this.handleReview(chatId, userId, data, messageId);
+      } else if (data.startsWith('certificate_')) {
+        await this.handleCertificate(chatId, query.from, data);
+      } else if (data.startsWith('replay_')) {
+        await this.handleReplay(chatId, userId, data, messageId);
+      } else if (data.startsWith('lang_')) {
+        await this.handleLanguageChoice(chatId, userId, data, messageId);
       } else if (data.startsWith('answer_')) {
         await this.handleAnswer(chatId, userId, data, messageId);
       }
     } catch (error) {
-      console.error('Error in handleCallback:', error);
-      await this.bot.sendMessage(chatId, '❌ An error occurred. Please try /start again.');
+      this.errorReportService.report(error, { source: 'handleCallback', user: query.from, action: data });
+      await this.bot.sendMessage(chatId, t('messages.error'));
     }
   }
 
@@ -62,21 +94,58 @@ class CallbackHandlers {
    */
   async handleStartTest(chatId, userId, messageId) {
     const session = this.sessionService.getSession(userId);
+    const t = this.localeService.getTranslator(userId);
     
     if (!session) {
-      await this.bot.sendMessage(chatId, '⚠️ Session expired. Please use /start to begin.');
+      await this.bot.sendMessage(chatId, t('messages.sessionExpiredShort'));
       return;
     }
 
-    // Select questions for the test
-    const questions = this.questionService.selectQuestionsForTest({
-      totalQuestions: this.config.test.totalQuestions || 20,
-      questionsPerLevel: this.config.test.questionsPerLevel
-    });
+    if (this.rateLimitService && !this.rateLimitService.canStartTest({ id: userId, username: session.username })) {
+      await this.bot.sendMessage(chatId, t('rateLimit.dailyLimit', {
+        limit: this.rateLimitService.getDailyTestLimit()
+      }));
+      return;
+    }
 
-    // Store questions in session
-    this.sessionService.setQuestions(userId, questions);
-    this.sessionService.updateSession(userId, { state: 'in_progress' });
+    // Question buttons are signed for this attempt, so buttons from earlier attempts stop working;
+    // the chat is kept for the session expiry notices (see SessionHandlers)
+    this.sessionService.updateSession(userId, { attemptId: generateId(8), chatId });
+    if (this.statsService) {
+      this.statsService.recordTestStarted();
+    }
+
+    if (this.assessmentService.isAdaptiveMode()) {
+      // Adaptive mode: questions are picked one at a time from the answer history
+      const adaptive = this.assessmentService.createAdaptiveState();
+      const firstQuestion = this.questionService.selectAdaptiveQuestion(
+        this.assessmentService.getNextAdaptiveLevel(adaptive)
+      );
+
+      this.sessionService.setQuestions(userId, firstQuestion ? [firstQuestion] : []);
+      this.sessionService.updateSession(userId, { state: 'in_progress', mode: 'adaptive', adaptive });
+    } else {
+      // Select questions for the test
+      const questions = this.questionService.selectQuestionsForTest({
+        totalQuestions: this.config.test.totalQuestions || 20,
+        questionsPerLevel: this.config.test.questionsPerLevel
+      });
+
+      // Store questions in session, with their passages so a reload mid-test doesn't change them
+      this.sessionService.setQuestions(userId, questions);
+      this.sessionService.updateSession(userId, {
+        state: 'in_progress',
+        mode: 'fixed',
+        passages: this.getPassagesForQuestions(questions)
+      });
+    }
+
+    const timeLimits = this.getTimeLimits();
+    if (timeLimits && timeLimits.totalSeconds > 0) {
+      this.sessionService.updateSession(userId, {
+        testDeadline: Date.now() + timeLimits.totalSeconds * 1000
+      });
+    }
 
     // Delete the welcome message
     try {
@@ -86,10 +155,7 @@ class CallbackHandlers {
     }
 
     // Send instructions briefly
-    const instructionsMessage = this.config.bot.instructionsMessage || 
-      '📝 Answer each question by selecting the correct option.';
-
-    await this.bot.sendMessage(chatId, instructionsMessage, { parse_mode: 'Markdown' });
+    await this.bot.sendMessage(chatId, t('messages.instructions'), { parse_mode: 'Markdown' });
 
     // Send first question
     await this.sendQuestion(chatId, userId);
@@ -98,77 +164,202 @@ class CallbackHandlers {
   /**
    * Handle show instructions callback
    */
-  async handleShowInstructions(chatId, messageId) {
-    const instructionsMessage = this.config.bot.instructionsMessage || 
-      '📝 Instructions:\n\n1. Each question has 4 options\n2. Select the correct answer\n3. Answer all questions to get results';
+  async handleShowInstructions(chatId, userId) {
+    const t = this.localeService.getTranslator(userId);
 
-    await this.bot.sendMessage(chatId, instructionsMessage, {
+    await this.bot.sendMessage(chatId, t('messages.instructions'), {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '📝 Start Test', callback_data: 'start_test' }]
+          [{ text: t('buttons.startTest'), callback_data: 'start_test' }]
         ]
       }
     });
   }
 
+  /**
+   * Handle language picker callback
+   */
+  async handleLanguageChoice(chatId, userId, data, messageId) {
+    const locale = data.substring('lang_'.length);
+
+    if (!this.localeService.setUserLocale(userId, locale)) {
+      return;
+    }
+
+    const t = this.localeService.getTranslator(userId);
+    await this.bot.editMessageText(t('language.changed'), {
+      chat_id: chatId,
+      message_id: messageId
+    });
+  }
+
   /**
    * Handle answer callback
    */
   async handleAnswer(chatId, userId, data, messageId) {
     const session = this.sessionService.getSession(userId);
+    const t = this.localeService.getTranslator(userId);
     
     if (!session) {
-      await this.bot.sendMessage(chatId, '⚠️ Session expired. Please use /start to begin.');
+      await this.bot.sendMessage(chatId, t('messages.sessionExpiredShort'));
       return;
     }
 
-    if (session.state !== 'in_progress') {
-      await this.bot.sendMessage(chatId, '⚠️ No active test. Please use /start to begin.');
+    // Parse answer data: answer_questionId_optionIndex_questionIndex_token
+    const [, questionId, selectedOption, questionIndex, token] = data.split('_');
+    if (!this.isActiveQuestionButton(session, messageId, questionId, selectedOption, questionIndex, token)) {
+      await this.rejectInactiveButton(chatId, userId, data, messageId, session);
+      return;
+    }
+
+    const currentQuestion = session.questions[session.currentQuestion];
+    if (isTextAnswerQuestion(currentQuestion)) {
+      await this.bot.sendMessage(chatId, t('messages.invalidAnswer'));
       return;
     }
 
-    // Parse answer data: answer_questionId_optionIndex
-    const parts = data.split('_');
-    const questionId = parseInt(parts[1]);
-    const selectedOption = parseInt(parts[2]);
+    await this.submitAnswer(chatId, userId, currentQuestion, parseInt(selectedOption), messageId);
+  }
+
+  /**
+   * Build the signed callback data of a question button
+   * The token ties the button to the user, the test attempt and the position of
+   * the question in it, so it can't be reused from an old or forwarded message.
+   * @param {Object} session - User session
+   * @param {Object} question - Current question
+   * @param {string} action - 'answer' or 'replay'
+   * @param {number} option - Option index (answer buttons only)
+   * @returns {string} Callback data
+   */
+  buildQuestionCallbackData(session, question, action, option) {
+    const index = session.currentQuestion;
+    const fields = action === 'answer' ? [question.id, option, index] : [question.id, index];
+    const token = this.callbackTokenService.sign([session.userId, session.attemptId, action, ...fields]);
+    return `${action}_${fields.join('_')}_${token}`;
+  }
+
+  /**
+   * Check that a question button was sent for the user's current question
+   * @param {Object} session - User session
+   * @param {number} messageId - Message the button belongs to
+   * @param {string} questionId - Question ID from the callback data
+   * @param {string|null} option - Option index from the callback data (answer buttons only)
+   * @param {string} questionIndex - Question position from the callback data
+   * @param {string} token - Signature from the callback data
+   * @returns {boolean}
+   */
+  isActiveQuestionButton(session, messageId, questionId, option, questionIndex, token) {
+    const question = session.questions[session.currentQuestion];
+    if (session.state !== 'in_progress' || !question || messageId !== session.questionMessageId ||
+        String(question.id) !== questionId || String(session.currentQuestion) !== questionIndex) {
+      return false;
+    }
+
+    const action = option === null ? 'replay' : 'answer';
+    const fields = option === null ? [questionId, questionIndex] : [questionId, option, questionIndex];
+    return this.callbackTokenService.verify([session.userId, session.attemptId, action, ...fields], token);
+  }
+
+  /**
+   * Tell the user a button is from a question that is no longer active, and remove its buttons
+   */
+  async rejectInactiveButton(chatId, userId, data, messageId, session) {
+    const t = this.localeService.getTranslator(userId);
+    console.warn(`⚠️ Rejected inactive question button from user ${userId} (message ${messageId}, data ${data})`);
+
+    if (!session || messageId !== session.questionMessageId) {
+      try {
+        await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+      } catch (e) {
+        // Message might already be edited or deleted, ignore
+      }
+    }
+
+    await this.bot.sendMessage(chatId, t('messages.questionInactive'));
+  }
+
+  /**
+   * Handle a typed answer to a gap-fill or word-order question
+   * @param {Object} msg - Telegram message
+   * @returns {Promise<boolean>} True if the message was taken as an answer
+   */
+  async handleTextAnswer(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const session = this.sessionService.getSession(userId);
+
+    if (!session || session.state !== 'in_progress') {
+      return false;
+    }
 
-    // Get current question
     const currentQuestion = session.questions[session.currentQuestion];
-    
-    if (!currentQuestion || currentQuestion.id !== questionId) {
-      await this.bot.sendMessage(chatId, '⚠️ Invalid answer. Please try again.');
+    if (!currentQuestion || !isTextAnswerQuestion(currentQuestion)) {
+      return false;
+    }
+
+    await this.submitAnswer(chatId, userId, currentQuestion, msg.text.trim(), session.questionMessageId, msg.message_id);
+    return true;
+  }
+
+  /**
+   * Check, record and give feedback on an answer, then move the test on
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @param {Object} question - Question being answered (from the session)
+   * @param {number|string} answer - Option index or typed text
+   * @param {number} messageId - Question message to delete
+   * @param {number} textMessageId - User's message with a typed answer (none for buttons)
+   */
+  async submitAnswer(chatId, userId, question, answer, messageId, textMessageId = null) {
+    const session = this.sessionService.getSession(userId);
+    const t = this.localeService.getTranslator(userId);
+
+    // Answers that arrive after the deadline (e.g. timer lost on restart) count as timeouts
+    if (session.questionDeadline && Date.now() > session.questionDeadline) {
+      await this.handleQuestionTimeout(chatId, userId, session.questionSentAt);
       return;
     }
 
-    // Check answer
-    const result = this.questionService.checkAnswer(questionId, selectedOption);
+    this.clearQuestionTimer(userId);
+
+    // Check answer against the question stored in the session
+    const result = this.questionService.checkAnswer(question, answer);
 
-    // Record answer in session
+    // Record answer in session, with the message it came from
+    const questionNumber = session.currentQuestion + 1;
     this.sessionService.recordAnswer(userId, {
-      questionId: questionId,
-      selectedOption: selectedOption,
+      questionId: question.id,
+      selectedOption: result.selectedOption !== undefined ? result.selectedOption : null,
+      textAnswer: result.textAnswer,
       isCorrect: result.isCorrect,
-      weight: result.weight
+      weight: result.weight,
+      messageId: textMessageId || messageId,
+      via: textMessageId ? 'text' : 'button'
     });
 
-    // Delete the question message
+    if (session.mode === 'adaptive') {
+      this.advanceAdaptiveTest(userId, result.isCorrect);
+    }
+
+    // Delete the question message and its recordings
     try {
       await this.bot.deleteMessage(chatId, messageId);
     } catch (e) {
       // Message might already be deleted, ignore
     }
+    await this.deleteAudioMessages(chatId, session);
 
-    // Send feedback
-    const feedbackEmoji = result.isCorrect ? '✅' : '❌';
-    const feedbackText = result.isCorrect 
-      ? 'Correct!' 
-      : `Incorrect. The correct answer was: ${result.correctOption}`;
-    
-    await this.bot.sendMessage(chatId, `${feedbackEmoji} ${feedbackText}`);
+    // Send feedback, showing which answer was recorded (typed answers as a reply to the user's message)
+    const recordedAnswer = textMessageId ? answer : this.formatOption(question, answer, t);
+    let feedbackText = `${t('question.recordedAnswer', { number: questionNumber, answer: recordedAnswer })}\n`;
+    feedbackText += result.isCorrect
+      ? t('question.correct')
+      : t('question.incorrect', { answer: this.formatCorrectAnswer(question, t) });
+
+    await this.bot.sendMessage(chatId, feedbackText, textMessageId ? { reply_to_message_id: textMessageId } : {});
 
     // Check if test is complete
-    const updatedSession = this.sessionService.getSession(userId);
     if (this.sessionService.isTestComplete(userId)) {
       await this.completeTest(chatId, userId);
     } else {
@@ -177,14 +368,248 @@ class CallbackHandlers {
     }
   }
 
+  /**
+   * Handle replay button: send the listening question's recording again
+   * Replays are capped by test.listening.maxReplays.
+   */
+  async handleReplay(chatId, userId, data, messageId) {
+    const session = this.sessionService.getSession(userId);
+    const t = this.localeService.getTranslator(userId);
+
+    if (!session) {
+      await this.bot.sendMessage(chatId, t('messages.sessionExpiredShort'));
+      return;
+    }
+
+    // Parse replay data: replay_questionId_questionIndex_token
+    const [, questionId, questionIndex, token] = data.split('_');
+    if (!this.isActiveQuestionButton(session, messageId, questionId, null, questionIndex, token)) {
+      await this.rejectInactiveButton(chatId, userId, data, messageId, session);
+      return;
+    }
+
+    const question = session.questions[session.currentQuestion];
+    if (!question.audio) {
+      await this.bot.sendMessage(chatId, t('messages.invalidAnswer'));
+      return;
+    }
+
+    const replaysUsed = session.audioReplays || 0;
+    if (replaysUsed >= this.getMaxReplays()) {
+      await this.bot.sendMessage(chatId, t('question.noReplaysLeft'));
+      return;
+    }
+
+    const audioMessage = await this.audioService.send(this.bot, chatId, question.audio);
+    this.sessionService.updateSession(userId, {
+      audioReplays: replaysUsed + 1,
+      audioMessageIds: [...(session.audioMessageIds || []), audioMessage.message_id]
+    });
+
+    // Update the replay counter on the question keyboard
+    try {
+      await this.bot.editMessageReplyMarkup(
+        { inline_keyboard: this.buildQuestionKeyboard(session, question, t, this.getMaxReplays() - replaysUsed - 1) },
+        { chat_id: chatId, message_id: session.questionMessageId }
+      );
+    } catch (e) {
+      // Message might already be deleted, ignore
+    }
+  }
+
+  /**
+   * Get the number of replays allowed per listening question
+   */
+  getMaxReplays() {
+    const listening = this.config.test.listening;
+    return listening && Number.isInteger(listening.maxReplays) ? listening.maxReplays : 0;
+  }
+
+  /**
+   * Delete the recordings sent for the current question
+   */
+  async deleteAudioMessages(chatId, session) {
+    for (const audioMessageId of session.audioMessageIds || []) {
+      try {
+        await this.bot.deleteMessage(chatId, audioMessageId);
+      } catch (e) {
+        // Message might already be deleted, ignore
+      }
+    }
+  }
+
+  /**
+   * Update the ability estimate and queue the next adaptive question
+   * Leaves the question list untouched when the test should stop, so
+   * isTestComplete() picks up the end of the test.
+   */
+  advanceAdaptiveTest(userId, isCorrect) {
+    const session = this.sessionService.getSession(userId);
+    if (!session) return;
+
+    const adaptive = this.assessmentService.updateAdaptiveState(session.adaptive, isCorrect);
+    this.sessionService.updateSession(userId, { adaptive });
+
+    if (this.assessmentService.isAdaptiveTestFinished(adaptive)) {
+      return;
+    }
+
+    const askedIds = session.questions.map(q => q.id);
+    const nextQuestion = this.questionService.selectAdaptiveQuestion(
+      this.assessmentService.getNextAdaptiveLevel(adaptive),
+      askedIds
+    );
+
+    if (nextQuestion) {
+      this.sessionService.setQuestions(userId, [...session.questions, nextQuestion]);
+    }
+  }
+
+  /**
+   * Get time limit settings for timed tests
+   * @returns {Object|null} { perQuestionSeconds, totalSeconds } or null when timing is off
+   */
+  getTimeLimits() {
+    const timed = this.config.test.timed;
+    if (!timed || !timed.enabled) {
+      return null;
+    }
+
+    return {
+      perQuestionSeconds: timed.perQuestionSeconds || 0,
+      totalSeconds: timed.totalSeconds || 0
+    };
+  }
+
+  /**
+   * Format seconds as m:ss
+   */
+  formatTimeLeft(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return `${minutes}:${rest}`;
+  }
+
+  /**
+   * Schedule the timeout for the question that was just sent
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @param {number} deadline - Timestamp (ms) at which the question times out
+   * @param {string} sentAt - questionSentAt of the question, used to ignore stale timers
+   */
+  scheduleQuestionTimer(chatId, userId, deadline, sentAt) {
+    this.clearQuestionTimer(userId);
+
+    const timer = setTimeout(() => {
+      this.questionTimers.delete(userId);
+      const handleTimeout = () => this.handleQuestionTimeout(chatId, userId, sentAt).catch(error => {
+        this.errorReportService.report(error, { source: 'handleQuestionTimeout', user: { id: userId } });
+      });
+
+      // Queued with the user's updates, so a timeout can't interleave with an answer being recorded
+      if (this.updateQueueService) {
+        this.updateQueueService.run(userId, handleTimeout, { maxWaitMs: Infinity });
+      } else {
+        handleTimeout();
+      }
+    }, Math.max(deadline - Date.now(), 0));
+
+    this.questionTimers.set(userId, timer);
+  }
+
+  /**
+   * Cancel the pending question timeout for a user
+   */
+  clearQuestionTimer(userId) {
+    const timer = this.questionTimers.get(userId);
+    if (timer) {
+      clearTimeout(timer);
+      this.questionTimers.delete(userId);
+    }
+  }
+
+  /**
+   * Handle a question (or the whole test) running out of time
+   * The question is recorded as unanswered and the test moves on; when the
+   * whole-test limit is reached, the remaining questions are recorded too.
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @param {string} sentAt - questionSentAt of the timed-out question
+   */
+  async handleQuestionTimeout(chatId, userId, sentAt) {
+    const session = this.sessionService.getSession(userId);
+
+    // Ignore timers for questions that were already answered or tests that ended
+    if (!session || session.state !== 'in_progress' || session.questionSentAt !== sentAt) {
+      return;
+    }
+
+    this.clearQuestionTimer(userId);
+    const t = this.localeService.getTranslator(userId);
+    const testTimeUp = !!(session.testDeadline && Date.now() >= session.testDeadline);
+
+    // Fixed tests record every remaining question when the test time is up;
+    // adaptive tests only know the current one
+    const lastIndex = testTimeUp && session.mode !== 'adaptive'
+      ? session.questions.length
+      : session.currentQuestion + 1;
+
+    for (let index = session.currentQuestion; index < lastIndex; index++) {
+      const question = session.questions[index];
+      this.sessionService.recordAnswer(userId, {
+        questionId: question.id,
+        selectedOption: null,
+        isCorrect: false,
+        timedOut: true,
+        weight: question.weight,
+        messageId: session.questionMessageId
+      });
+    }
+
+    this.sessionService.updateSession(userId, { questionDeadline: null, questionSentAt: null });
+
+    if (session.questionMessageId) {
+      try {
+        await this.bot.deleteMessage(chatId, session.questionMessageId);
+      } catch (e) {
+        // Message might already be deleted, ignore
+      }
+    }
+    await this.deleteAudioMessages(chatId, session);
+
+    await this.bot.sendMessage(chatId, testTimeUp ? t('question.testTimeUp') : t('question.timeUp'));
+
+    if (!testTimeUp && session.mode === 'adaptive') {
+      this.advanceAdaptiveTest(userId, false);
+    }
+
+    if (testTimeUp || this.sessionService.isTestComplete(userId)) {
+      await this.completeTest(chatId, userId);
+    } else {
+      await this.sendQuestion(chatId, userId);
+    }
+  }
+
+  /**
+   * Get the number of questions to show in the progress indicator
+   * Adaptive tests have no fixed length, so the configured maximum is used.
+   */
+  getExpectedQuestionCount(session) {
+    if (session.mode === 'adaptive') {
+      return this.assessmentService.getAdaptiveSettings().maxQuestions;
+    }
+    return session.questions.length;
+  }
+
   /**
    * Send a question to the user
    */
-  async sendQuestion(chatId, userId) {
+  async sendQuestion(chatId, userId, resume = false) {
     const session = this.sessionService.getSession(userId);
+    const t = this.localeService.getTranslator(userId);
     
     if (!session) {
-      await this.bot.sendMessage(chatId, '⚠️ Session expired. Please use /start to begin.');
+      await this.bot.sendMessage(chatId, t('messages.sessionExpiredShort'));
       return;
     }
 
@@ -194,34 +619,268 @@ class CallbackHandlers {
       return;
     }
 
+    await this.updatePassageMessage(chatId, userId, question);
+
+    // Listening questions: the recording comes before the question and its answer keyboard
+    const audioMessageIds = [];
+    if (question.audio) {
+      const audioMessage = await this.audioService.send(this.bot, chatId, question.audio);
+      audioMessageIds.push(audioMessage.message_id);
+    }
+
     // Generate progress indicator
-    const progress = `${session.currentQuestion + 1}/${session.questions.length}`;
+    const expectedTotal = this.getExpectedQuestionCount(session);
+    const progress = `${session.currentQuestion + 1}/${expectedTotal}`;
     const progressBar = this.assessmentService.generateProgressBar(
       session.currentQuestion + 1, 
-      session.questions.length
+      expectedTotal
     );
 
     // Format question message
-    const optionLetters = ['A', 'B', 'C', 'D'];
-    let questionText = `📝 *Question ${progress}*\n${progressBar}\n\n`;
+    const type = getQuestionType(question);
+    const optionLabels = this.getOptionLabels(question, t);
+    let questionText = `${t('question.header', { progress })}\n${progressBar}\n\n`;
     questionText += `${question.text}\n\n`;
-    
-    question.options.forEach((option, index) => {
-      questionText += `${optionLetters[index]}. ${option}\n`;
-    });
 
-    // Create inline keyboard for options
-    const keyboard = question.options.map((option, index) => [{
-      text: `${optionLetters[index]}. ${option}`,
-      callback_data: `answer_${question.id}_${index}`
-    }]);
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      optionLabels.forEach((option, index) => {
+        questionText += `${OPTION_LETTERS[index]}. ${option}\n`;
+      });
+    } else if (type === QUESTION_TYPES.GAP_FILL) {
+      questionText += `${t('question.typeAnswer')}\n`;
+    } else if (type === QUESTION_TYPES.WORD_ORDER) {
+      questionText += `${t('question.words', { words: this.shuffleWords(question.words).join(' / ') })}\n`;
+      questionText += `${t('question.orderWords')}\n`;
+    }
 
-    await this.bot.sendMessage(chatId, questionText, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: keyboard
+    // Time limits: the question ends at whichever deadline comes first
+    const timeLimits = this.getTimeLimits();
+    let deadline = null;
+    if (timeLimits) {
+      const now = Date.now();
+      const deadlines = [];
+
+      if (timeLimits.perQuestionSeconds > 0) {
+        // A resumed question keeps the time it had left
+        const questionDeadline = resume && session.questionDeadline
+          ? session.questionDeadline
+          : now + timeLimits.perQuestionSeconds * 1000;
+        deadlines.push(questionDeadline);
+        questionText += `\n${t('question.timeLimit', { seconds: Math.max(Math.ceil((questionDeadline - now) / 1000), 0) })}`;
       }
+
+      if (session.testDeadline) {
+        deadlines.push(session.testDeadline);
+        const secondsLeft = Math.max(Math.ceil((session.testDeadline - now) / 1000), 0);
+        questionText += `\n${t('question.testTimeLeft', { time: this.formatTimeLeft(secondsLeft) })}`;
+      }
+
+      deadline = deadlines.length > 0 ? Math.min(...deadlines) : null;
+    }
+
+    // Create inline keyboard for options; typed answers only get the replay button, if any
+    const messageOptions = { parse_mode: 'Markdown' };
+    const replaysUsed = resume ? session.audioReplays || 0 : 0;
+    const keyboard = this.buildQuestionKeyboard(session, question, t, this.getMaxReplays() - replaysUsed);
+    if (keyboard.length > 0) {
+      messageOptions.reply_markup = { inline_keyboard: keyboard };
+    }
+
+    const sentMessage = await this.bot.sendMessage(chatId, questionText, messageOptions);
+
+    // A resumed question keeps its send time, so the response time and the pending timer still match
+    const sentAt = resume && session.questionSentAt ? session.questionSentAt : new Date().toISOString();
+    this.sessionService.updateSession(userId, {
+      questionSentAt: sentAt,
+      questionDeadline: deadline,
+      questionMessageId: sentMessage.message_id,
+      audioMessageIds,
+      audioReplays: replaysUsed
     });
+
+    if (deadline) {
+      this.scheduleQuestionTimer(chatId, userId, deadline, sentAt);
+    }
+  }
+
+  /**
+   * Send the current question of a test in progress again, e.g. after the user was away
+   * or deleted the message. Progress, time limits and used replays are kept; the old
+   * question, its recordings and the passage are removed and sent again.
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} False if the user has no test in progress
+   */
+  async resumeTest(chatId, userId) {
+    const session = this.sessionService.getSession(userId);
+    if (!session || session.state !== 'in_progress') {
+      return false;
+    }
+
+    const oldMessageIds = [session.questionMessageId, session.passageMessageId, ...(session.audioMessageIds || [])];
+    for (const messageId of oldMessageIds.filter(Boolean)) {
+      try {
+        await this.bot.deleteMessage(chatId, messageId);
+      } catch (e) {
+        // Message might already be deleted, ignore
+      }
+    }
+
+    this.sessionService.updateSession(userId, { chatId, passageId: null, passageMessageId: null });
+    await this.sendQuestion(chatId, userId, true);
+    return true;
+  }
+
+  /**
+   * Get the passages used by a set of questions
+   * @param {Array} questions - Test questions
+   * @returns {Object} Passages by ID
+   */
+  getPassagesForQuestions(questions) {
+    const passages = {};
+    for (const question of questions) {
+      if (question.passageId !== undefined && !passages[question.passageId]) {
+        const passage = this.questionService.getPassageById(question.passageId);
+        if (passage) passages[question.passageId] = passage;
+      }
+    }
+    return passages;
+  }
+
+  /**
+   * Get a passage as it was when the test started, falling back to the question bank
+   * @param {Object} session - User session
+   * @param {number} passageId - Passage ID
+   * @returns {Object|null} Passage
+   */
+  getSessionPassage(session, passageId) {
+    if (session.passages && session.passages[passageId]) {
+      return session.passages[passageId];
+    }
+    return this.questionService.getPassageById(passageId);
+  }
+
+  /**
+   * Show the reading passage of a question, or remove the previous one
+   * The passage is sent once and stays above its questions until the test
+   * moves on to a question outside the passage.
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @param {Object|null} question - Question about to be sent, or null when the test ends
+   */
+  async updatePassageMessage(chatId, userId, question) {
+    const session = this.sessionService.getSession(userId);
+    const passageId = question && question.passageId !== undefined ? question.passageId : null;
+    const currentPassageId = session.passageId !== undefined ? session.passageId : null;
+
+    if (passageId === currentPassageId) {
+      return;
+    }
+
+    if (session.passageMessageId) {
+      try {
+        await this.bot.deleteMessage(chatId, session.passageMessageId);
+      } catch (e) {
+        // Message might already be deleted, ignore
+      }
+    }
+
+    let passageMessageId = null;
+    const passage = passageId !== null ? this.getSessionPassage(session, passageId) : null;
+    if (passage) {
+      const t = this.localeService.getTranslator(userId);
+      const title = passage.title ? `${t('question.passage', { title: passage.title })}\n\n` : '';
+      const sent = await this.bot.sendMessage(chatId, `${title}${passage.text}`, { parse_mode: 'Markdown' });
+      passageMessageId = sent.message_id;
+    }
+
+    this.sessionService.updateSession(userId, { passageId, passageMessageId });
+  }
+
+  /**
+   * Build the inline keyboard of a question
+   * @param {Object} session - User session (buttons are signed for its current question)
+   * @param {Object} question - Question object
+   * @param {Function} t - Translator
+   * @param {number} replaysLeft - Remaining replays for listening questions
+   * @returns {Array<Array<Object>>} Keyboard rows
+   */
+  buildQuestionKeyboard(session, question, t, replaysLeft) {
+    const type = getQuestionType(question);
+    const optionLabels = this.getOptionLabels(question, t);
+    const keyboard = [];
+
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      keyboard.push(...optionLabels.map((option, index) => [{
+        text: `${OPTION_LETTERS[index]}. ${option}`,
+        callback_data: this.buildQuestionCallbackData(session, question, 'answer', index)
+      }]));
+    } else if (type === QUESTION_TYPES.TRUE_FALSE) {
+      keyboard.push(optionLabels.map((option, index) => ({
+        text: option,
+        callback_data: this.buildQuestionCallbackData(session, question, 'answer', index)
+      })));
+    }
+
+    if (question.audio && replaysLeft > 0) {
+      keyboard.push([{
+        text: t('question.replay', { count: replaysLeft }),
+        callback_data: this.buildQuestionCallbackData(session, question, 'replay')
+      }]);
+    }
+
+    return keyboard;
+  }
+
+  /**
+   * Get the answer option labels of a question
+   * True/false questions use translated labels; typed-answer questions have none.
+   * @returns {Array<string>} Labels by option index
+   */
+  getOptionLabels(question, t) {
+    switch (getQuestionType(question)) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+        return question.options;
+      case QUESTION_TYPES.TRUE_FALSE:
+        return [t('question.true'), t('question.false')];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Format the correct answer of a question for display
+   */
+  formatCorrectAnswer(question, t) {
+    if (isTextAnswerQuestion(question)) {
+      return getAcceptedAnswers(question)[0];
+    }
+
+    const index = getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE
+      ? (question.correct ? 0 : 1)
+      : question.correct;
+    return this.formatOption(question, index, t);
+  }
+
+  /**
+   * Format an answer option as "A. text" (or just the label for true/false)
+   */
+  formatOption(question, index, t) {
+    const label = this.getOptionLabels(question, t)[index];
+    return getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE
+      ? label
+      : `${OPTION_LETTERS[index]}. ${label}`;
+  }
+
+  /**
+   * Shuffle the words of a word-order question so they don't appear in the correct order
+   */
+  shuffleWords(words) {
+    let shuffled = this.questionService.shuffleArray(words);
+    for (let attempt = 0; attempt < 5 && shuffled.join(' ') === words.join(' '); attempt++) {
+      shuffled = this.questionService.shuffleArray(words);
+    }
+    return shuffled;
   }
 
   /**
@@ -229,52 +888,246 @@ class CallbackHandlers {
    */
   async completeTest(chatId, userId) {
     const session = this.sessionService.getSession(userId);
+    const t = this.localeService.getTranslator(userId);
     
     if (!session) {
-      await this.bot.sendMessage(chatId, '⚠️ Session expired. Results not available.');
+      await this.bot.sendMessage(chatId, t('messages.resultsUnavailable'));
       return;
     }
 
     // Mark session as complete
+    this.clearQuestionTimer(userId);
+    await this.updatePassageMessage(chatId, userId, null);
     this.sessionService.completeSession(userId);
 
     // Send completion message
-    const completionMessage = this.config.bot.completionMessage || 
-      '🎉 Congratulations! You\'ve completed the test!';
-    await this.bot.sendMessage(chatId, completionMessage);
+    await this.bot.sendMessage(chatId, t('messages.completion'));
 
     // Calculate assessment
     const assessment = this.assessmentService.calculateAssessment(session, session.questions);
+    if (this.rateLimitService) {
+      this.rateLimitService.recordCompletedTest(userId);
+    }
+    if (this.statsService) {
+      this.statsService.recordTestCompleted(assessment, session);
+    }
+
+    // Keep mistakes for review after the session is cleared
+    const mistakes = this.buildMistakeReview(session, t);
+    this.sessionService.saveLastResult(userId, { assessment, mistakes });
 
     // Format and send results
-    const resultMessage = this.assessmentService.formatResultMessage(assessment);
-    await this.bot.sendMessage(chatId, resultMessage, { parse_mode: 'Markdown' });
+    const resultMessage = this.assessmentService.formatResultMessage(assessment, t);
+    const resultOptions = { parse_mode: 'Markdown' };
+    const resultKeyboard = [];
+    if (mistakes.length > 0) {
+      resultKeyboard.push([{ text: t('review.button'), callback_data: 'review_0' }]);
+    }
+    if (this.isCertificateEnabled()) {
+      resultKeyboard.push([{ text: t('certificate.button'), callback_data: `certificate_${assessment.resultId}` }]);
+    }
+    if (resultKeyboard.length > 0) {
+      resultOptions.reply_markup = { inline_keyboard: resultKeyboard };
+    }
+    await this.bot.sendMessage(chatId, resultMessage, resultOptions);
 
     // Forward results to monitoring bot (asynchronously)
     if (this.monitoringService) {
       const monitoringMessage = this.assessmentService.formatMonitoringMessage(session, assessment);
-      this.monitoringService.forwardResults(monitoringMessage).catch(err => {
+      const payload = this.assessmentService.buildResultPayload(session, assessment);
+      this.monitoringService.forwardResults(monitoringMessage, payload).catch(err => {
         console.error('Error forwarding to monitoring bot:', err.message);
       });
     }
 
+    // Keep the result in the learner's history, or offer to start one (see ProfileHandlers)
+    if (this.profileService) {
+      if (this.profileService.hasChosen(userId)) {
+        this.profileService.recordAttempt(userId, assessment);
+      } else {
+        await this.bot.sendMessage(chatId, t('profile.offer'), {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: t('profile.enableButton'), callback_data: 'profile_enable' },
+              { text: t('profile.declineButton'), callback_data: 'profile_decline' }
+            ]]
+          }
+        });
+      }
+    }
+
+    // Report the result to the student's class (see ClassHandlers)
+    if (this.classService && session.classCode) {
+      this.classService.recordResult(session.classCode, userId, assessment);
+    }
+
     // Clear session
     this.sessionService.clearSession(userId);
 
     // Offer to restart
     await this.bot.sendMessage(chatId, 
-      '🔄 Would you like to take the test again?', 
+      t('messages.takeAgain'), 
       {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📝 Take Test Again', callback_data: 'start_test' }]
+            [{ text: t('buttons.takeTestAgain'), callback_data: 'start_test' }]
           ]
         }
       }
     );
 
-    // Re-create session for potential restart
-    this.sessionService.createSession(userId, session.username);
+    // Re-create session for potential restart, staying in the same class
+    this.sessionService.createSession(userId, session.username, session.classCode);
+  }
+
+  /**
+   * Collect every incorrect or unanswered item of a finished test
+   * Question data is copied so the review is not affected by question bank changes.
+   * @param {Object} session - Completed session
+   * @param {Function} t - Translator
+   * @returns {Array<Object>} Review items in the order they were asked
+   */
+  buildMistakeReview(session, t) {
+    return session.answers
+      .filter(answer => !answer.isCorrect)
+      .map(answer => {
+        const question = session.questions.find(q => q.id === answer.questionId);
+        if (!question) return null;
+
+        let yourAnswer = null;
+        if (answer.textAnswer !== null && answer.textAnswer !== undefined) {
+          yourAnswer = answer.textAnswer;
+        } else if (answer.selectedOption !== null && answer.selectedOption !== undefined) {
+          yourAnswer = this.formatOption(question, answer.selectedOption, t);
+        }
+
+        const passage = question.passageId !== undefined
+          ? this.getSessionPassage(session, question.passageId)
+          : null;
+
+        return {
+          questionId: question.id,
+          passageTitle: passage && passage.title ? passage.title : null,
+          text: question.text,
+          yourAnswer,
+          correctAnswer: this.formatCorrectAnswer(question, t),
+          timedOut: answer.timedOut,
+          explanation: question.explanation || null
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Format one page of the mistake review
+   * Sent as plain text: question text may contain underscores that break Markdown.
+   */
+  formatReviewPage(item, index, total, t) {
+    const yourAnswer = item.yourAnswer === null ? t('review.noAnswer') : item.yourAnswer;
+
+    let text = `${t('review.title', { current: index + 1, total })}\n\n`;
+    if (item.passageTitle) {
+      text += `${t('review.passage', { title: item.passageTitle })}\n`;
+    }
+    text += `${item.text}\n\n`;
+    text += `${t('review.yourAnswer', { answer: yourAnswer })}\n`;
+    text += `${t('review.correctAnswer', { answer: item.correctAnswer })}`;
+
+    if (item.explanation) {
+      text += `\n\n${t('review.explanation', { explanation: item.explanation })}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Check if result certificates are offered
+   * @returns {boolean}
+   */
+  isCertificateEnabled() {
+    const settings = this.config.certificate;
+    return !!(this.certificateService && settings && settings.enabled);
+  }
+
+  /**
+   * Handle certificate_<resultId>: render the certificate of the last result and send it as a document
+   * @param {number} chatId - Chat ID
+   * @param {Object} from - Telegram user who pressed the button
+   * @param {string} data - Callback data
+   */
+  async handleCertificate(chatId, from, data) {
+    const t = this.localeService.getTranslator(from.id, from.language_code);
+    const resultId = data.substring('certificate_'.length);
+    const lastResult = this.sessionService.getLastResult(from.id);
+
+    // Only the latest result is kept, and only until the session timeout
+    if (!this.isCertificateEnabled() || !lastResult || lastResult.assessment.resultId !== resultId) {
+      await this.bot.sendMessage(chatId, t('certificate.unavailable'));
+      return;
+    }
+
+    const certificate = this.certificateService.createCertificate(
+      lastResult.assessment,
+      getDisplayName(from),
+      this.config.certificate,
+      this.assessmentService.getLevels()
+    );
+
+    await this.bot.sendDocument(chatId, certificate.buffer, {
+      caption: t('certificate.caption', { level: lastResult.assessment.level })
+    }, {
+      filename: certificate.fileName,
+      contentType: certificate.contentType
+    });
+  }
+
+  /**
+   * Handle mistake review callbacks: review_<index> pages, review_close closes
+   */
+  async handleReview(chatId, userId, data, messageId) {
+    const t = this.localeService.getTranslator(userId);
+    const lastResult = this.sessionService.getLastResult(userId);
+
+    if (data === 'review_close') {
+      try {
+        await this.bot.deleteMessage(chatId, messageId);
+      } catch (e) {
+        // Message might already be deleted, ignore
+      }
+      return;
+    }
+
+    if (!lastResult || lastResult.mistakes.length === 0) {
+      await this.bot.sendMessage(chatId, t('review.unavailable'));
+      return;
+    }
+
+    const { mistakes } = lastResult;
+    const index = Math.min(Math.max(parseInt(data.split('_')[1]) || 0, 0), mistakes.length - 1);
+    const text = this.formatReviewPage(mistakes[index], index, mistakes.length, t);
+
+    const navigation = [];
+    if (index > 0) {
+      navigation.push({ text: t('review.previous'), callback_data: `review_${index - 1}` });
+    }
+    if (index < mistakes.length - 1) {
+      navigation.push({ text: t('review.next'), callback_data: `review_${index + 1}` });
+    }
+
+    const keyboard = [];
+    if (navigation.length > 0) keyboard.push(navigation);
+    keyboard.push([{ text: t('review.close'), callback_data: 'review_close' }]);
+
+    const options = { reply_markup: { inline_keyboard: keyboard } };
+
+    // The button on the results message opens a new review message, navigation edits it in place
+    const isReviewMessage = lastResult.reviewMessageId === messageId;
+    if (isReviewMessage) {
+      await this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+    } else {
+      const sent = await this.bot.sendMessage(chatId, text, options);
+      this.sessionService.saveLastResult(userId, { ...lastResult, reviewMessageId: sent.message_id });
+    }
   }
 
   /**
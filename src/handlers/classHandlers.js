@@ -0,0 +1,269 @@
+// Students listed in the /classreport message; the CSV file always has all of them
+const REPORT_LIMIT = 30;
+
+/**
+ * Class Handlers
+ * Classroom mode for users with the teacher role: /newclass creates a class and its join link,
+ * /classreport shows the students' latest results and exports them to CSV.
+ * Teachers see their own classes; admins can open any class by its code.
+ * Students join by opening the link (handled in CommandHandlers.handleStart).
+ * Buttons use the `class_` callback prefix.
+ */
+class ClassHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (classService, localeService, roleService, errorReportService)
+   */
+  constructor(bot, services) {
+    this.bot = bot;
+    this.classService = services.classService;
+    this.localeService = services.localeService;
+    this.roleService = services.roleService;
+    this.errorReportService = services.errorReportService;
+    this.botUsername = null;
+  }
+
+  /**
+   * Get the bot's username for join links (looked up once)
+   * @returns {Promise<string>} Bot username
+   */
+  async getBotUsername() {
+    if (!this.botUsername) {
+      const me = await this.bot.getMe();
+      this.botUsername = me.username;
+    }
+    return this.botUsername;
+  }
+
+  /**
+   * Build the link that adds a student to a class
+   * @param {string} code - Class code
+   * @returns {Promise<string>} t.me deep link
+   */
+  async getJoinLink(code) {
+    return `https://t.me/${await this.getBotUsername()}?start=class_${code}`;
+  }
+
+  /**
+   * Run a command handler for teachers only; other users are told so and the attempt is audit-logged
+   */
+  async guard(msg, action, handler) {
+    if (!this.roleService.authorize(msg.from, 'teacher', action, 'main')) {
+      const t = this.localeService.getTranslator(msg.from.id, msg.from.language_code);
+      await this.bot.sendMessage(msg.chat.id, t('classroom.teachersOnly'));
+      return;
+    }
+    await handler();
+  }
+
+  /**
+   * Handle /newclass <name>: create a class owned by the sender
+   * @param {Object} msg - Telegram message object
+   * @param {string} name - Class name
+   */
+  async handleNewClass(msg, name) {
+    const chatId = msg.chat.id;
+    const t = this.localeService.getTranslator(msg.from.id, msg.from.language_code);
+
+    try {
+      if (!name || !name.trim()) {
+        await this.bot.sendMessage(chatId, t('classroom.newClassUsage'));
+        return;
+      }
+      const maxLength = this.classService.getMaxNameLength();
+      if (name.trim().length > maxLength) {
+        await this.bot.sendMessage(chatId, t('classroom.nameTooLong', { max: maxLength }));
+        return;
+      }
+
+      const cls = this.classService.createClass(msg.from.id, name);
+      console.log(`🏫 Class ${cls.code} created by ${msg.from.id}`);
+
+      await this.bot.sendMessage(chatId, t('classroom.created', {
+        name: cls.name,
+        code: cls.code,
+        link: await this.getJoinLink(cls.code)
+      }), { disable_web_page_preview: true });
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'handleNewClass', user: msg.from, action: msg.text });
+      await this.bot.sendMessage(chatId, t('messages.error'));
+    }
+  }
+
+  /**
+   * Handle /classreport [code]: list the sender's classes, or report on one of them
+   * @param {Object} msg - Telegram message object
+   * @param {string} code - Class code (optional)
+   */
+  async handleClassReport(msg, code) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
+
+    try {
+      if (!code) {
+        await this.sendClassList(chatId, userId, t);
+        return;
+      }
+
+      const cls = this.getOwnClass(code, userId);
+      if (!cls) {
+        await this.bot.sendMessage(chatId, t('classroom.notYourClass', { code }));
+        return;
+      }
+
+      await this.sendReport(chatId, cls, t);
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'handleClassReport', user: msg.from, action: msg.text });
+      await this.bot.sendMessage(chatId, t('messages.error'));
+    }
+  }
+
+  /**
+   * Get a class if the user is its teacher or an admin
+   * Classes of other teachers are treated as not found, so codes can't be probed.
+   * @param {string} code - Class code
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|null} Class
+   */
+  getOwnClass(code, userId) {
+    const cls = this.classService.getClass(code);
+    if (!cls) {
+      return null;
+    }
+    return this.classService.isTeacher(cls, userId) || this.roleService.hasRole(userId, 'admin') ? cls : null;
+  }
+
+  /**
+   * Send the list of a teacher's classes
+   */
+  async sendClassList(chatId, userId, t) {
+    const classes = this.classService.getClassesByTeacher(userId);
+    if (classes.length === 0) {
+      await this.bot.sendMessage(chatId, t('classroom.noClasses'));
+      return;
+    }
+
+    const lines = classes.map(cls => t('classroom.classListItem', {
+      name: cls.name,
+      code: cls.code,
+      students: Object.keys(cls.students).length
+    }));
+
+    await this.bot.sendMessage(chatId,
+      `${t('classroom.classListTitle')}\n\n${lines.join('\n')}\n\n${t('classroom.classListHint')}`);
+  }
+
+  /**
+   * Send a class report with a button to download it as CSV
+   */
+  async sendReport(chatId, cls, t) {
+    const students = this.classService.getReport(cls.code);
+    const finished = students.filter(student => student.result);
+
+    let message = t('classroom.reportTitle', {
+      name: cls.name,
+      code: cls.code,
+      students: students.length,
+      finished: finished.length
+    });
+
+    if (students.length === 0) {
+      message += `\n\n${t('classroom.reportEmpty', { link: await this.getJoinLink(cls.code) })}`;
+      await this.bot.sendMessage(chatId, message, { disable_web_page_preview: true });
+      return;
+    }
+
+    const lines = students.slice(0, REPORT_LIMIT).map((student, index) => {
+      const name = student.username ? `${student.name} (@${student.username})` : student.name;
+      if (!student.result) {
+        return t('classroom.reportPending', { number: index + 1, student: name });
+      }
+
+      const weakest = student.result.weakestCategory;
+      return t('classroom.reportItem', {
+        number: index + 1,
+        student: name,
+        level: student.result.level,
+        score: student.result.score,
+        weakest: weakest ? `${t(`categories.${weakest.code}`)} ${weakest.score}%` : '–'
+      });
+    });
+
+    message += `\n\n${lines.join('\n')}`;
+    if (students.length > REPORT_LIMIT) {
+      message += `\n${t('classroom.reportMore', { count: students.length - REPORT_LIMIT })}`;
+    }
+
+    await this.bot.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [[{ text: t('classroom.csvButton'), callback_data: `class_csv_${cls.code}` }]]
+      }
+    });
+  }
+
+  /**
+   * Send a class report as a CSV file
+   */
+  async sendReportCsv(chatId, cls, t) {
+    const csv = this.classService.exportReportCsv(cls.code);
+
+    // Byte order mark so Excel opens the file as UTF-8
+    await this.bot.sendDocument(chatId, Buffer.from(`\uFEFF${csv}`, 'utf8'), {
+      caption: t('classroom.csvCaption', { name: cls.name, code: cls.code })
+    }, {
+      filename: `class_${cls.code}.csv`,
+      contentType: 'text/csv'
+    });
+  }
+
+  /**
+   * Handle class_ callback queries
+   * @param {Object} query - Telegram callback query
+   */
+  async handleCallback(query) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const t = this.localeService.getTranslator(userId, query.from.language_code);
+
+    try {
+      await this.bot.answerCallbackQuery(query.id);
+
+      if (!this.roleService.authorize(query.from, 'teacher', query.data, 'main')) {
+        await this.bot.sendMessage(chatId, t('classroom.teachersOnly'));
+        return;
+      }
+
+      if (query.data.startsWith('class_csv_')) {
+        const code = query.data.substring('class_csv_'.length);
+        const cls = this.getOwnClass(code, userId);
+        if (!cls) {
+          await this.bot.sendMessage(chatId, t('classroom.notYourClass', { code }));
+          return;
+        }
+        await this.sendReportCsv(chatId, cls, t);
+      }
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'class callback', user: query.from, action: query.data });
+      await this.bot.sendMessage(chatId, t('messages.error'));
+    }
+  }
+
+  /**
+   * Register class command and callback handlers
+   */
+  registerHandlers() {
+    this.bot.onText(/^\/newclass\b(?:@\w+)?\s*(.*)/, (msg, match) =>
+      this.guard(msg, '/newclass', () => this.handleNewClass(msg, match[1])));
+    this.bot.onText(/^\/classreport\b(?:@\w+)?\s*(\S*)/, (msg, match) =>
+      this.guard(msg, '/classreport', () => this.handleClassReport(msg, match[1])));
+
+    this.bot.on('callback_query', (query) => {
+      if (query.data && query.data.startsWith('class_')) {
+        return this.handleCallback(query);
+      }
+    });
+  }
+}
+
+module.exports = ClassHandlers;
@@ -1,76 +1,118 @@
-const fs = require('fs');
-const path = require('path');
+const { getDisplayName } = require('../utils/helpers');
+const { CATEGORIES } = require('../utils/categories');
 
 /**
  * Command Handlers
- * Handles bot commands: /start, /restart, /cancel, /help, /stats
+ * Handles bot commands: /start, /restart, /cancel, /help, /language, /stats
  */
 class CommandHandlers {
-  constructor(bot, sessionService, questionService, assessmentService, monitoringService) {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (sessionService, questionService,
+   *   assessmentService, monitoringService, localeService, configService, classService, roleService,
+   *   errorReportService)
+   */
+  constructor(bot, services) {
     this.bot = bot;
-    this.sessionService = sessionService;
-    this.questionService = questionService;
-    this.assessmentService = assessmentService;
-    this.monitoringService = monitoringService;
-    this.config = this.loadConfig();
+    this.sessionService = services.sessionService;
+    this.questionService = services.questionService;
+    this.assessmentService = services.assessmentService;
+    this.monitoringService = services.monitoringService;
+    this.localeService = services.localeService;
+    this.configService = services.configService;
+    this.classService = services.classService;
+    this.roleService = services.roleService;
+    this.errorReportService = services.errorReportService;
   }
 
   /**
-   * Load configuration
+   * Active configuration (follows reloads)
    */
-  loadConfig() {
-    try {
-      const configPath = path.join(__dirname, '../../data/config.json');
-      const data = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading config in handlers:', error.message);
-      return { bot: {}, test: { totalQuestions: 20 } };
-    }
+  get config() {
+    return this.configService.getConfig();
+  }
+
+  /**
+   * Get the class code from a /start class_<code> deep link
+   * @param {string} text - Message text
+   * @returns {string|null} Class code, or null for a plain /start
+   */
+  parseClassCode(text) {
+    const match = /^\/start(?:@\w+)?\s+class_([A-Za-z0-9]+)/.exec(text || '');
+    return match ? match[1] : null;
   }
 
   /**
    * Handle /start command
+   * Opened through a class link (t.me/<bot>?start=class_<code>), the student joins that class.
    * @param {Object} msg - Telegram message object
    */
   async handleStart(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
 
     try {
-      // Check if user has an active session
+      const classCode = this.parseClassCode(msg.text);
+
+      // Check if user has an active session; a class link still joins the class and tags the test
       if (this.sessionService.hasSession(userId)) {
         const session = this.sessionService.getSession(userId);
         if (session.state === 'in_progress') {
-          await this.bot.sendMessage(chatId, 
-            '⚠️ You have an active test in progress.\n\nUse /restart to start over or continue with the current test.',
-            { parse_mode: 'Markdown' }
-          );
+          if (classCode && this.classService) {
+            await this.joinClass(msg, classCode, t);
+          }
+          await this.bot.sendMessage(chatId, t('messages.activeTest'), { parse_mode: 'Markdown' });
           return;
         }
       }
 
-      // Create new session
-      this.sessionService.createSession(userId, username);
+      // Create new session, staying in the class of the previous one unless a class link was opened
+      const previous = this.sessionService.getSession(userId);
+      this.sessionService.createSession(userId, username, previous && previous.classCode);
 
-      // Send welcome message
-      const welcomeMessage = this.config.bot.welcomeMessage || 
-        '🎓 Welcome to QuickEnglishLevelBot!\n\nThis bot will assess your English proficiency level.';
+      if (classCode && this.classService) {
+        await this.joinClass(msg, classCode, t);
+      }
 
-      await this.bot.sendMessage(chatId, welcomeMessage, {
+      // Send welcome message
+      await this.bot.sendMessage(chatId, t('messages.welcome', this.getTestInfo(t)), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📝 Start Test', callback_data: 'start_test' }],
-            [{ text: 'ℹ️ Instructions', callback_data: 'show_instructions' }]
+            [{ text: t('buttons.startTest'), callback_data: 'start_test' }],
+            [{ text: t('buttons.instructions'), callback_data: 'show_instructions' }]
           ]
         }
       });
     } catch (error) {
-      console.error('Error in handleStart:', error);
-      await this.bot.sendMessage(chatId, '❌ An error occurred. Please try again with /start');
+      this.errorReportService.report(error, { source: 'handleStart', user: msg.from, action: msg.text });
+      await this.bot.sendMessage(chatId, t('messages.startError'));
+    }
+  }
+
+  /**
+   * Add the user to a class and tag their session with it
+   * @param {Object} msg - Telegram message object
+   * @param {string} classCode - Code from the class link
+   * @param {Function} t - Translator
+   */
+  async joinClass(msg, classCode, t) {
+    const userId = msg.from.id;
+    const cls = this.classService.joinClass(classCode, {
+      userId,
+      name: getDisplayName(msg.from),
+      username: msg.from.username
+    });
+
+    if (!cls) {
+      await this.bot.sendMessage(msg.chat.id, t('classroom.notFound', { code: classCode }));
+      return;
     }
+
+    this.sessionService.updateSession(userId, { classCode: cls.code });
+    await this.bot.sendMessage(msg.chat.id, t('classroom.joined', { name: cls.name }));
   }
 
   /**
@@ -81,25 +123,23 @@ class CommandHandlers {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
 
     try {
       // Reset session
       this.sessionService.resetSession(userId, username);
 
-      const restartMessage = this.config.bot.restartMessage || 
-        '🔄 Test restarted. Let\'s begin again!';
-
-      await this.bot.sendMessage(chatId, restartMessage, {
+      await this.bot.sendMessage(chatId, t('messages.restart'), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📝 Start Test', callback_data: 'start_test' }]
+            [{ text: t('buttons.startTest'), callback_data: 'start_test' }]
           ]
         }
       });
     } catch (error) {
-      console.error('Error in handleRestart:', error);
-      await this.bot.sendMessage(chatId, '❌ An error occurred. Please try again with /start');
+      this.errorReportService.report(error, { source: 'handleRestart', user: msg.from, action: msg.text });
+      await this.bot.sendMessage(chatId, t('messages.startError'));
     }
   }
 
@@ -110,18 +150,16 @@ class CommandHandlers {
   async handleCancel(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
 
     try {
       // Clear session
       this.sessionService.clearSession(userId);
 
-      const cancelMessage = this.config.bot.cancelMessage || 
-        '❌ Test cancelled. Your session has been cleared.\n\nUse /start to begin a new test.';
-
-      await this.bot.sendMessage(chatId, cancelMessage, { parse_mode: 'Markdown' });
+      await this.bot.sendMessage(chatId, t('messages.cancel'), { parse_mode: 'Markdown' });
     } catch (error) {
-      console.error('Error in handleCancel:', error);
-      await this.bot.sendMessage(chatId, '❌ An error occurred while cancelling.');
+      this.errorReportService.report(error, { source: 'handleCancel', user: msg.from, action: msg.text });
+      await this.bot.sendMessage(chatId, t('messages.cancelError'));
     }
   }
 
@@ -131,39 +169,73 @@ class CommandHandlers {
    */
   async handleHelp(msg) {
     const chatId = msg.chat.id;
+    const t = this.localeService.getTranslator(msg.from.id, msg.from.language_code);
+
+    const helpMessage = t('help.text', this.getTestInfo(t));
 
-    const helpMessage = `📖 *QuickEnglishLevelBot Help*
+    await this.bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Describe the test as currently configured, for the welcome and help messages
+   * @param {Function} t - Translator
+   * @returns {Object} { questionInfo, levels, skills } - number of questions for the test mode,
+   *   level codes and the names of the categories that have active questions
+   */
+  getTestInfo(t) {
+    let questionInfo;
+    if (this.assessmentService.isAdaptiveMode()) {
+      const { minQuestions, maxQuestions } = this.assessmentService.getAdaptiveSettings();
+      questionInfo = t('help.questionsAdaptive', { min: minQuestions, max: maxQuestions });
+    } else {
+      questionInfo = t('help.questionsFixed', { count: this.config.test.totalQuestions || 20 });
+    }
 
-*Available Commands:*
-• /start - Begin a new assessment test
-• /restart - Restart the current test
-• /cancel - Cancel the current test
-• /help - Show this help message
+    const activeCategories = new Set(this.questionService.getActiveQuestions().map(q => q.category));
+    const skills = CATEGORIES
+      .filter(category => activeCategories.has(category.code))
+      .map(category => t(`categories.${category.code}`, {}, category.name))
+      .join(', ');
 
-*About the Test:*
-• ${this.config.test.totalQuestions || 20} multiple-choice questions
-• Tests vocabulary and grammar
-• Determines your level: A1, A2, B1, or B2
-• Takes approximately 5-10 minutes
+    return {
+      questionInfo,
+      levels: this.assessmentService.getLevelOrder().join(', '),
+      skills
+    };
+  }
 
-*Tips:*
-• Read each question carefully
-• Choose the best answer from the options
-• You can restart anytime if needed
-• Your data is not stored after the session ends
+  /**
+   * Handle /language command
+   * Shows an inline picker with every available locale
+   * @param {Object} msg - Telegram message object
+   */
+  async handleLanguage(msg) {
+    const chatId = msg.chat.id;
+    const t = this.localeService.getTranslator(msg.from.id, msg.from.language_code);
 
-Need help? Contact the administrator.`;
+    const keyboard = this.localeService.getAvailableLocales().map(locale => [{
+      text: `${locale.flag} ${locale.name}`,
+      callback_data: `lang_${locale.code}`
+    }]);
 
-    await this.bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+    await this.bot.sendMessage(chatId, t('language.prompt'), {
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    });
   }
 
   /**
-   * Handle /stats command (admin)
+   * Handle /stats command (viewer role and above; other users get no reply)
    * @param {Object} msg - Telegram message object
    */
   async handleStats(msg) {
     const chatId = msg.chat.id;
 
+    if (!this.roleService.authorize(msg.from, 'viewer', '/stats', 'main')) {
+      return;
+    }
+
     try {
       const sessionStats = this.sessionService.getStats();
       const questionStats = this.questionService.getStats();
@@ -176,12 +248,19 @@ Need help? Contact the administrator.`;
       statsMessage += `• Completed: ${sessionStats.completed}\n\n`;
       statsMessage += `*Questions:*\n`;
       statsMessage += `• Total: ${questionStats.total}\n`;
-      statsMessage += `• By Level: A1(${questionStats.byLevel.A1}), A2(${questionStats.byLevel.A2}), B1(${questionStats.byLevel.B1}), B2(${questionStats.byLevel.B2})\n`;
-      statsMessage += `• By Category: Vocab(${questionStats.byCategory.vocabulary}), Grammar(${questionStats.byCategory.grammar})`;
+      const levelCounts = Object.entries(questionStats.byLevel)
+        .map(([level, count]) => `${level}(${count})`)
+        .join(', ');
+      statsMessage += `• By Level: ${levelCounts}\n`;
+      const categoryCounts = Object.entries(questionStats.byCategory)
+        .map(([category, count]) => `${category}(${count})`)
+        .join(', ');
+      statsMessage += `• By Category: ${categoryCounts}\n`;
+      statsMessage += `• Reading Passages: ${questionStats.passages}`;
 
       await this.bot.sendMessage(chatId, statsMessage, { parse_mode: 'Markdown' });
     } catch (error) {
-      console.error('Error in handleStats:', error);
+      this.errorReportService.report(error, { source: 'handleStats', user: msg.from, action: msg.text });
       await this.bot.sendMessage(chatId, '❌ Error retrieving statistics.');
     }
   }
@@ -194,6 +273,7 @@ Need help? Contact the administrator.`;
     this.bot.onText(/\/restart/, (msg) => this.handleRestart(msg));
     this.bot.onText(/\/cancel/, (msg) => this.handleCancel(msg));
     this.bot.onText(/\/help/, (msg) => this.handleHelp(msg));
+    this.bot.onText(/\/language/, (msg) => this.handleLanguage(msg));
     this.bot.onText(/\/stats/, (msg) => this.handleStats(msg));
   }
 }
@@ -0,0 +1,254 @@
+const { CATEGORIES } = require('../utils/categories');
+
+// Number of attempts listed by /history and scores shown per line by /progress
+const HISTORY_LIMIT = 10;
+const PROGRESS_POINTS = 5;
+
+/**
+ * Profile Handlers
+ * Opt-in learner history: /history, /progress and /privacy.
+ * Buttons use the `profile_` callback prefix.
+ */
+class ProfileHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (profileService, sessionService, localeService, errorReportService)
+   */
+  constructor(bot, services) {
+    this.bot = bot;
+    this.profileService = services.profileService;
+    this.sessionService = services.sessionService;
+    this.localeService = services.localeService;
+    this.errorReportService = services.errorReportService;
+  }
+
+  /**
+   * Handle /history: list past attempts, newest first
+   * @param {Object} msg - Telegram message object
+   */
+  async handleHistory(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
+
+    const attempts = this.profileService.getAttempts(userId);
+    if (attempts.length === 0) {
+      await this.sendEmptyHistory(chatId, userId, t);
+      return;
+    }
+
+    let message = `${t('profile.historyTitle')}\n\n`;
+    message += attempts.slice(-HISTORY_LIMIT).reverse().map((attempt, index) => {
+      let line = t('profile.historyItem', {
+        number: index + 1,
+        date: attempt.completedAt.slice(0, 10),
+        level: attempt.level,
+        score: attempt.score
+      });
+
+      const categories = CATEGORIES
+        .filter(category => attempt.categories[category.code] !== undefined)
+        .map(category => `${t(`categories.${category.code}`)} ${attempt.categories[category.code]}%`);
+      if (categories.length > 0) {
+        line += `\n   ${categories.join(' · ')}`;
+      }
+      return line;
+    }).join('\n\n');
+
+    if (attempts.length > HISTORY_LIMIT) {
+      message += `\n\n${t('profile.historyMore', { count: attempts.length - HISTORY_LIMIT })}`;
+    }
+    if (!this.profileService.isEnabled(userId)) {
+      message += `\n\n${t('profile.historyPaused')}`;
+    }
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Handle /progress: show how the overall score and each category changed
+   * @param {Object} msg - Telegram message object
+   */
+  async handleProgress(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
+
+    const attempts = this.profileService.getAttempts(userId);
+    if (attempts.length === 0) {
+      await this.sendEmptyHistory(chatId, userId, t);
+      return;
+    }
+    if (attempts.length === 1) {
+      await this.bot.sendMessage(chatId, t('profile.progressNeedMore'));
+      return;
+    }
+
+    const progress = this.profileService.getProgress(userId);
+    const first = attempts[0];
+    const last = attempts[attempts.length - 1];
+
+    let message = `${t('profile.progressTitle', { count: attempts.length, since: first.completedAt.slice(0, 10) })}\n\n`;
+    message += `${t('profile.progressLevel', { from: first.level, to: last.level })}\n`;
+    message += `${this.formatSeries(t('profile.progressOverall'), progress.overall)}\n`;
+
+    const categoryLines = CATEGORIES
+      .filter(category => progress.categories[category.code])
+      .map(category => this.formatSeries(t(`categories.${category.code}`), progress.categories[category.code]));
+    if (categoryLines.length > 0) {
+      message += `\n${t('results.byCategory')}\n${categoryLines.join('\n')}`;
+    }
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Format a score series as "name: 40% → 55% → 60% (+20)"
+   * @param {string} name - Series name
+   * @param {Array<number>} scores - Scores, oldest first
+   * @returns {string} Formatted line
+   */
+  formatSeries(name, scores) {
+    const shown = scores.slice(-PROGRESS_POINTS).map(score => `${score}%`);
+    if (scores.length > PROGRESS_POINTS) {
+      shown.unshift('…');
+    }
+
+    let line = `• ${name}: ${shown.join(' → ')}`;
+    if (scores.length > 1) {
+      const change = scores[scores.length - 1] - scores[0];
+      const trend = change > 0 ? '📈' : (change < 0 ? '📉' : '➖');
+      line += ` ${trend} ${change > 0 ? '+' : ''}${change}`;
+    }
+    return line;
+  }
+
+  /**
+   * Tell a user with no kept attempts how history works
+   */
+  async sendEmptyHistory(chatId, userId, t) {
+    if (this.profileService.isEnabled(userId)) {
+      await this.bot.sendMessage(chatId, t('profile.historyEmpty'));
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, t('profile.historyOff'), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: t('profile.enableButton'), callback_data: 'profile_enable' }]]
+      }
+    });
+  }
+
+  /**
+   * Handle /privacy: show what is kept and the buttons to change it
+   * @param {Object} msg - Telegram message object
+   */
+  async handlePrivacy(msg) {
+    const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
+    await this.sendPrivacy(msg.chat.id, userId, t);
+  }
+
+  /**
+   * Send the privacy status and options
+   */
+  async sendPrivacy(chatId, userId, t) {
+    const enabled = this.profileService.isEnabled(userId);
+    const count = this.profileService.getAttempts(userId).length;
+
+    const keyboard = [[enabled
+      ? { text: t('profile.disableButton'), callback_data: 'profile_disable' }
+      : { text: t('profile.enableButton'), callback_data: 'profile_enable' }]];
+    if (count > 0) {
+      keyboard.push([{ text: t('profile.wipeButton'), callback_data: 'profile_wipe' }]);
+    }
+
+    const status = enabled
+      ? t('profile.privacyOn', { count })
+      : t('profile.privacyOff', { count });
+
+    await this.bot.sendMessage(chatId, `${t('profile.privacyTitle')}\n\n${status}`, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  }
+
+  /**
+   * Handle profile_ callback queries
+   * @param {Object} query - Telegram callback query
+   */
+  async handleCallback(query) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const userId = query.from.id;
+    const data = query.data;
+    const t = this.localeService.getTranslator(userId, query.from.language_code);
+
+    try {
+      await this.bot.answerCallbackQuery(query.id);
+      await this.removeButtons(chatId, messageId);
+
+      if (data === 'profile_enable') {
+        this.profileService.setEnabled(userId, true);
+
+        // Keep the test that was just finished, if the offer came right after it
+        const lastResult = this.sessionService.getLastResult(userId);
+        const savedLast = lastResult && this.profileService.recordAttempt(userId, lastResult.assessment);
+
+        await this.bot.sendMessage(chatId, t(savedLast ? 'profile.enabledWithLast' : 'profile.enabled'));
+      } else if (data === 'profile_decline') {
+        this.profileService.setEnabled(userId, false);
+        await this.bot.sendMessage(chatId, t('profile.declined'));
+      } else if (data === 'profile_disable') {
+        this.profileService.setEnabled(userId, false);
+        await this.bot.sendMessage(chatId, t('profile.disabled'));
+      } else if (data === 'profile_wipe') {
+        await this.bot.sendMessage(chatId, t('profile.wipeConfirm'), {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: t('profile.wipeConfirmButton'), callback_data: 'profile_wipe_confirm' },
+              { text: t('profile.cancelButton'), callback_data: 'profile_cancel' }
+            ]]
+          }
+        });
+      } else if (data === 'profile_wipe_confirm') {
+        this.profileService.wipe(userId);
+        await this.bot.sendMessage(chatId, t('profile.wiped'));
+      } else if (data === 'profile_cancel') {
+        await this.sendPrivacy(chatId, userId, t);
+      }
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'profile callback', user: query.from, action: data });
+      await this.bot.sendMessage(chatId, t('messages.error'));
+    }
+  }
+
+  /**
+   * Remove the buttons from a message so a choice can't be made twice
+   */
+  async removeButtons(chatId, messageId) {
+    try {
+      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+    } catch (e) {
+      // Message might already be edited or deleted, ignore
+    }
+  }
+
+  /**
+   * Register profile command and callback handlers
+   */
+  registerHandlers() {
+    this.bot.onText(/^\/history\b/, (msg) => this.handleHistory(msg));
+    this.bot.onText(/^\/progress\b/, (msg) => this.handleProgress(msg));
+    this.bot.onText(/^\/privacy\b/, (msg) => this.handlePrivacy(msg));
+
+    this.bot.on('callback_query', (query) => {
+      if (query.data && query.data.startsWith('profile_')) {
+        return this.handleCallback(query);
+      }
+    });
+  }
+}
+
+module.exports = ProfileHandlers;
@@ -0,0 +1,81 @@
+/**
+ * Rate Limit Handlers
+ * Filters every incoming update through RateLimitService before any other handler
+ * sees it, by wrapping bot.processUpdate (used by both polling and webhook mode).
+ * Over-limit messages and callbacks are dropped; the user is told once per streak,
+ * and once when blocked.
+ */
+class RateLimitHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (rateLimitService, localeService)
+   */
+  constructor(bot, services) {
+    this.bot = bot;
+    this.rateLimitService = services.rateLimitService;
+    this.localeService = services.localeService;
+  }
+
+  /**
+   * Check an update against the limits
+   * @param {Object} update - Telegram update
+   * @returns {boolean} True if the update should be handled
+   */
+  filterUpdate(update) {
+    if (update.message && update.message.from) {
+      return this.check(update.message.from, 'messages', update.message.chat.id, null);
+    }
+    if (update.callback_query) {
+      const query = update.callback_query;
+      return this.check(query.from, 'callbacks', query.message && query.message.chat.id, query.id);
+    }
+    return true;
+  }
+
+  /**
+   * Take a token for a user and tell them when they are slowed down or blocked
+   * @param {Object} user - Telegram user
+   * @param {string} kind - 'messages' or 'callbacks'
+   * @param {number} chatId - Chat to notify
+   * @param {string|null} queryId - Callback query to answer, if any
+   * @returns {boolean} True if allowed
+   */
+  check(user, kind, chatId, queryId) {
+    const wasBlocked = !!this.rateLimitService.getBlockedUntil(user.id);
+    const decision = this.rateLimitService.consume(user, kind);
+    if (decision.allowed) {
+      return true;
+    }
+
+    const t = this.localeService.getTranslator(user.id, user.language_code);
+    let notice = null;
+    if (decision.blockedUntil && !wasBlocked) {
+      const minutes = Math.ceil((decision.blockedUntil - Date.now()) / 60000);
+      notice = t('rateLimit.blocked', { minutes });
+    } else if (decision.notify) {
+      notice = t('rateLimit.slowDown');
+    }
+
+    if (notice) {
+      const sent = queryId
+        ? this.bot.answerCallbackQuery(queryId, { text: notice, show_alert: !!decision.blockedUntil })
+        : this.bot.sendMessage(chatId, notice);
+      sent.catch(error => console.error('Error sending rate limit notice:', error.message));
+    }
+    return false;
+  }
+
+  /**
+   * Install the filter in front of all other handlers
+   */
+  registerHandlers() {
+    const processUpdate = this.bot.processUpdate.bind(this.bot);
+    this.bot.processUpdate = (update) => {
+      if (this.filterUpdate(update)) {
+        processUpdate(update);
+      }
+    };
+  }
+}
+
+module.exports = RateLimitHandlers;
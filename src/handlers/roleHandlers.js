@@ -0,0 +1,115 @@
+const { GRANTABLE_ROLES } = require('../utils/roles');
+
+/**
+ * Role Handlers
+ * Role management for owners: /grant, /revoke and /roles.
+ * Registered by both bots; roles granted through either apply to both.
+ */
+class RoleHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (roleService)
+   * @param {string} source - Name of the bot in the audit log ("main" or "monitor")
+   */
+  constructor(bot, services, source) {
+    this.bot = bot;
+    this.roleService = services.roleService;
+    this.source = source;
+  }
+
+  /**
+   * Run a command handler for owners only; other users are told they can't
+   */
+  async guard(msg, action, handler) {
+    if (!this.roleService.authorize(msg.from, 'owner', action, this.source)) {
+      await this.bot.sendMessage(msg.chat.id, '⛔ Only owners can manage roles.');
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      console.error('Error in role command:', error);
+      await this.bot.sendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle /grant <userId> <role>
+   */
+  async handleGrant(msg, match) {
+    const userId = match[1];
+    const role = (match[2] || '').toLowerCase();
+
+    if (!userId || !role) {
+      await this.bot.sendMessage(msg.chat.id,
+        `Usage: /grant <user id> <role>\nRoles: ${GRANTABLE_ROLES.join(', ')}`);
+      return;
+    }
+
+    const previous = this.roleService.grant(userId, role, msg.from);
+    const current = this.roleService.getRole(userId);
+
+    let message = `✅ User ${userId} is now ${role}`;
+    message += previous ? ` (was ${previous}).` : '.';
+    if (current !== role) {
+      message += `\nℹ️ ${current} is set for this user in the environment, so it still applies.`;
+    }
+    await this.bot.sendMessage(msg.chat.id, message);
+  }
+
+  /**
+   * Handle /revoke <userId>
+   */
+  async handleRevoke(msg, match) {
+    const userId = match[1];
+    if (!userId) {
+      await this.bot.sendMessage(msg.chat.id, 'Usage: /revoke <user id>');
+      return;
+    }
+
+    const revoked = this.roleService.revoke(userId, msg.from);
+    const envRole = this.roleService.getEnvRole(userId);
+
+    let message = revoked
+      ? `✅ Role ${revoked} revoked from user ${userId}.`
+      : `ℹ️ User ${userId} has no role granted in chat.`;
+    if (envRole) {
+      message += `\nℹ️ ${envRole} is set for this user in the environment; change it there.`;
+    }
+    await this.bot.sendMessage(msg.chat.id, message);
+  }
+
+  /**
+   * Handle /roles: list every user with a role
+   */
+  async handleRoles(msg) {
+    const entries = this.roleService.listRoles();
+    if (entries.length === 0) {
+      await this.bot.sendMessage(msg.chat.id, '📭 No roles configured.');
+      return;
+    }
+
+    const lines = entries.map(entry => {
+      const origin = entry.source === 'env'
+        ? 'environment'
+        : `granted by ${entry.grantedBy} on ${entry.grantedAt.slice(0, 10)}`;
+      return `• ${entry.userId} - ${entry.role} (${origin})`;
+    });
+
+    await this.bot.sendMessage(msg.chat.id, `👥 Roles\n\n${lines.join('\n')}`);
+  }
+
+  /**
+   * Register role management commands
+   */
+  registerHandlers() {
+    this.bot.onText(/^\/grant\b(?:@\w+)?\s*(\S*)\s*(\S*)/, (msg, match) =>
+      this.guard(msg, '/grant', () => this.handleGrant(msg, match)));
+    this.bot.onText(/^\/revoke\b(?:@\w+)?\s*(\S*)/, (msg, match) =>
+      this.guard(msg, '/revoke', () => this.handleRevoke(msg, match)));
+    this.bot.onText(/^\/roles\b/, (msg) => this.guard(msg, '/roles', () => this.handleRoles(msg)));
+  }
+}
+
+module.exports = RoleHandlers;
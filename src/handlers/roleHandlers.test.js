@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoleService = require('../services/roleService');
+const RoleHandlers = require('./roleHandlers');
+
+/**
+ * Minimal bot: records registered commands and sent messages
+ */
+class FakeBot {
+  constructor() {
+    this.commands = [];
+    this.sent = [];
+  }
+
+  onText(regexp, callback) {
+    this.commands.push({ regexp, callback });
+  }
+
+  async sendMessage(chatId, text) {
+    this.sent.push(text);
+  }
+
+  async receive(from, text) {
+    const msg = { from, chat: { id: from.id }, text };
+    for (const { regexp, callback } of this.commands) {
+      const match = regexp.exec(text);
+      if (match) await callback(msg, match);
+    }
+  }
+}
+
+let dir;
+let bot;
+let roleService;
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'role-handlers-'));
+  roleService = new RoleService({
+    rolesPath: path.join(dir, 'roles.json'),
+    auditPath: path.join(dir, 'audit.log'),
+    env: { OWNER_USER_IDS: '1', ADMIN_USER_IDS: '2' }
+  });
+  bot = new FakeBot();
+  new RoleHandlers(bot, { roleService }, 'main').registerHandlers();
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('owners grant and revoke roles', async () => {
+  await bot.receive({ id: 1 }, '/grant 5 teacher');
+  assert.strictEqual(roleService.getRole(5), 'teacher');
+
+  await bot.receive({ id: 1 }, '/revoke 5');
+  assert.strictEqual(roleService.getRole(5), null);
+  assert.deepStrictEqual(bot.sent, ['✅ User 5 is now teacher.', '✅ Role teacher revoked from user 5.']);
+});
+
+test('admins and other users cannot grant roles', async () => {
+  await bot.receive({ id: 2 }, '/grant 5 admin');
+  await bot.receive({ id: 5 }, '/grant 5 admin');
+
+  assert.strictEqual(roleService.getRole(5), null);
+  assert.ok(!fs.existsSync(path.join(dir, 'roles.json')));
+  assert.deepStrictEqual(bot.sent, ['⛔ Only owners can manage roles.', '⛔ Only owners can manage roles.']);
+
+  const audit = fs.readFileSync(path.join(dir, 'audit.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(audit.map(entry => [entry.event, entry.userId, entry.action, entry.required]),
+    [['denied', 2, '/grant', 'owner'], ['denied', 5, '/grant', 'owner']]);
+});
+
+test('tells the owner when an environment role still applies', async () => {
+  await bot.receive({ id: 1 }, '/grant 2 viewer');
+
+  assert.deepStrictEqual(bot.sent, ['✅ User 2 is now viewer (was admin).\nℹ️ admin is set for this user in the environment, so it still applies.']);
+});
+
+test('reports invalid grants to the owner', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  await bot.receive({ id: 1 }, '/grant 5 owner');
+
+  assert.deepStrictEqual(bot.sent, ['❌ Role must be one of: viewer, teacher, admin']);
+});
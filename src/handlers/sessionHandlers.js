@@ -0,0 +1,221 @@
+// How often sessions are checked for an upcoming expiry
+const WARNING_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Session Handlers
+ * Keeps users from losing a test in progress without notice: a warning with a
+ * "Continue" button is sent shortly before the session expires from inactivity,
+ * and a notice when it did. /resume sends the current question again.
+ * Buttons use the `session_` callback prefix.
+ */
+class SessionHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (sessionService, localeService, errorReportService)
+   * @param {CallbackHandlers} callbackHandlers - Test flow, used to re-send questions and stop question timers
+   */
+  constructor(bot, services, callbackHandlers) {
+    this.bot = bot;
+    this.sessionService = services.sessionService;
+    this.localeService = services.localeService;
+    this.errorReportService = services.errorReportService;
+    this.callbackHandlers = callbackHandlers;
+    this.warnings = new Map(); // userId -> { chatId, messageId, expiresAt } of the last warning
+    this.warningTimer = null;
+  }
+
+  /**
+   * Get the chat a session's notices go to (the private chat with the user if unknown)
+   */
+  getChatId(session) {
+    return session.chatId || session.userId;
+  }
+
+  /**
+   * Warn users whose test in progress is about to expire
+   * Each expiry time is warned about once; activity moves it, so a later one is warned about again.
+   */
+  checkExpiringSessions() {
+    const warningMs = this.sessionService.warningMinutes * 60 * 1000;
+    if (!warningMs) {
+      return;
+    }
+
+    for (const session of this.sessionService.getAllSessions()) {
+      if (!session || session.state !== 'in_progress') continue;
+
+      const expiresAt = this.sessionService.getExpiresAt(session.userId);
+      const warning = this.warnings.get(session.userId);
+      if (!expiresAt || expiresAt - Date.now() > warningMs || (warning && warning.expiresAt === expiresAt)) {
+        continue;
+      }
+
+      this.sendWarning(session, expiresAt).catch(error => {
+        console.error('Error sending session expiry warning:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Send the expiry warning with the "Continue" button
+   * @param {Object} session - Session about to expire
+   * @param {number} expiresAt - Expiry time (ms)
+   */
+  async sendWarning(session, expiresAt) {
+    const userId = session.userId;
+    const chatId = this.getChatId(session);
+    const t = this.localeService.getTranslator(userId);
+
+    const previous = this.warnings.get(userId);
+    const warning = { chatId, messageId: null, expiresAt };
+    this.warnings.set(userId, warning);
+    if (previous) {
+      await this.removeButtons(previous.chatId, previous.messageId);
+    }
+
+    const minutes = Math.max(Math.ceil((expiresAt - Date.now()) / 60000), 1);
+    const sent = await this.bot.sendMessage(chatId, t('session.expiryWarning', { minutes }), {
+      reply_markup: {
+        inline_keyboard: [[{ text: t('session.continueButton'), callback_data: 'session_continue' }]]
+      }
+    });
+    warning.messageId = sent.message_id;
+  }
+
+  /**
+   * Remove the buttons of a message that no longer apply (e.g. an old warning)
+   * @param {number} chatId - Chat ID
+   * @param {number} messageId - Message ID
+   */
+  async removeButtons(chatId, messageId) {
+    if (!messageId) {
+      return;
+    }
+    try {
+      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+    } catch (e) {
+      // Message might already be edited or deleted, ignore
+    }
+  }
+
+  /**
+   * Tell a user that their test expired from inactivity
+   * @param {Object} session - The expired session
+   */
+  async handleSessionExpired(session) {
+    if (!session || session.state !== 'in_progress') {
+      return;
+    }
+
+    const userId = session.userId;
+    const chatId = this.getChatId(session);
+    const t = this.localeService.getTranslator(userId);
+    console.log(`⏰ Session of user ${userId} expired at question ${session.currentQuestion + 1}`);
+
+    this.callbackHandlers.clearQuestionTimer(userId);
+
+    const warning = this.warnings.get(userId);
+    this.warnings.delete(userId);
+    if (warning) {
+      await this.removeButtons(warning.chatId, warning.messageId);
+    }
+
+    // The answer buttons of the last question can't be used any more
+    await this.removeButtons(chatId, session.questionMessageId);
+
+    await this.bot.sendMessage(chatId, t('messages.sessionExpired'));
+  }
+
+  /**
+   * Handle the "Continue" button: restart the inactivity timeout
+   * @param {Object} query - Telegram callback query
+   */
+  async handleCallback(query) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const t = this.localeService.getTranslator(userId, query.from.language_code);
+
+    try {
+      await this.bot.answerCallbackQuery(query.id);
+
+      if (query.data !== 'session_continue') {
+        return;
+      }
+
+      const session = this.sessionService.getSession(userId);
+      if (!session || session.state !== 'in_progress') {
+        await this.bot.sendMessage(chatId, t('messages.sessionExpiredShort'));
+        return;
+      }
+
+      this.sessionService.extendSession(userId);
+      this.warnings.delete(userId);
+      console.log(`▶️ Session of user ${userId} extended`);
+
+      await this.bot.editMessageText(t('session.extended', { minutes: this.sessionService.timeoutMinutes }), {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'session callback', user: query.from, action: query.data });
+      await this.bot.sendMessage(chatId, t('messages.error'));
+    }
+  }
+
+  /**
+   * Handle /resume: send the current question of the test in progress again
+   * @param {Object} msg - Telegram message object
+   */
+  async handleResume(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
+
+    try {
+      if (!await this.callbackHandlers.resumeTest(chatId, userId)) {
+        await this.bot.sendMessage(chatId, t('session.nothingToResume'));
+        return;
+      }
+
+      const warning = this.warnings.get(userId);
+      this.warnings.delete(userId);
+      if (warning) {
+        await this.removeButtons(warning.chatId, warning.messageId);
+      }
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'handleResume', user: msg.from, action: msg.text });
+      await this.bot.sendMessage(chatId, t('messages.error'));
+    }
+  }
+
+  /**
+   * Register /resume, the session buttons, expiry notices and the warning check
+   */
+  registerHandlers() {
+    this.bot.onText(/^\/resume\b/, (msg) => this.handleResume(msg));
+
+    this.bot.on('callback_query', (query) => {
+      if (query.data && query.data.startsWith('session_')) {
+        return this.handleCallback(query);
+      }
+    });
+
+    this.sessionService.onSessionExpired((session) => {
+      this.handleSessionExpired(session).catch(error => {
+        console.error('Error sending session expiry notice:', error.message);
+      });
+    });
+
+    this.warningTimer = setInterval(() => this.checkExpiringSessions(), WARNING_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Stop the warning check
+   */
+  stop() {
+    clearInterval(this.warningTimer);
+    this.warningTimer = null;
+  }
+}
+
+module.exports = SessionHandlers;
@@ -0,0 +1,136 @@
+// Events whose listeners are run through the per-user queue
+const QUEUED_EVENTS = ['message', 'callback_query'];
+
+/**
+ * Update Queue Handlers
+ * Handles the updates of each user strictly one after another through UpdateQueueService,
+ * by wrapping bot.processUpdate (used by both polling and webhook mode).
+ * Listeners of messages, commands and callback queries return promises; the wrapped
+ * bot.on/bot.onText collect them, so the next update of the user starts only when
+ * every handler of the previous one has finished.
+ * Must be registered before any other handler.
+ */
+class UpdateQueueHandlers {
+  /**
+   * @param {TelegramBot} bot - Bot instance
+   * @param {Object} services - Shared services (updateQueueService, localeService, errorReportService)
+   */
+  constructor(bot, services) {
+    this.bot = bot;
+    this.updateQueueService = services.updateQueueService;
+    this.localeService = services.localeService;
+    this.errorReportService = services.errorReportService;
+    this.running = null; // promises of the handlers of the update being dispatched
+  }
+
+  /**
+   * Get the user an update came from
+   * @param {Object} update - Telegram update
+   * @returns {Object|null} Telegram user, or null for updates without one
+   */
+  getUpdateUser(update) {
+    if (update.message && update.message.from) {
+      return update.message.from;
+    }
+    if (update.callback_query) {
+      return update.callback_query.from;
+    }
+    return null;
+  }
+
+  /**
+   * Wrap a listener so the promise it returns is awaited by the queue
+   * @param {Function} listener - Event or onText listener
+   * @returns {Function} Wrapped listener
+   */
+  track(listener) {
+    return (...args) => {
+      const result = listener(...args);
+      if (this.running && result && typeof result.then === 'function') {
+        this.running.push(result);
+      }
+      return result;
+    };
+  }
+
+  /**
+   * Dispatch an update to the listeners and wait for all of them
+   * Errors that escape a handler are reported here.
+   * @param {Function} processUpdate - The bot's original processUpdate
+   * @param {Object} update - Telegram update
+   * @param {Object} user - Telegram user the update came from
+   */
+  async dispatch(processUpdate, update, user) {
+    const action = update.callback_query ? update.callback_query.data : update.message.text;
+    const running = [];
+    this.running = running;
+    try {
+      processUpdate(update);
+    } catch (error) {
+      this.errorReportService.report(error, { source: 'update handler', user, action });
+    } finally {
+      this.running = null;
+    }
+
+    for (const result of await Promise.allSettled(running)) {
+      if (result.status === 'rejected') {
+        this.errorReportService.report(result.reason, { source: 'update handler', user, action });
+      }
+    }
+  }
+
+  /**
+   * Report an update that was not handled in time
+   * @param {string} status - Queue result
+   * @param {Object} update - Telegram update
+   * @param {Object} user - Telegram user
+   */
+  async handleStatus(status, update, user) {
+    if (status === 'timeout') {
+      console.warn(`⚠️ Update ${update.update_id} from user ${user.id} is still being handled, the user's next updates wait for it`);
+      return;
+    }
+    if (status !== 'expired' && status !== 'full') {
+      return;
+    }
+
+    console.warn(`⚠️ Update ${update.update_id} from user ${user.id} skipped (${status === 'full' ? 'queue full' : 'waited too long'})`);
+    const t = this.localeService.getTranslator(user.id, user.language_code);
+    try {
+      if (update.callback_query) {
+        await this.bot.answerCallbackQuery(update.callback_query.id, { text: t('messages.updateSkipped') });
+      } else {
+        await this.bot.sendMessage(update.message.chat.id, t('messages.updateSkipped'));
+      }
+    } catch (error) {
+      // Old callback queries can't be answered any more, ignore
+      console.error('Error sending skipped update notice:', error.message);
+    }
+  }
+
+  /**
+   * Install the queue in front of all other handlers
+   */
+  registerHandlers() {
+    const on = this.bot.on.bind(this.bot);
+    this.bot.on = (event, listener) =>
+      on(event, QUEUED_EVENTS.includes(event) ? this.track(listener) : listener);
+
+    const onText = this.bot.onText.bind(this.bot);
+    this.bot.onText = (regexp, callback) => onText(regexp, this.track(callback));
+
+    const processUpdate = this.bot.processUpdate.bind(this.bot);
+    this.bot.processUpdate = (update) => {
+      const user = this.getUpdateUser(update);
+      if (!user) {
+        processUpdate(update);
+        return;
+      }
+
+      this.updateQueueService.run(user.id, () => this.dispatch(processUpdate, update, user))
+        .then(status => this.handleStatus(status, update, user));
+    };
+  }
+}
+
+module.exports = UpdateQueueHandlers;
@@ -1,18 +1,42 @@
 require('dotenv').config();
 
+const path = require('path');
 const TelegramBot = require('node-telegram-bot-api');
+const MemoryStore = require('./services/stores/memoryStore');
+const FileStore = require('./services/stores/fileStore');
 const SessionService = require('./services/sessionService');
 const QuestionService = require('./services/questionService');
 const AssessmentService = require('./services/assessmentService');
 const MonitoringService = require('./services/monitoringService');
+const WebhookServer = require('./services/webhookServer');
+const LocaleService = require('./services/localeService');
+const ConfigService = require('./services/configService');
+const AudioService = require('./services/audioService');
+const ProfileService = require('./services/profileService');
+const CertificateService = require('./services/certificateService');
+const ClassService = require('./services/classService');
+const RoleService = require('./services/roleService');
+const RateLimitService = require('./services/rateLimitService');
+const CallbackTokenService = require('./services/callbackTokenService');
+const UpdateQueueService = require('./services/updateQueueService');
+const StatsService = require('./services/statsService');
+const SchedulerService = require('./services/schedulerService');
+const ErrorReportService = require('./services/errorReportService');
 const CommandHandlers = require('./handlers/commandHandlers');
 const CallbackHandlers = require('./handlers/callbackHandlers');
+const AdminHandlers = require('./handlers/adminHandlers');
+const ProfileHandlers = require('./handlers/profileHandlers');
+const ClassHandlers = require('./handlers/classHandlers');
+const RoleHandlers = require('./handlers/roleHandlers');
+const RateLimitHandlers = require('./handlers/rateLimitHandlers');
+const UpdateQueueHandlers = require('./handlers/updateQueueHandlers');
+const SessionHandlers = require('./handlers/sessionHandlers');
 
 /**
  * QuickEnglishLevelBot - Main Entry Point
  * 
- * A Telegram bot that assesses English language proficiency level (A1-B2)
- * through vocabulary and grammar tests.
+ * A Telegram bot that assesses English language proficiency level (CEFR A1-C2)
+ * through vocabulary, grammar, reading and listening tests.
  */
 class QuickEnglishLevelBot {
   constructor() {
@@ -45,18 +69,81 @@ class QuickEnglishLevelBot {
     try {
       // Session service with 30 minute timeout
       const sessionTimeout = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 30;
-      this.sessionService = new SessionService(sessionTimeout);
-      console.log(`✅ Session service initialized (${sessionTimeout} min timeout)`);
+      const warningMinutes = process.env.SESSION_WARNING_MINUTES !== undefined
+        ? parseInt(process.env.SESSION_WARNING_MINUTES) || 0
+        : 5;
+      const sessionStore = this.createSessionStore(sessionTimeout);
+      this.sessionService = new SessionService(sessionTimeout, sessionStore, warningMinutes);
+      console.log(`✅ Session service initialized (${sessionTimeout} min timeout, ${this.sessionStoreType} store)`);
+      if (warningMinutes > 0 && !this.sessionService.warningMinutes) {
+        console.warn('⚠️  SESSION_WARNING_MINUTES must be shorter than the session timeout, expiry warnings disabled');
+      }
+
+      // Config service (config.json, shared by all services and handlers)
+      this.configService = new ConfigService();
+      console.log('✅ Config service initialized');
 
       // Question service
-      this.questionService = new QuestionService();
+      this.questionService = new QuestionService(null, this.configService.getLevels());
       const questionStats = this.questionService.getStats();
       console.log(`✅ Question service initialized (${questionStats.total} questions loaded)`);
 
       // Assessment service
-      this.assessmentService = new AssessmentService();
+      this.assessmentService = new AssessmentService(this.configService);
       console.log('✅ Assessment service initialized');
 
+      // Locale service
+      this.localeService = new LocaleService();
+      console.log('✅ Locale service initialized');
+
+      // Audio service for listening questions
+      this.audioService = new AudioService();
+      console.log('✅ Audio service initialized');
+
+      // Profile service (opt-in learner history)
+      this.profileService = new ProfileService();
+      console.log('✅ Profile service initialized');
+
+      // Certificate service (result certificates from data/certificate/)
+      this.certificateService = new CertificateService();
+      console.log('✅ Certificate service initialized');
+
+      // Class service (classroom mode)
+      this.classService = new ClassService();
+      console.log('✅ Class service initialized');
+
+      // Role service (access to admin, teacher and statistics commands)
+      this.roleService = new RoleService();
+      console.log(`✅ Role service initialized (${this.roleService.listRoles().length} user(s) with a role)`);
+
+      // Rate limit service (per-user limits, daily test cap, flood blocks)
+      this.rateLimitService = new RateLimitService(this.configService);
+      console.log(`✅ Rate limiting ${this.rateLimitService.isEnabled() ? 'enabled' : 'disabled'}`);
+
+      // Stats service (daily totals for the scheduled reports)
+      this.statsService = new StatsService();
+      console.log('✅ Stats service initialized');
+
+      // Update queue service (handles each user's updates one at a time)
+      this.updateQueueService = new UpdateQueueService();
+      console.log('✅ Update queue initialized');
+
+      // Callback token service (signed question buttons)
+      // With the file store, a generated key is kept next to the session file so restored
+      // sessions' buttons keep working after a restart
+      this.callbackTokenService = new CallbackTokenService({
+        keyPath: this.sessionStoreType === 'file'
+          ? path.join(path.dirname(sessionStore.filePath), 'callback-signing.key')
+          : null
+      });
+      if (this.callbackTokenService.keySource === 'secret') {
+        console.log('✅ Question buttons signed with CALLBACK_SIGNING_SECRET');
+      } else if (this.callbackTokenService.keySource === 'file') {
+        console.log('✅ Question buttons signed with the key stored next to the session file');
+      } else {
+        console.warn('⚠️  CALLBACK_SIGNING_SECRET not set: using a random key, question buttons stop working after a restart');
+      }
+
       // Monitoring service (optional)
       this.monitoringService = new MonitoringService({
         monitorBotToken: process.env.MONITOR_BOT_TOKEN,
@@ -68,79 +155,268 @@ class QuickEnglishLevelBot {
       } else {
         console.log('ℹ️  Monitoring service not configured (optional)');
       }
+
+      // Error reports (grouped, throttled alerts to the monitor chat), including process-level errors
+      this.errorReportService = new ErrorReportService({
+        monitoringService: this.monitoringService,
+        sessionService: this.sessionService
+      });
+      this.errorReportService.registerProcessHandlers();
+      this.errorReportService.start();
+      console.log('✅ Error reporting initialized');
+
+      // Hot reload: rejected files keep the current version and alert the monitor chat
+      this.configService.on('reloadError', (fileName, error) => {
+        this.errorReportService.report(error, { source: `Reloading ${fileName} (current version kept)` });
+      });
+      this.configService.watch(this.questionService);
+
+      // Report limits being hit, and the resulting blocks, to the monitor chat
+      this.rateLimitService.on('throttled', (user, kind) => {
+        this.monitoringService.sendRateLimitNotification(user, `Over the ${kind} rate limit`);
+      });
+      this.rateLimitService.on('blocked', (user, { rejected, minutes }) => {
+        this.monitoringService.sendRateLimitNotification(user,
+          `Blocked for ${minutes} min after ${rejected} rejected updates`);
+      });
+      this.rateLimitService.on('dailyLimit', (user, { limit }) => {
+        this.monitoringService.sendRateLimitNotification(user, `Reached the daily cap of ${limit} tests`);
+      });
+
+      // Scheduled statistics reports to the monitor chat (schedules follow config reloads)
+      this.schedulerService = new SchedulerService({ errorReportService: this.errorReportService });
+      for (const period of ['daily', 'weekly']) {
+        this.schedulerService.schedule(`${period} report`, () => this.getReportSchedule(period), () =>
+          this.monitoringService.sendStatsReport(this.statsService.getReport(period), this.configService.getLevels()));
+      }
     } catch (error) {
       console.error('❌ Error initializing services:', error.message);
       process.exit(1);
     }
   }
 
+  /**
+   * Get the services shared with the handlers
+   * @returns {Object} Services by name
+   */
+  getServices() {
+    return {
+      sessionService: this.sessionService,
+      questionService: this.questionService,
+      assessmentService: this.assessmentService,
+      monitoringService: this.monitoringService,
+      localeService: this.localeService,
+      audioService: this.audioService,
+      profileService: this.profileService,
+      certificateService: this.certificateService,
+      classService: this.classService,
+      roleService: this.roleService,
+      rateLimitService: this.rateLimitService,
+      callbackTokenService: this.callbackTokenService,
+      updateQueueService: this.updateQueueService,
+      statsService: this.statsService,
+      errorReportService: this.errorReportService,
+      configService: this.configService
+    };
+  }
+
+  /**
+   * Get the cron schedule of a statistics report from config.json
+   * @param {string} period - 'daily' or 'weekly'
+   * @returns {string|null} Cron expression, or null if the report is off or there is no monitor chat
+   */
+  getReportSchedule(period) {
+    const report = (this.configService.getConfig().reports || {})[period];
+    if (!report || report.enabled === false || !this.monitoringService.isEnabled()) {
+      return null;
+    }
+    return report.schedule;
+  }
+
+  /**
+   * Create the session store selected by SESSION_STORE (memory or file)
+   * @param {number} timeoutMinutes - Session timeout in minutes
+   * @returns {MemoryStore} Session store
+   */
+  createSessionStore(timeoutMinutes) {
+    const ttlSeconds = timeoutMinutes * 60;
+    this.sessionStoreType = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+    if (this.sessionStoreType === 'file') {
+      const filePath = process.env.SESSION_STORE_PATH ||
+        path.join(__dirname, '../data/sessions.json');
+      return new FileStore(ttlSeconds, filePath);
+    }
+
+    if (this.sessionStoreType !== 'memory') {
+      console.warn(`⚠️  Unknown SESSION_STORE "${this.sessionStoreType}", using memory store`);
+      this.sessionStoreType = 'memory';
+    }
+
+    return new MemoryStore(ttlSeconds);
+  }
+
   /**
    * Initialize Telegram bot
    */
   initializeBot() {
     try {
       const token = process.env.TELEGRAM_BOT_TOKEN;
-      const pollingOptions = {
-        polling: {
-          interval: 300,
-          autoStart: true,
-          params: {
-            timeout: 10
+      this.botMode = (process.env.BOT_MODE || 'polling').toLowerCase();
+
+      if (this.botMode === 'webhook') {
+        // Updates arrive through our own HTTP server instead of getUpdates
+        this.bot = new TelegramBot(token, { polling: false });
+        this.webhookServer = new WebhookServer({
+          port: parseInt(process.env.WEBHOOK_PORT) || 8080,
+          host: process.env.WEBHOOK_HOST || '0.0.0.0',
+          path: process.env.WEBHOOK_PATH || '/telegram/webhook',
+          secretToken: process.env.WEBHOOK_SECRET,
+          onUpdate: (update) => this.bot.processUpdate(update),
+          onError: (error) => this.bot.emit('webhook_error', error)
+        });
+      } else {
+        const pollingOptions = {
+          polling: {
+            interval: parseInt(process.env.POLLING_INTERVAL) || 300,
+            autoStart: true,
+            params: {
+              timeout: parseInt(process.env.POLLING_TIMEOUT) || 10
+            }
           }
-        }
-      };
+        };
 
-      this.bot = new TelegramBot(token, pollingOptions);
+        this.bot = new TelegramBot(token, pollingOptions);
+      }
       
       // Handle polling errors
       this.bot.on('polling_error', (error) => {
-        console.error('Polling error:', error.message);
+        this.errorReportService.report(error, { source: 'polling' });
       });
 
       // Handle webhook errors
       this.bot.on('webhook_error', (error) => {
-        console.error('Webhook error:', error.message);
+        this.errorReportService.report(error, { source: 'webhook' });
       });
 
-      console.log('✅ Telegram bot initialized');
+      console.log(`✅ Telegram bot initialized (${this.botMode} mode)`);
     } catch (error) {
       console.error('❌ Error initializing Telegram bot:', error.message);
       process.exit(1);
     }
   }
 
+  /**
+   * Start the webhook server and register the webhook with Telegram
+   * Without WEBHOOK_URL the server still runs, which allows local testing
+   * by POSTing update JSON to it.
+   */
+  async startWebhook() {
+    await this.webhookServer.start();
+
+    const webhookUrl = this.getWebhookUrl();
+    if (!webhookUrl) {
+      console.log('ℹ️  WEBHOOK_URL not set, skipping setWebHook (local mode)');
+      return;
+    }
+
+    const options = {};
+    if (process.env.WEBHOOK_SECRET) {
+      options.secret_token = process.env.WEBHOOK_SECRET;
+    }
+
+    await this.bot.setWebHook(webhookUrl, options);
+    console.log(`✅ Webhook registered: ${webhookUrl}`);
+  }
+
+  /**
+   * Remove the webhook from Telegram and stop the webhook server
+   */
+  async stopWebhook() {
+    if (this.getWebhookUrl()) {
+      try {
+        await this.bot.deleteWebHook();
+        console.log('✅ Webhook removed');
+      } catch (error) {
+        console.error('Error removing webhook:', error.message);
+      }
+    }
+
+    await this.webhookServer.stop();
+  }
+
+  /**
+   * Build the public webhook URL from WEBHOOK_URL and WEBHOOK_PATH
+   * @returns {string|null} Full webhook URL or null if not configured
+   */
+  getWebhookUrl() {
+    const baseUrl = process.env.WEBHOOK_URL;
+    if (!baseUrl) {
+      return null;
+    }
+    return baseUrl.replace(/\/+$/, '') + this.webhookServer.path;
+  }
+
   /**
    * Register all message and callback handlers
    */
   registerHandlers() {
     try {
+      // Update queue (wraps every handler registered after it, so it must come first)
+      this.updateQueueHandlers = new UpdateQueueHandlers(this.bot, this.getServices());
+      this.updateQueueHandlers.registerHandlers();
+      console.log('✅ Update queue handlers registered');
+
+      // Rate limits (filters updates before they are queued)
+      this.rateLimitHandlers = new RateLimitHandlers(this.bot, this.getServices());
+      this.rateLimitHandlers.registerHandlers();
+      console.log('✅ Rate limit handlers registered');
+
       // Command handlers
-      this.commandHandlers = new CommandHandlers(
-        this.bot,
-        this.sessionService,
-        this.questionService,
-        this.assessmentService,
-        this.monitoringService
-      );
+      this.commandHandlers = new CommandHandlers(this.bot, this.getServices());
       this.commandHandlers.registerHandlers();
       console.log('✅ Command handlers registered');
 
       // Callback handlers
-      this.callbackHandlers = new CallbackHandlers(
-        this.bot,
-        this.sessionService,
-        this.questionService,
-        this.assessmentService,
-        this.monitoringService
-      );
+      this.callbackHandlers = new CallbackHandlers(this.bot, this.getServices());
       this.callbackHandlers.registerHandlers();
       console.log('✅ Callback handlers registered');
 
+      // Session handlers (/resume, expiry warnings and notices)
+      this.sessionHandlers = new SessionHandlers(this.bot, this.getServices(), this.callbackHandlers);
+      this.sessionHandlers.registerHandlers();
+      console.log('✅ Session handlers registered');
+
+      // Profile handlers (opt-in learner history)
+      this.profileHandlers = new ProfileHandlers(this.bot, this.getServices());
+      this.profileHandlers.registerHandlers();
+      console.log('✅ Profile handlers registered');
+
+      // Class handlers (classroom mode for teachers)
+      this.classHandlers = new ClassHandlers(this.bot, this.getServices());
+      this.classHandlers.registerHandlers();
+      console.log('✅ Class handlers registered');
+
+      // Admin handlers (question bank management)
+      this.adminHandlers = new AdminHandlers(this.bot, this.getServices());
+      this.adminHandlers.registerHandlers();
+      const adminCount = this.roleService.countUsers('admin');
+      if (adminCount > 0) {
+        console.log(`✅ Admin handlers registered (${adminCount} admin(s))`);
+      } else {
+        console.log('ℹ️  Admin commands disabled: no user has the admin role (ADMIN_USER_IDS, OWNER_USER_IDS)');
+      }
+
+      // Role handlers (role management for owners)
+      this.roleHandlers = new RoleHandlers(this.bot, this.getServices(), 'main');
+      this.roleHandlers.registerHandlers();
+      console.log('✅ Role handlers registered');
+
       // Handle unrecognized messages
       this.bot.on('message', (msg) => {
         // Only handle non-command text messages
         if (msg.text && !msg.text.startsWith('/')) {
-          this.handleUnrecognizedMessage(msg);
+          return this.handleUnrecognizedMessage(msg);
         }
       });
     } catch (error) {
@@ -155,20 +431,25 @@ class QuickEnglishLevelBot {
   async handleUnrecognizedMessage(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const t = this.localeService.getTranslator(userId, msg.from.language_code);
+
+    // Admins in the middle of a question wizard
+    if (await this.adminHandlers.handleWizardInput(msg)) {
+      return;
+    }
+
+    // Gap-fill and word-order questions are answered with a text message
+    if (await this.callbackHandlers.handleTextAnswer(msg)) {
+      return;
+    }
 
     // Check if user has an active session in progress
     const session = this.sessionService.getSession(userId);
     
     if (session && session.state === 'in_progress') {
-      await this.bot.sendMessage(
-        chatId,
-        '⚠️ Please select an answer from the options above.\n\nOr use:\n• /restart to start over\n• /cancel to cancel the test'
-      );
+      await this.bot.sendMessage(chatId, t('messages.selectAnswer'));
     } else {
-      await this.bot.sendMessage(
-        chatId,
-        '👋 Hi! Use /start to begin the English level assessment test.\n\nOr use /help for more information.'
-      );
+      await this.bot.sendMessage(chatId, t('messages.greeting'));
     }
   }
 
@@ -184,8 +465,17 @@ class QuickEnglishLevelBot {
         await this.monitoringService.sendShutdownNotification();
       }
 
-      // Stop polling
-      if (this.bot) {
+      this.configService.stopWatching();
+      if (this.sessionHandlers) {
+        this.sessionHandlers.stop();
+      }
+      this.schedulerService.stop();
+      this.errorReportService.stop();
+
+      // Stop receiving updates
+      if (this.webhookServer) {
+        await this.stopWebhook();
+      } else if (this.bot) {
         await this.bot.stopPolling();
       }
 
@@ -202,12 +492,23 @@ class QuickEnglishLevelBot {
    */
   async start() {
     console.log('\n🤖 QuickEnglishLevelBot is starting...\n');
+
+    if (this.webhookServer) {
+      try {
+        await this.startWebhook();
+      } catch (error) {
+        console.error('❌ Error starting webhook:', error.message);
+        process.exit(1);
+      }
+    }
     
     // Send startup notification to monitoring
     if (this.monitoringService && this.monitoringService.isEnabled()) {
       await this.monitoringService.sendStartupNotification();
     }
 
+    this.schedulerService.start();
+
     console.log('═══════════════════════════════════════');
     console.log('  🎓 QuickEnglishLevelBot is running!');
     console.log('═══════════════════════════════════════');
@@ -3,12 +3,23 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const fs = require('fs');
 const path = require('path');
+const { loadLevels, createLevelMap } = require('./utils/levels');
+const { isResultDocument, parseResultPayload } = require('./utils/resultPayload');
+const { CATEGORIES, createCategoryMap } = require('./utils/categories');
+const { OPTION_LETTERS } = require('./utils/questionTypes');
+const ItemAnalysisService = require('./services/itemAnalysisService');
+const RoleService = require('./services/roleService');
+const RoleHandlers = require('./handlers/roleHandlers');
+
+// Result payloads are small; anything larger is not ours
+const MAX_RESULT_FILE_BYTES = 512 * 1024;
 
 /**
  * QuickEnglishLevelBot - Monitoring Bot
  * 
  * A separate bot that receives and logs test results from the main bot.
- * Provides admin commands to view statistics.
+ * Provides admin commands to view statistics. Commands are gated by role
+ * (see RoleService): viewers read statistics, admins export and clear results.
  */
 class MonitorBot {
   constructor() {
@@ -60,23 +71,32 @@ class MonitorBot {
    */
   initializeStorage() {
     this.resultsFile = path.join(__dirname, '../data/results.json');
+    this.levels = loadLevels();
+    this.itemAnalysisService = new ItemAnalysisService(this.levels);
+    this.roleService = new RoleService();
     
     // Create results file if it doesn't exist
     if (!fs.existsSync(this.resultsFile)) {
-      const initialData = {
-        results: [],
-        statistics: {
-          totalTests: 0,
-          levelDistribution: { A1: 0, A2: 0, B1: 0, B2: 0 },
-          averageScore: 0
-        }
-      };
-      fs.writeFileSync(this.resultsFile, JSON.stringify(initialData, null, 2));
+      fs.writeFileSync(this.resultsFile, JSON.stringify(this.createInitialData(), null, 2));
     }
 
     console.log('✅ Storage initialized');
   }
 
+  /**
+   * Create empty results data with one distribution entry per configured level
+   */
+  createInitialData() {
+    return {
+      results: [],
+      statistics: {
+        totalTests: 0,
+        levelDistribution: createLevelMap(this.levels, () => 0),
+        averageScore: 0
+      }
+    };
+  }
+
   /**
    * Load results from file
    */
@@ -101,6 +121,22 @@ class MonitorBot {
     }
   }
 
+  /**
+   * Check that the sender of a command has a role; others are told and the attempt is audit-logged
+   * @param {Object} msg - Telegram message
+   * @param {string} role - Required role
+   * @param {string} action - Command, for the audit log
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async requireRole(msg, role, action) {
+    if (this.roleService.authorize(msg.from, role, action, 'monitor')) {
+      return true;
+    }
+
+    await this.bot.sendMessage(msg.chat.id, `⛔ ${action} requires the ${role} role.`);
+    return false;
+  }
+
   /**
    * Register all message handlers
    */
@@ -116,8 +152,11 @@ class MonitorBot {
         '• /stats - View overall statistics\n' +
         '• /recent - View recent test results\n' +
         '• /export - Export all results\n' +
+        '• /itemstats - Questions that are too easy, too hard or misleading\n' +
         '• /clear - Clear all stored results\n' +
-        '• /chatid - Get this chat\'s ID for configuration',
+        '• /chatid - Get this chat\'s ID for configuration\n' +
+        '• /roles, /grant, /revoke - Manage roles (owners)\n\n' +
+        '/stats, /recent and /itemstats need the viewer role; /export, /clear and /chatid need admin.',
         { parse_mode: 'Markdown' }
       );
     });
@@ -125,6 +164,7 @@ class MonitorBot {
     // /chatid command - Get chat ID for configuration
     this.bot.onText(/\/chatid/, async (msg) => {
       const chatId = msg.chat.id;
+      if (!await this.requireRole(msg, 'admin', '/chatid')) return;
       
       await this.bot.sendMessage(chatId,
         `📋 *Chat Information*\n\n` +
@@ -137,6 +177,7 @@ class MonitorBot {
     // /stats command
     this.bot.onText(/\/stats/, async (msg) => {
       const chatId = msg.chat.id;
+      if (!await this.requireRole(msg, 'viewer', '/stats')) return;
       const data = this.loadResults();
       
       const stats = data.statistics || {};
@@ -146,10 +187,9 @@ class MonitorBot {
       message += `📝 Total Tests: ${stats.totalTests || 0}\n`;
       message += `📈 Average Score: ${stats.averageScore || 0}%\n\n`;
       message += `*Level Distribution:*\n`;
-      message += `• A1 (Beginner): ${levelDist.A1 || 0}\n`;
-      message += `• A2 (Elementary): ${levelDist.A2 || 0}\n`;
-      message += `• B1 (Intermediate): ${levelDist.B1 || 0}\n`;
-      message += `• B2 (Upper-Int): ${levelDist.B2 || 0}`;
+      message += this.levels
+        .map(level => `• ${level.code} (${level.name}): ${levelDist[level.code] || 0}`)
+        .join('\n');
       
       await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     });
@@ -157,6 +197,7 @@ class MonitorBot {
     // /recent command
     this.bot.onText(/\/recent/, async (msg) => {
       const chatId = msg.chat.id;
+      if (!await this.requireRole(msg, 'viewer', '/recent')) return;
       const data = this.loadResults();
       
       const recentResults = data.results.slice(-10).reverse();
@@ -181,6 +222,7 @@ class MonitorBot {
     // /export command
     this.bot.onText(/\/export/, async (msg) => {
       const chatId = msg.chat.id;
+      if (!await this.requireRole(msg, 'admin', '/export')) return;
       const data = this.loadResults();
       
       if (data.results.length === 0) {
@@ -189,10 +231,16 @@ class MonitorBot {
       }
       
       // Create CSV content
-      let csv = 'User ID,Username,Level,Score,Vocabulary,Grammar,Timestamp\n';
+      const categoryHeaders = CATEGORIES.map(category => category.name).join(',');
+      let csv = `User ID,Username,Level,Score,${categoryHeaders},Timestamp\n`;
       data.results.forEach(result => {
+        const categoryValues = CATEGORIES
+          .map(category => (result[category.code] !== null && result[category.code] !== undefined
+            ? result[category.code]
+            : 'N/A'))
+          .join(',');
         csv += `${result.userId},${result.username || 'N/A'},${result.level},`;
-        csv += `${result.score},${result.vocabulary || 'N/A'},${result.grammar || 'N/A'},`;
+        csv += `${result.score},${categoryValues},`;
         csv += `${result.timestamp}\n`;
       });
       
@@ -206,9 +254,46 @@ class MonitorBot {
       });
     });
 
+    // /itemstats command - worst questions, or /itemstats <id> for one question
+    this.bot.onText(/^\/itemstats(?:@\w+)?(?:\s+(\d+))?\s*$/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      if (!await this.requireRole(msg, 'viewer', '/itemstats')) return;
+      const data = this.loadResults();
+      const items = this.itemAnalysisService.analyze(data.results);
+
+      if (items.length === 0) {
+        await this.bot.sendMessage(chatId, '📭 No answers recorded yet.');
+        return;
+      }
+
+      if (match[1]) {
+        const item = items.find(i => i.questionId === Number(match[1]));
+        await this.bot.sendMessage(chatId, item
+          ? this.formatItemDetail(item)
+          : `📭 No answers recorded for question ${match[1]}.`);
+        return;
+      }
+
+      const worst = this.itemAnalysisService.getWorstItems(items);
+      let message = `📉 Item Analysis\n\n`;
+      message += `${data.results.length} results, ${items.length} questions answered.\n\n`;
+
+      if (worst.length === 0) {
+        message += '✅ No questions flagged. Questions need at least ' +
+          `${this.itemAnalysisService.options.minResponses} answers before they can be flagged.`;
+      } else {
+        message += `Worst ${worst.length} questions:\n\n`;
+        message += worst.map(item => this.formatItemSummary(item)).join('\n\n');
+        message += '\n\nSend /itemstats <id> for details.';
+      }
+
+      await this.bot.sendMessage(chatId, message);
+    });
+
     // /clear command
     this.bot.onText(/\/clear/, async (msg) => {
       const chatId = msg.chat.id;
+      if (!await this.requireRole(msg, 'admin', '/clear')) return;
       
       await this.bot.sendMessage(chatId, 
         '⚠️ *Are you sure you want to clear all results?*\n\n' +
@@ -233,17 +318,14 @@ class MonitorBot {
       const data = query.data;
       
       await this.bot.answerCallbackQuery(query.id);
+
+      // The confirmation may be pressed by someone else in a group chat
+      if (!this.roleService.authorize(query.from, 'admin', data, 'monitor')) {
+        return;
+      }
       
       if (data === 'confirm_clear') {
-        const initialData = {
-          results: [],
-          statistics: {
-            totalTests: 0,
-            levelDistribution: { A1: 0, A2: 0, B1: 0, B2: 0 },
-            averageScore: 0
-          }
-        };
-        this.saveResults(initialData);
+        this.saveResults(this.createInitialData());
         
         await this.bot.editMessageText(
           '🗑️ All results have been cleared.',
@@ -257,59 +339,190 @@ class MonitorBot {
       }
     });
 
-    // Handle incoming result messages (forwarded from main bot)
+    // Handle incoming result payloads (sent by the main bot as JSON documents)
     this.bot.on('message', async (msg) => {
-      // Skip command messages
-      if (msg.text && msg.text.startsWith('/')) return;
-      
-      // Check if message contains test results
-      if (msg.text && msg.text.includes('New Test Completed')) {
-        await this.processResultMessage(msg);
+      if (isResultDocument(msg.document)) {
+        await this.processResultDocument(msg);
       }
     });
 
+    // Role management for owners
+    this.roleHandlers = new RoleHandlers(this.bot, { roleService: this.roleService }, 'monitor');
+    this.roleHandlers.registerHandlers();
+
     console.log('✅ Handlers registered');
   }
 
   /**
-   * Process incoming result message
+   * Format a share as a percentage
+   * @param {number|null} value - Share between 0 and 1
+   * @returns {string} Percentage, or "–" when unknown
+   */
+  formatShare(value) {
+    return value === null ? '–' : `${Math.round(value * 100)}%`;
+  }
+
+  /**
+   * Get the label of an answer option
+   * @param {Object} item - Item statistics
+   * @param {number} option - Option index
+   * @returns {string} Option letter, or True/False
+   */
+  formatOptionLabel(item, option) {
+    if (item.type === 'true_false') {
+      return option === 0 ? 'True' : 'False';
+    }
+    return OPTION_LETTERS[option] || String(option);
+  }
+
+  /**
+   * Format the one-line statistics of a question
+   * @param {Object} item - Item statistics
+   * @returns {string} Statistics line
+   */
+  formatItemStatsLine(item) {
+    const parts = [
+      `p ${item.pValue === null ? '–' : item.pValue.toFixed(2)}`,
+      `D ${item.discrimination === null ? '–' : item.discrimination.toFixed(2)}`,
+      `${item.responses} answers`
+    ];
+    if (item.avgResponseMs !== null) {
+      parts.push(`⏱ ${(item.avgResponseMs / 1000).toFixed(1)}s`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Format a flagged question for the /itemstats list
+   * @param {Object} item - Item statistics
+   * @returns {string} Summary
+   */
+  formatItemSummary(item) {
+    let text = `#${item.questionId} ${item.level || '?'} ${item.category || ''} · ${this.formatItemStatsLine(item)}\n`;
+
+    const flags = item.flags.map(flag => this.itemAnalysisService.getFlagLabel(flag));
+    if (item.observedLevel !== undefined && item.observedLevel !== item.level) {
+      flags.push(`behaves like ${item.observedLevel || 'above ' + this.levels[this.levels.length - 1].code}`);
+    }
+    text += `   ⚠️ ${flags.join(', ')}`;
+
+    if (item.distractors.length > 0) {
+      text += `\n   Distractors: ${item.distractors
+        .map(d => `${this.formatOptionLabel(item, d.option)} ${this.formatShare(d.share)}`)
+        .join(', ')}`;
+    } else if (item.wrongAnswers.length > 0) {
+      text += `\n   Wrong answers: ${item.wrongAnswers.map(w => `"${w.answer}" ×${w.count}`).join(', ')}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Format the full statistics of one question
+   * @param {Object} item - Item statistics
+   * @returns {string} Details
+   */
+  formatItemDetail(item) {
+    let text = `📊 Question #${item.questionId}\n`;
+    text += `${item.level || '?'} · ${item.category || '?'} · ${item.type || 'multiple_choice'}\n\n`;
+    text += `${this.formatItemStatsLine(item)}\n`;
+    if (item.timedOut > 0) {
+      text += `Timed out: ${item.timedOut}\n`;
+    }
+
+    text += '\nCorrect by test-taker level:\n';
+    text += this.levels
+      .map(level => `• ${level.code}: ${this.formatShare(item.pByLevel[level.code])}`)
+      .join('\n');
+    if (item.observedLevel !== undefined) {
+      text += `\nBehaves like: ${item.observedLevel || 'harder than every level'}\n`;
+    }
+
+    if (item.distractors.length > 0) {
+      text += '\nDistractors (chosen · upper/lower group):\n';
+      text += item.distractors
+        .map(d => `• ${this.formatOptionLabel(item, d.option)}: ${this.formatShare(d.share)} · ${d.upper}/${d.lower}`)
+        .join('\n');
+      text += '\n';
+    }
+    if (item.wrongAnswers.length > 0) {
+      text += '\nMost common wrong answers:\n';
+      text += item.wrongAnswers.map(w => `• "${w.answer}" ×${w.count}`).join('\n');
+      text += '\n';
+    }
+
+    if (item.flags.length > 0) {
+      text += `\n⚠️ ${item.flags.map(flag => this.itemAnalysisService.getFlagLabel(flag)).join(', ')}`;
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Download a Telegram file into a string
+   * @param {string} fileId - Telegram file ID
+   * @returns {Promise<string>} File contents
+   */
+  async downloadFileText(fileId) {
+    const stream = this.bot.getFileStream(fileId);
+    const chunks = [];
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Process incoming result payload document
    */
-  async processResultMessage(msg) {
+  async processResultDocument(msg) {
     try {
-      const text = msg.text;
-      
-      // Parse the result message
-      const userIdMatch = text.match(/User ID: `?(\d+)`?/);
-      const usernameMatch = text.match(/Username: @(\w+)/);
-      const levelMatch = text.match(/Level: \*?(\w+)\*?/);
-      const scoreMatch = text.match(/Score: \*?(\d+)%\*?/);
-      const vocabMatch = text.match(/Vocabulary: (\d+)%/);
-      const grammarMatch = text.match(/Grammar: (\d+)%/);
-      
-      if (!userIdMatch || !levelMatch || !scoreMatch) {
-        console.log('Could not parse result message');
+      if (msg.document.file_size > MAX_RESULT_FILE_BYTES) {
+        console.log('Result document too large, skipping');
         return;
       }
-      
+
+      const payload = parseResultPayload(await this.downloadFileText(msg.document.file_id));
+      const { assessment } = payload;
+      const categories = assessment.categoryPercentages || {};
+
+      // Load existing data
+      const data = this.loadResults();
+
+      // The same payload may be delivered twice (e.g. re-forwarded), record it once
+      if (data.results.some(r => r.resultId === payload.resultId)) {
+        console.log(`Result ${payload.resultId} already recorded, skipping`);
+        return;
+      }
+
       const result = {
-        userId: userIdMatch[1],
-        username: usernameMatch ? usernameMatch[1] : null,
-        level: levelMatch[1],
-        score: parseInt(scoreMatch[1]),
-        vocabulary: vocabMatch ? parseInt(vocabMatch[1]) : null,
-        grammar: grammarMatch ? parseInt(grammarMatch[1]) : null,
+        resultId: payload.resultId,
+        payloadVersion: payload.version,
+        userId: String(payload.userId),
+        username: payload.username || null,
+        level: assessment.level,
+        score: assessment.percentageScore,
+        ...createCategoryMap(category => {
+          const stats = (assessment.categoryStats || {})[category.code];
+          return stats && stats.total > 0 ? categories[category.code] : null;
+        }),
+        startedAt: payload.startedAt,
+        completedAt: payload.completedAt,
+        durationMs: payload.durationMs,
+        assessment,
+        answers: payload.answers || [],
         timestamp: new Date().toISOString()
       };
       
-      // Load existing data
-      const data = this.loadResults();
-      
       // Add new result
       data.results.push(result);
       
       // Update statistics
       data.statistics.totalTests++;
-      data.statistics.levelDistribution[result.level]++;
+      const distribution = data.statistics.levelDistribution;
+      distribution[result.level] = (distribution[result.level] || 0) + 1;
       
       // Recalculate average
       const totalScore = data.results.reduce((sum, r) => sum + r.score, 0);
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const QuestionService = require('./services/questionService');
+const QuestionSheetService = require('./services/questionSheetService');
+const { detectDelimiter } = require('./utils/csv');
+
+const USAGE = `Usage:
+  npm run questions -- import <file.csv|file.tsv> [--replace] [--dry-run]
+  npm run questions -- export [file.csv|file.tsv] [--level A1,A2] [--category grammar] [--tsv]
+
+Import merges rows into data/questions.json by id (rows without an id are added
+with the next free id). --replace makes the file the whole question bank.
+--dry-run checks every row and reports what would change without saving.
+
+Export writes to stdout when no file is given.`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, file, flags }
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--level' || arg === '--category') {
+      const value = args[++i];
+      if (!value) {
+        throw new Error(`${arg} needs a value`);
+      }
+      flags[arg.slice(2)] = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (arg.startsWith('--')) {
+      flags[arg.slice(2)] = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], file: positional[1], flags };
+}
+
+/**
+ * Import questions from a spreadsheet file
+ * @returns {number} Exit code
+ */
+function runImport(sheetService, file, flags) {
+  if (!file) {
+    throw new Error('import needs a file');
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const mode = flags.replace ? 'replace' : 'merge';
+  const result = sheetService.importQuestions(text, {
+    delimiter: detectDelimiter(file, text),
+    mode,
+    dryRun: Boolean(flags['dry-run'])
+  });
+
+  if (result.errors.length > 0) {
+    console.error(`❌ ${path.basename(file)} was not imported (${result.errors.length} problem(s)):`);
+    for (const error of result.errors) {
+      console.error(`  • ${error}`);
+    }
+    return 1;
+  }
+
+  const summary = `${result.added} added, ${result.updated} updated, ${result.total} questions in total`;
+  if (result.saved) {
+    console.log(`✅ Imported ${path.basename(file)} (${mode}): ${summary}`);
+  } else {
+    console.log(`🔎 Dry run of ${path.basename(file)} (${mode}): ${summary}. Nothing was saved.`);
+  }
+  return 0;
+}
+
+/**
+ * Export questions to a spreadsheet file or stdout
+ * @returns {number} Exit code
+ */
+function runExport(sheetService, file, flags) {
+  const delimiter = flags.tsv ? '\t' : detectDelimiter(file);
+  const { text, count } = sheetService.exportQuestions({
+    delimiter,
+    levels: flags.level || [],
+    categories: flags.category || []
+  });
+
+  if (!file) {
+    process.stdout.write(text);
+    return 0;
+  }
+
+  fs.writeFileSync(file, text);
+  console.log(`✅ Exported ${count} questions to ${file}`);
+  return 0;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const { command, file, flags } = parseArgs(args);
+
+  if (command !== 'import' && command !== 'export') {
+    console.log(USAGE);
+    return command && !flags.help ? 1 : 0;
+  }
+
+  // Loading the bank prints a status line; keep stdout clean for exports
+  const log = console.log;
+  console.log = (...messages) => console.error(...messages);
+  let questionService;
+  try {
+    questionService = new QuestionService();
+  } finally {
+    console.log = log;
+  }
+
+  const sheetService = new QuestionSheetService(questionService);
+  return command === 'import'
+    ? runImport(sheetService, file, flags)
+    : runExport(sheetService, file, flags);
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -1,58 +1,30 @@
-const fs = require('fs');
-const path = require('path');
+const ConfigService = require('./configService');
+const {
+  getEnabledLevels,
+  getLevelCodes,
+  findLevel,
+  getLevelForScore,
+  createLevelMap
+} = require('../utils/levels');
+const { RESULT_PAYLOAD_TYPE, RESULT_PAYLOAD_VERSION } = require('../utils/resultPayload');
+const { generateId } = require('../utils/helpers');
+const { QUESTION_TYPES, getQuestionType } = require('../utils/questionTypes');
+const { CATEGORIES, createCategoryMap } = require('../utils/categories');
 
 /**
  * Assessment Service
  * Handles scoring and level determination
  */
 class AssessmentService {
-  constructor(configPath = null) {
-    this.configPath = configPath || path.join(__dirname, '../../data/config.json');
-    this.config = this.loadConfig();
+  constructor(configService = null) {
+    this.configService = configService || new ConfigService();
   }
 
   /**
-   * Load configuration from JSON file
-   * @returns {Object} Configuration object
+   * Active configuration (follows reloads)
    */
-  loadConfig() {
-    try {
-      const data = fs.readFileSync(this.configPath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading config:', error.message);
-      // Return default config if file cannot be loaded
-      return this.getDefaultConfig();
-    }
-  }
-
-  /**
-   * Get default configuration
-   * @returns {Object} Default configuration
-   */
-  getDefaultConfig() {
-    return {
-      scoring: {
-        weights: {
-          A1: 1,
-          A2: 2,
-          B1: 3,
-          B2: 4
-        },
-        levelThresholds: {
-          A1: { min: 0, max: 25 },
-          A2: { min: 26, max: 50 },
-          B1: { min: 51, max: 75 },
-          B2: { min: 76, max: 100 }
-        }
-      },
-      recommendations: {
-        A1: "Focus on basic vocabulary and simple grammar structures.",
-        A2: "Practice past and future tenses, expand your vocabulary.",
-        B1: "Work on more complex grammar and improve fluency.",
-        B2: "Focus on advanced vocabulary and complex sentence structures."
-      }
-    };
+  get config() {
+    return this.configService.getConfig();
   }
 
   /**
@@ -69,25 +41,19 @@ class AssessmentService {
     let earnedWeight = 0;
     
     // Category breakdown
-    const categoryStats = {
-      vocabulary: { correct: 0, total: 0 },
-      grammar: { correct: 0, total: 0 }
-    };
+    const categoryStats = createCategoryMap(() => ({ correct: 0, total: 0 }));
 
     // Level breakdown
-    const levelStats = {
-      A1: { correct: 0, total: 0 },
-      A2: { correct: 0, total: 0 },
-      B1: { correct: 0, total: 0 },
-      B2: { correct: 0, total: 0 }
-    };
+    const levels = this.getLevels();
+    const levelStats = createLevelMap(levels, () => ({ correct: 0, total: 0 }));
 
     // Process each answer
     for (const answer of answers) {
       const question = questions.find(q => q.id === answer.questionId);
       if (!question) continue;
 
-      const weight = question.weight || this.config.scoring.weights[question.level] || 1;
+      const levelDefinition = findLevel(levels, question.level);
+      const weight = question.weight || (levelDefinition && levelDefinition.weight) || 1;
       totalWeight += weight;
 
       // Update category stats
@@ -116,8 +82,11 @@ class AssessmentService {
       ? Math.round((earnedWeight / totalWeight) * 100) 
       : 0;
 
-    // Determine level based on score
-    const level = this.determineLevel(percentageScore);
+    // Adaptive tests are placed by the final ability estimate, fixed-form tests by score
+    const isAdaptive = session.mode === 'adaptive' && session.adaptive;
+    const level = isAdaptive
+      ? this.getLevelForAbility(session.adaptive.ability)
+      : this.determineLevel(percentageScore);
 
     // Calculate category percentages
     const categoryPercentages = {};
@@ -139,10 +108,17 @@ class AssessmentService {
     const recommendation = this.getRecommendation(level);
 
     return {
+      // Identifies this result everywhere: certificate, monitoring payload and stored results
+      resultId: generateId(12),
+      mode: isAdaptive ? 'adaptive' : 'fixed',
       level,
+      abilityEstimate: isAdaptive ? Math.round(session.adaptive.ability * 100) / 100 : null,
       percentageScore,
       totalQuestions: answers.length,
       correctAnswers: answers.filter(a => a.isCorrect).length,
+      wrongAnswers: answers.filter(a => !a.isCorrect && !a.timedOut).length,
+      timedOutAnswers: answers.filter(a => a.timedOut).length,
+      timed: !!session.testDeadline || answers.some(a => a.timedOut),
       categoryStats,
       categoryPercentages,
       levelStats,
@@ -157,20 +133,132 @@ class AssessmentService {
   /**
    * Determine CEFR level based on percentage score
    * @param {number} percentage - Score percentage (0-100)
-   * @returns {string} CEFR level (A1, A2, B1, B2)
+   * @returns {string} CEFR level code
    */
   determineLevel(percentage) {
-    const thresholds = this.config.scoring.levelThresholds;
-
-    if (percentage <= thresholds.A1.max) {
-      return 'A1';
-    } else if (percentage <= thresholds.A2.max) {
-      return 'A2';
-    } else if (percentage <= thresholds.B1.max) {
-      return 'B1';
-    } else {
-      return 'B2';
+    return getLevelForScore(this.getLevels(), percentage);
+  }
+
+  /**
+   * Get enabled level definitions from config
+   * @returns {Array} Level definitions, lowest first
+   */
+  getLevels() {
+    return getEnabledLevels(this.config.levels);
+  }
+
+  /**
+   * Get the ordered list of level codes
+   * @returns {Array<string>} Levels from lowest to highest
+   */
+  getLevelOrder() {
+    return getLevelCodes(this.getLevels());
+  }
+
+  /**
+   * Get adaptive test settings merged with defaults
+   * @returns {Object} Adaptive settings
+   */
+  getAdaptiveSettings() {
+    const defaults = this.configService.getDefaultConfig().test.adaptive;
+    const configured = (this.config.test && this.config.test.adaptive) || {};
+    return { ...defaults, ...configured };
+  }
+
+  /**
+   * Check whether the configured test mode is adaptive
+   * @returns {boolean}
+   */
+  isAdaptiveMode() {
+    return !!(this.config.test && this.config.test.mode === 'adaptive');
+  }
+
+  /**
+   * Create the initial adaptive state for a new test
+   * Ability is expressed on the level scale (0 = lowest level).
+   * @returns {Object} Adaptive state
+   */
+  createAdaptiveState() {
+    const settings = this.getAdaptiveSettings();
+    const ability = Math.max(this.getLevelOrder().indexOf(settings.startLevel), 0);
+
+    return {
+      ability,
+      step: settings.initialStep,
+      lastDirection: 0,
+      history: []
+    };
+  }
+
+  /**
+   * Update the ability estimate after an answer
+   * Moves up after a correct answer and down after a wrong one; the step is
+   * halved on every change of direction so the estimate settles.
+   * @param {Object} state - Current adaptive state
+   * @param {boolean} isCorrect - Whether the last answer was correct
+   * @returns {Object} New adaptive state
+   */
+  updateAdaptiveState(state, isCorrect) {
+    const settings = this.getAdaptiveSettings();
+    const maxAbility = this.getLevelOrder().length - 1;
+    const direction = isCorrect ? 1 : -1;
+
+    let step = state.step;
+    if (state.lastDirection !== 0 && direction !== state.lastDirection) {
+      step = Math.max(step / 2, settings.minStep);
+    }
+
+    const ability = Math.min(Math.max(state.ability + direction * step, 0), maxAbility);
+
+    return {
+      ability,
+      step,
+      lastDirection: direction,
+      history: [...state.history, ability]
+    };
+  }
+
+  /**
+   * Convert an ability estimate into a CEFR level
+   * @param {number} ability - Ability on the level scale
+   * @returns {string} CEFR level
+   */
+  getLevelForAbility(ability) {
+    const levels = this.getLevelOrder();
+    const index = Math.min(Math.max(Math.round(ability), 0), levels.length - 1);
+    return levels[index];
+  }
+
+  /**
+   * Get the level the next adaptive question should be drawn from
+   * @param {Object} state - Current adaptive state
+   * @returns {string} CEFR level
+   */
+  getNextAdaptiveLevel(state) {
+    return this.getLevelForAbility(state.ability);
+  }
+
+  /**
+   * Check whether an adaptive test should stop
+   * Stops at the maximum length, or once the minimum is reached and the
+   * ability estimate has stayed within the tolerance over the stability window.
+   * @param {Object} state - Current adaptive state
+   * @returns {boolean}
+   */
+  isAdaptiveTestFinished(state) {
+    const settings = this.getAdaptiveSettings();
+    const answered = state.history.length;
+
+    if (answered >= settings.maxQuestions) {
+      return true;
+    }
+
+    if (answered < settings.minQuestions) {
+      return false;
     }
+
+    const recent = state.history.slice(-settings.stabilityWindow);
+    return Math.max(...recent) - Math.min(...recent) <= settings.stabilityTolerance;
   }
 
   /**
@@ -179,54 +267,62 @@ class AssessmentService {
    * @returns {string} Recommendation text
    */
   getRecommendation(level) {
-    return this.config.recommendations[level] || 
+    const definition = findLevel(this.getLevels(), level);
+    return (definition && definition.recommendation) || 
       "Keep practicing to improve your English skills!";
   }
 
   /**
    * Format assessment result for display
    * @param {Object} assessment - Assessment result object
+   * @param {Function} t - Translate function from LocaleService.getTranslator()
    * @returns {string} Formatted result message
    */
-  formatResultMessage(assessment) {
-    const levelEmoji = {
-      A1: '🌱',
-      A2: '🌿',
-      B1: '🌳',
-      B2: '🌲'
-    };
-
-    const levelDescription = {
-      A1: 'Beginner',
-      A2: 'Elementary',
-      B1: 'Intermediate',
-      B2: 'Upper-Intermediate'
-    };
+  formatResultMessage(assessment, t) {
+    const levels = this.getLevels();
+    const definition = findLevel(levels, assessment.level);
 
-    const emoji = levelEmoji[assessment.level] || '📊';
-    const description = levelDescription[assessment.level] || assessment.level;
+    const emoji = (definition && definition.emoji) || '📊';
+    const description = t(`levels.${assessment.level}.name`, {},
+      (definition && definition.name) || assessment.level);
+    const recommendation = t(`levels.${assessment.level}.recommendation`, {},
+      assessment.recommendation);
 
-    let message = `📊 *Your English Level Assessment Results*\n\n`;
-    message += `${emoji} *Level: ${assessment.level} (${description})*\n\n`;
-    message += `📈 *Overall Score: ${assessment.percentageScore}%*\n`;
-    message += `✅ Correct answers: ${assessment.correctAnswers}/${assessment.totalQuestions}\n\n`;
+    let message = `${t('results.title')}\n\n`;
+    message += `${t('results.level', { emoji, level: assessment.level, description })}\n\n`;
+    if (assessment.abilityEstimate !== null && assessment.abilityEstimate !== undefined) {
+      const maxAbility = this.getLevelOrder().length - 1;
+      message += `${t('results.ability', { ability: assessment.abilityEstimate, max: maxAbility })}\n`;
+    }
+    message += `${t('results.overall', { score: assessment.percentageScore })}\n`;
+    message += `${t('results.correctAnswers', {
+      correct: assessment.correctAnswers,
+      total: assessment.totalQuestions
+    })}\n`;
+    if (assessment.timed) {
+      message += `${t('results.wrongAnswers', { count: assessment.wrongAnswers })}\n`;
+      message += `${t('results.timedOut', { count: assessment.timedOutAnswers })}\n`;
+    }
+    message += '\n';
     
-    message += `📚 *Score by Category:*\n`;
-    message += `• Vocabulary: ${assessment.categoryPercentages.vocabulary}%`;
-    message += ` (${assessment.categoryStats.vocabulary.correct}/${assessment.categoryStats.vocabulary.total})\n`;
-    message += `• Grammar: ${assessment.categoryPercentages.grammar}%`;
-    message += ` (${assessment.categoryStats.grammar.correct}/${assessment.categoryStats.grammar.total})\n\n`;
+    message += `${t('results.byCategory')}\n`;
+    for (const [category, stats] of Object.entries(assessment.categoryStats)) {
+      if (stats.total === 0) continue;
+      message += `• ${t(`categories.${category}`)}: ${assessment.categoryPercentages[category]}%`;
+      message += ` (${stats.correct}/${stats.total})\n`;
+    }
+    message += '\n';
     
-    message += `📊 *Score by Level:*\n`;
-    for (const level of ['A1', 'A2', 'B1', 'B2']) {
+    message += `${t('results.byLevel')}\n`;
+    for (const level of getLevelCodes(levels)) {
       const stats = assessment.levelStats[level];
-      if (stats.total > 0) {
+      if (stats && stats.total > 0) {
         message += `• ${level}: ${assessment.levelPercentages[level]}%`;
         message += ` (${stats.correct}/${stats.total})\n`;
       }
     }
     
-    message += `\n💡 *Recommendation:*\n${assessment.recommendation}`;
+    message += `\n${t('results.recommendation')}\n${recommendation}`;
 
     return message;
   }
@@ -244,15 +340,75 @@ class AssessmentService {
     message += `🕐 Completed: ${new Date().toLocaleString()}\n\n`;
     message += `📊 *Results:*\n`;
     message += `• Level: *${assessment.level}*\n`;
+    if (assessment.mode === 'adaptive') {
+      message += `• Mode: adaptive (ability ${assessment.abilityEstimate})\n`;
+    }
     message += `• Score: *${assessment.percentageScore}%*\n`;
     message += `• Correct: ${assessment.correctAnswers}/${assessment.totalQuestions}\n`;
-    message += `• Vocabulary: ${assessment.categoryPercentages.vocabulary}%\n`;
-    message += `• Grammar: ${assessment.categoryPercentages.grammar}%\n`;
+    if (assessment.timed) {
+      message += `• Wrong: ${assessment.wrongAnswers}, timed out: ${assessment.timedOutAnswers}\n`;
+    }
+    for (const category of CATEGORIES) {
+      const stats = assessment.categoryStats[category.code];
+      if (stats && stats.total > 0) {
+        message += `• ${category.name}: ${assessment.categoryPercentages[category.code]}%\n`;
+      }
+    }
     message += `\n⏱ Duration: ${this.calculateDuration(session.startTime)}`;
 
     return message;
   }
 
+  /**
+   * Build the machine-readable result payload sent to the monitoring bot
+   * @param {Object} session - User session
+   * @param {Object} assessment - Assessment result
+   * @returns {Object} Versioned result payload
+   */
+  buildResultPayload(session, assessment) {
+    const questions = session.questions || [];
+
+    return {
+      type: RESULT_PAYLOAD_TYPE,
+      version: RESULT_PAYLOAD_VERSION,
+      resultId: assessment.resultId,
+      attemptId: session.attemptId || null,
+      userId: session.userId,
+      username: session.username || null,
+      startedAt: session.startTime,
+      completedAt: assessment.completedAt,
+      durationMs: new Date(assessment.completedAt) - new Date(session.startTime),
+      assessment,
+      answers: session.answers.map(answer => {
+        const question = questions.find(q => q.id === answer.questionId);
+        return {
+          ...answer,
+          type: question ? getQuestionType(question) : null,
+          correctOption: question ? this.getCorrectOptionIndex(question) : null,
+          level: question ? question.level : null,
+          category: question ? question.category : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Get the index of the correct option of a choice question
+   * True/false questions use option 0 for "True" and 1 for "False".
+   * @param {Object} question - Question object
+   * @returns {number|null} Option index, or null for typed answers
+   */
+  getCorrectOptionIndex(question) {
+    switch (getQuestionType(question)) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+        return question.correct;
+      case QUESTION_TYPES.TRUE_FALSE:
+        return question.correct ? 0 : 1;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Calculate test duration
    * @param {string} startTime - ISO timestamp of start time
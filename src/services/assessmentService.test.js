@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AssessmentService = require('./assessmentService');
+
+const LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'].map((code, index) => ({
+  code,
+  name: code,
+  weight: index + 1,
+  maxScore: Math.round((index + 1) * 100 / 6)
+}));
+
+const ADAPTIVE_DEFAULTS = {
+  startLevel: 'A2',
+  minQuestions: 8,
+  maxQuestions: 15,
+  initialStep: 1,
+  minStep: 0.25,
+  stabilityWindow: 4,
+  stabilityTolerance: 0.5
+};
+
+/**
+ * Create the service with a stub config
+ * @param {Object} adaptive - Adaptive settings overriding the defaults
+ */
+const createService = (adaptive = {}) => new AssessmentService({
+  getConfig: () => ({ test: { mode: 'adaptive', adaptive }, levels: LEVELS }),
+  getDefaultConfig: () => ({ test: { adaptive: ADAPTIVE_DEFAULTS } })
+});
+
+/**
+ * Answer a sequence of questions, returning the state after each one
+ */
+const answerAll = (service, state, answers) => answers.map(isCorrect => {
+  state = service.updateAdaptiveState(state, isCorrect);
+  return state;
+});
+
+test('starts at the configured level with the initial step', () => {
+  const service = createService();
+  assert.deepStrictEqual(service.createAdaptiveState(), { ability: 1, step: 1, lastDirection: 0, history: [] });
+  assert.strictEqual(createService({ startLevel: 'B2', initialStep: 2 }).createAdaptiveState().ability, 3);
+  assert.strictEqual(createService({ startLevel: 'X9' }).createAdaptiveState().ability, 0);
+});
+
+test('halves the step on every change of direction, down to the minimum step', () => {
+  const service = createService();
+  const states = answerAll(service, service.createAdaptiveState(), [true, false, false, true, false, true]);
+
+  assert.deepStrictEqual(states.map(s => s.step), [1, 0.5, 0.5, 0.25, 0.25, 0.25]);
+  assert.deepStrictEqual(states.map(s => s.ability), [2, 1.5, 1, 1.25, 1, 1.25]);
+  assert.deepStrictEqual(states[states.length - 1].history, [2, 1.5, 1, 1.25, 1, 1.25]);
+});
+
+test('keeps the step while the answers go the same way', () => {
+  const service = createService();
+  const states = answerAll(service, service.createAdaptiveState(), [true, true, true]);
+
+  assert.deepStrictEqual(states.map(s => [s.ability, s.step]), [[2, 1], [3, 1], [4, 1]]);
+});
+
+test('clamps the ability to the level scale', () => {
+  const service = createService({ startLevel: 'A1' });
+  const low = answerAll(service, service.createAdaptiveState(), [false, false]);
+  assert.deepStrictEqual(low.map(s => s.ability), [0, 0]);
+
+  const top = createService({ startLevel: 'C1', initialStep: 2 });
+  assert.strictEqual(top.updateAdaptiveState(top.createAdaptiveState(), true).ability, 5);
+});
+
+test('maps the ability to the nearest level', () => {
+  const service = createService();
+
+  assert.strictEqual(service.getLevelForAbility(0), 'A1');
+  assert.strictEqual(service.getLevelForAbility(1.25), 'A2');
+  assert.strictEqual(service.getLevelForAbility(1.5), 'B1');
+  assert.strictEqual(service.getLevelForAbility(-1), 'A1');
+  assert.strictEqual(service.getLevelForAbility(9), 'C2');
+  assert.strictEqual(service.getNextAdaptiveLevel({ ability: 3.4 }), 'B2');
+});
+
+test('does not stop before the minimum number of questions, even if stable', () => {
+  const service = createService();
+  assert.strictEqual(service.isAdaptiveTestFinished({ history: [2, 2, 2, 2, 2, 2, 2] }), false);
+  assert.strictEqual(service.isAdaptiveTestFinished({ history: [2, 2, 2, 2, 2, 2, 2, 2] }), true);
+});
+
+test('stops once the estimate stays within the tolerance over the stability window', () => {
+  const service = createService();
+
+  // Last four: 1.5..2 is within 0.5
+  assert.strictEqual(service.isAdaptiveTestFinished({ history: [2, 3, 4, 3, 2, 1.5, 2, 1.75, 1.5] }), true);
+  // Last four: 1.5..2.25 is not
+  assert.strictEqual(service.isAdaptiveTestFinished({ history: [2, 3, 4, 3, 2, 2.25, 1.5, 1.75, 1.5] }), false);
+});
+
+test('stops at the maximum number of questions', () => {
+  const service = createService({ maxQuestions: 10 });
+  const unstable = [0, 5, 0, 5, 0, 5, 0, 5, 0];
+
+  assert.strictEqual(service.isAdaptiveTestFinished({ history: unstable }), false);
+  assert.strictEqual(service.isAdaptiveTestFinished({ history: [...unstable, 5] }), true);
+});
+
+test('a test answered from the start finishes between the minimum and maximum length', () => {
+  const service = createService();
+  const pattern = [true, true, false, true, false, false, true, false, true, false, true, false, true, false, true];
+  let state = service.createAdaptiveState();
+  let answered = 0;
+
+  while (!service.isAdaptiveTestFinished(state)) {
+    state = service.updateAdaptiveState(state, pattern[answered]);
+    answered++;
+  }
+
+  assert.ok(answered >= 8 && answered <= 15, `finished after ${answered} questions`);
+  assert.strictEqual(state.history.length, answered);
+});
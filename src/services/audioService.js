@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+const VOICE_EXTENSIONS = ['.ogg', '.oga', '.opus'];
+
+/**
+ * Audio Service
+ * Sends listening-question audio from the local audio directory.
+ * After the first upload the Telegram file_id is cached, so later sends reuse
+ * it instead of uploading the file again. A cached file_id is dropped when the
+ * file on disk changes.
+ */
+class AudioService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.audioDir - Directory with audio files
+   * @param {string} options.cachePath - JSON file for cached file_ids
+   */
+  constructor(options = {}) {
+    this.audioDir = options.audioDir || path.join(__dirname, '../../data/audio');
+    this.cachePath = options.cachePath || path.join(__dirname, '../../data/audio-cache.json');
+    this.cache = {};
+    this.loadCache();
+  }
+
+  /**
+   * Load cached file_ids
+   */
+  loadCache() {
+    try {
+      if (fs.existsSync(this.cachePath)) {
+        this.cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading audio cache:', error.message);
+      this.cache = {};
+    }
+  }
+
+  /**
+   * Save cached file_ids
+   */
+  saveCache() {
+    try {
+      fs.writeFileSync(this.cachePath, JSON.stringify(this.cache, null, 2));
+    } catch (error) {
+      console.error('Error saving audio cache:', error.message);
+    }
+  }
+
+  /**
+   * Get the full path of an audio file
+   * @param {string} fileName - File name relative to the audio directory
+   * @returns {string} Absolute path
+   */
+  getFilePath(fileName) {
+    return path.join(this.audioDir, fileName);
+  }
+
+  /**
+   * Check if an audio file is sent as a voice message (Opus/OGG) rather than an audio file
+   * @param {string} fileName - File name
+   * @returns {boolean}
+   */
+  isVoice(fileName) {
+    return VOICE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+  }
+
+  /**
+   * Get the cached file_id for a file if the file hasn't changed since it was uploaded
+   * @param {string} fileName - File name
+   * @param {fs.Stats} stats - Current file stats
+   * @returns {string|null} Cached file_id
+   */
+  getCachedFileId(fileName, stats) {
+    const entry = this.cache[fileName];
+    if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+      return null;
+    }
+    return entry.fileId;
+  }
+
+  /**
+   * Send an audio file to a chat
+   * @param {TelegramBot} bot - Bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} fileName - File name relative to the audio directory
+   * @param {Object} options - Telegram message options
+   * @returns {Promise<Object>} Sent message
+   */
+  async send(bot, chatId, fileName, options = {}) {
+    const filePath = this.getFilePath(fileName);
+    const stats = fs.statSync(filePath);
+    const voice = this.isVoice(fileName);
+    const sendFile = (file, fileOptions) => (voice
+      ? bot.sendVoice(chatId, file, options, fileOptions)
+      : bot.sendAudio(chatId, file, options, fileOptions));
+
+    const cachedFileId = this.getCachedFileId(fileName, stats);
+    if (cachedFileId) {
+      try {
+        return await sendFile(cachedFileId);
+      } catch (error) {
+        // file_ids are tied to the bot; fall back to uploading again
+        console.error(`Cached audio ${fileName} could not be sent, re-uploading:`, error.message);
+        delete this.cache[fileName];
+      }
+    }
+
+    const message = await sendFile(fs.createReadStream(filePath), { filename: path.basename(fileName) });
+    const media = message.voice || message.audio || message.document;
+
+    if (media && media.file_id) {
+      this.cache[fileName] = { fileId: media.file_id, size: stats.size, mtimeMs: stats.mtimeMs };
+      this.saveCache();
+    }
+
+    return message;
+  }
+}
+
+module.exports = AudioService;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Hex characters of the HMAC kept in callback data (64 bits; callback data is limited to 64 bytes)
+const TOKEN_LENGTH = 16;
+
+/**
+ * Callback Token Service
+ * Signs the callback data of question buttons, so a button only works for the
+ * user, test attempt and question it was sent for. Buttons from old messages,
+ * forwarded messages and hand-crafted callback data fail verification.
+ *
+ * The key comes from CALLBACK_SIGNING_SECRET. Without it a random key is generated;
+ * given a key file (used with SESSION_STORE=file) the generated key is stored there and
+ * reused after restarts, otherwise buttons sent before a restart stop working.
+ */
+class CallbackTokenService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.secret - Signing key (default CALLBACK_SIGNING_SECRET)
+   * @param {string} options.keyPath - File keeping the generated key when there is no secret
+   * @throws {Error} If the key file can't be read or written
+   */
+  constructor(options = {}) {
+    const secret = options.secret || process.env.CALLBACK_SIGNING_SECRET;
+    if (secret) {
+      this.secret = secret;
+      this.keySource = 'secret';
+    } else if (options.keyPath) {
+      this.secret = this.loadOrCreateKey(options.keyPath);
+      this.keySource = 'file';
+    } else {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      this.keySource = 'random';
+    }
+    this.persistent = this.keySource !== 'random';
+  }
+
+  /**
+   * Read the key file, generating it on first use
+   * Written to a temp file and renamed, readable by the owner only.
+   * @param {string} keyPath - Key file
+   * @returns {string} Key
+   * @throws {Error} If the file is empty or can't be read or written
+   */
+  loadOrCreateKey(keyPath) {
+    try {
+      if (fs.existsSync(keyPath)) {
+        const key = fs.readFileSync(keyPath, 'utf8').trim();
+        if (!key) {
+          throw new Error('file is empty');
+        }
+        return key;
+      }
+
+      const key = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+      const tempPath = `${keyPath}.tmp`;
+      fs.writeFileSync(tempPath, `${key}\n`, { mode: 0o600 });
+      fs.renameSync(tempPath, keyPath);
+      return key;
+    } catch (error) {
+      throw new Error(`Failed to load callback signing key from ${keyPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign the fields that identify a button
+   * @param {Array} fields - e.g. [userId, attemptId, action, questionId, option, questionIndex]
+   * @returns {string} Token
+   */
+  sign(fields) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(fields.join('.'))
+      .digest('hex')
+      .slice(0, TOKEN_LENGTH);
+  }
+
+  /**
+   * Check a token against the fields it should have been signed for
+   * @param {Array} fields - Expected fields
+   * @param {string} token - Token from the callback data
+   * @returns {boolean} True if the token matches
+   */
+  verify(fields, token) {
+    if (typeof token !== 'string' || token.length !== TOKEN_LENGTH) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(this.sign(fields)), Buffer.from(token));
+  }
+}
+
+module.exports = CallbackTokenService;
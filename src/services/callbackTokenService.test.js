@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CallbackTokenService = require('./callbackTokenService');
+
+// [userId, attemptId, action, questionId, option, questionIndex]
+const FIELDS = [42, 'a1b2c3', 'answer', 17, 2, 3];
+
+test('verifies a token signed for the same fields', () => {
+  const tokens = new CallbackTokenService({ secret: 'test-secret' });
+  const token = tokens.sign(FIELDS);
+
+  assert.match(token, /^[0-9a-f]{16}$/);
+  assert.ok(tokens.verify(FIELDS, token));
+  assert.ok(new CallbackTokenService({ secret: 'test-secret' }).verify(FIELDS, token));
+});
+
+test('rejects a token signed for another question index', () => {
+  const tokens = new CallbackTokenService({ secret: 'test-secret' });
+  const token = tokens.sign(FIELDS);
+
+  assert.ok(!tokens.verify([42, 'a1b2c3', 'answer', 17, 2, 4], token));
+  assert.ok(!tokens.verify([43, 'a1b2c3', 'answer', 17, 2, 3], token));
+  assert.ok(!tokens.verify([42, 'other', 'answer', 17, 2, 3], token));
+});
+
+test('rejects tampered, malformed and foreign tokens', () => {
+  const tokens = new CallbackTokenService({ secret: 'test-secret' });
+  const token = tokens.sign(FIELDS);
+  const tampered = (token[0] === '0' ? '1' : '0') + token.slice(1);
+
+  assert.ok(!tokens.verify(FIELDS, tampered));
+  assert.ok(!tokens.verify(FIELDS, token.slice(0, -1)));
+  assert.ok(!tokens.verify(FIELDS, undefined));
+  assert.ok(!new CallbackTokenService({ secret: 'other-secret' }).verify(FIELDS, token));
+});
+
+test('uses a random key without a secret or key file', () => {
+  const previous = process.env.CALLBACK_SIGNING_SECRET;
+  delete process.env.CALLBACK_SIGNING_SECRET;
+  try {
+    const first = new CallbackTokenService();
+    const second = new CallbackTokenService();
+    assert.strictEqual(first.persistent, false);
+    assert.ok(!second.verify(FIELDS, first.sign(FIELDS)));
+  } finally {
+    if (previous !== undefined) process.env.CALLBACK_SIGNING_SECRET = previous;
+  }
+});
+
+test('keeps a generated key in the key file across restarts', () => {
+  const previous = process.env.CALLBACK_SIGNING_SECRET;
+  delete process.env.CALLBACK_SIGNING_SECRET;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'callback-key-'));
+  const keyPath = path.join(dir, 'data', 'callback-signing.key');
+  try {
+    const before = new CallbackTokenService({ keyPath });
+    assert.strictEqual(before.keySource, 'file');
+    assert.ok(before.persistent);
+    assert.ok(fs.existsSync(keyPath));
+
+    const after = new CallbackTokenService({ keyPath });
+    assert.ok(after.verify(FIELDS, before.sign(FIELDS)));
+
+    fs.writeFileSync(keyPath, '');
+    assert.throws(() => new CallbackTokenService({ keyPath }), /Failed to load callback signing key.*file is empty/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previous !== undefined) process.env.CALLBACK_SIGNING_SECRET = previous;
+  }
+});
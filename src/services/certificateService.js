@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { findLevel } = require('../utils/levels');
+const { CATEGORIES } = require('../utils/categories');
+
+/**
+ * Escape text for use inside SVG/XML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Certificate Service
+ * Renders result certificates locally from an SVG template in the data directory.
+ * SVG keeps every script (Latin, Cyrillic, ...) readable without embedding fonts,
+ * and opens in any browser, where it can be printed or saved as PDF.
+ *
+ * Template placeholders: {name}, {level}, {levelName}, {score}, {correct},
+ * {total}, {categories}, {category.<code>} (e.g. {category.grammar}), {date}, {resultId}
+ */
+class CertificateService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.dataDir - Directory that template paths are relative to
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data');
+  }
+
+  /**
+   * Resolve the template path from the certificate settings
+   * @param {Object} settings - `certificate` section of config.json
+   * @returns {string} Absolute template path
+   * @throws {Error} If the path points outside the data directory
+   */
+  getTemplatePath(settings = {}) {
+    const dataDir = path.resolve(this.dataDir);
+    const templatePath = path.resolve(dataDir, settings.template || 'certificate/template.svg');
+
+    if (!templatePath.startsWith(dataDir + path.sep)) {
+      throw new Error(`Certificate template must be inside ${this.dataDir}`);
+    }
+    return templatePath;
+  }
+
+  /**
+   * Collect the values shown on a certificate
+   * @param {Object} assessment - Assessment result
+   * @param {string} name - Name of the test-taker
+   * @param {Array} levels - Level definitions
+   * @returns {Object} Placeholder values
+   */
+  buildFields(assessment, name, levels) {
+    const level = findLevel(levels, assessment.level);
+    const fields = {
+      name,
+      level: assessment.level,
+      levelName: level ? level.name : '',
+      score: assessment.percentageScore,
+      correct: assessment.correctAnswers,
+      total: assessment.totalQuestions,
+      date: assessment.completedAt.slice(0, 10),
+      resultId: assessment.resultId
+    };
+
+    const tested = [];
+    for (const category of CATEGORIES) {
+      const stats = (assessment.categoryStats || {})[category.code];
+      if (stats && stats.total > 0) {
+        const percentage = `${assessment.categoryPercentages[category.code]}%`;
+        fields[`category.${category.code}`] = percentage;
+        tested.push(`${category.name} ${percentage}`);
+      } else {
+        fields[`category.${category.code}`] = '–';
+      }
+    }
+    fields.categories = tested.join(' · ');
+
+    return fields;
+  }
+
+  /**
+   * Fill in a template
+   * Unknown placeholders are left untouched.
+   * @param {string} template - SVG template
+   * @param {Object} fields - Placeholder values
+   * @returns {string} Rendered SVG
+   */
+  render(template, fields) {
+    return template.replace(/\{([\w.]+)\}/g, (match, key) =>
+      (fields[key] !== undefined && fields[key] !== null ? escapeXml(fields[key]) : match));
+  }
+
+  /**
+   * Create a certificate for a result
+   * @param {Object} assessment - Assessment result
+   * @param {string} name - Name of the test-taker
+   * @param {Object} settings - `certificate` section of config.json
+   * @param {Array} levels - Level definitions
+   * @returns {Object} { buffer, fileName, contentType }
+   */
+  createCertificate(assessment, name, settings, levels) {
+    const template = fs.readFileSync(this.getTemplatePath(settings), 'utf8');
+    const svg = this.render(template, this.buildFields(assessment, name, levels));
+
+    return {
+      buffer: Buffer.from(svg, 'utf8'),
+      fileName: `certificate_${assessment.resultId}.svg`,
+      contentType: 'image/svg+xml'
+    };
+  }
+}
+
+module.exports = CertificateService;
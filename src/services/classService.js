@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('../utils/categories');
+const { formatDelimited } = require('../utils/csv');
+const { writeFileAtomic, moveAside } = require('../utils/dataFiles');
+
+// Class codes avoid characters that are easy to mix up (0/O, 1/I/L)
+const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Class Service
+ * Classes created by teachers. Students join through a deep link with the class
+ * code; the latest result of each student is kept for the teacher's report.
+ * Stored in data/classes.json.
+ */
+class ClassService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.classesPath - JSON file with the classes
+   */
+  constructor(options = {}) {
+    this.classesPath = options.classesPath || path.join(__dirname, '../../data/classes.json');
+    this.classes = {};
+    this.writable = true;
+    this.loadClasses();
+  }
+
+  /**
+   * Load classes from disk
+   * A file that can't be read is moved aside (never overwritten) and classes start
+   * empty; if it can't be moved, saving is turned off so the file stays as it is.
+   */
+  loadClasses() {
+    try {
+      if (fs.existsSync(this.classesPath)) {
+        this.classes = JSON.parse(fs.readFileSync(this.classesPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading classes:', error.message);
+      this.classes = {};
+
+      try {
+        const brokenPath = moveAside(this.classesPath);
+        console.warn(`⚠️  Unreadable classes file kept as ${brokenPath}`);
+      } catch (renameError) {
+        this.writable = false;
+        console.error(`Error moving the unreadable classes file aside, classes will not be saved: ${renameError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save classes to disk atomically (write to temp file, then rename)
+   */
+  saveClasses() {
+    if (!this.writable) {
+      return;
+    }
+
+    try {
+      writeFileAtomic(this.classesPath, JSON.stringify(this.classes, null, 2));
+    } catch (error) {
+      console.error('Error saving classes:', error.message);
+    }
+  }
+
+  /**
+   * Generate a class code that is not in use yet
+   * @returns {string} Class code
+   */
+  generateCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_CHARS.charAt(Math.floor(Math.random() * CODE_CHARS.length));
+      }
+    } while (this.classes[code]);
+    return code;
+  }
+
+  /**
+   * Normalize a code typed by a user
+   * @param {string} code - Class code
+   * @returns {string} Upper-case code
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Create a class
+   * @param {number} teacherId - Telegram user ID of the teacher
+   * @param {string} name - Class name
+   * @returns {Object} The created class
+   */
+  createClass(teacherId, name) {
+    const className = String(name || '').trim();
+    if (!className) {
+      throw new Error('Class name is required');
+    }
+    if (className.length > MAX_NAME_LENGTH) {
+      throw new Error(`Class name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const code = this.generateCode();
+    this.classes[code] = {
+      code,
+      name: className,
+      teacherId: String(teacherId),
+      createdAt: new Date().toISOString(),
+      students: {}
+    };
+    this.saveClasses();
+    return this.classes[code];
+  }
+
+  /**
+   * Get the longest allowed class name
+   * @returns {number} Characters
+   */
+  getMaxNameLength() {
+    return MAX_NAME_LENGTH;
+  }
+
+  /**
+   * Get a class by code
+   * @param {string} code - Class code (any case)
+   * @returns {Object|null} Class or null if not found
+   */
+  getClass(code) {
+    return this.classes[this.normalizeCode(code)] || null;
+  }
+
+  /**
+   * Get the classes created by a teacher, newest first
+   * @param {number} teacherId - Telegram user ID
+   * @returns {Array<Object>} Classes
+   */
+  getClassesByTeacher(teacherId) {
+    return Object.values(this.classes)
+      .filter(cls => cls.teacherId === String(teacherId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Check if a user created a class
+   * @param {Object} cls - Class
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean}
+   */
+  isTeacher(cls, userId) {
+    return cls.teacherId === String(userId);
+  }
+
+  /**
+   * Add a student to a class, or update their name if they joined before
+   * @param {string} code - Class code
+   * @param {Object} student - { userId, name, username }
+   * @returns {Object|null} The class, or null if not found
+   */
+  joinClass(code, student) {
+    const cls = this.getClass(code);
+    if (!cls) {
+      return null;
+    }
+
+    const key = String(student.userId);
+    const existing = cls.students[key];
+    cls.students[key] = {
+      ...existing,
+      name: student.name,
+      username: student.username || null,
+      joinedAt: existing ? existing.joinedAt : new Date().toISOString()
+    };
+    this.saveClasses();
+    return cls;
+  }
+
+  /**
+   * Record a student's completed test; only the latest result is kept
+   * @param {string} code - Class code
+   * @param {number} userId - Telegram user ID
+   * @param {Object} assessment - Assessment result
+   * @returns {boolean} True if the result was recorded
+   */
+  recordResult(code, userId, assessment) {
+    const cls = this.getClass(code);
+    const student = cls && cls.students[String(userId)];
+    if (!student) {
+      return false;
+    }
+
+    student.attempts = (student.attempts || 0) + 1;
+    student.result = {
+      resultId: assessment.resultId,
+      completedAt: assessment.completedAt,
+      level: assessment.level,
+      score: assessment.percentageScore,
+      weakestCategory: this.getWeakestCategory(assessment)
+    };
+    this.saveClasses();
+    return true;
+  }
+
+  /**
+   * Find the tested category with the lowest score
+   * @param {Object} assessment - Assessment result
+   * @returns {Object|null} { code, score } or null if no category was tested
+   */
+  getWeakestCategory(assessment) {
+    let weakest = null;
+    for (const category of CATEGORIES) {
+      const stats = (assessment.categoryStats || {})[category.code];
+      if (!stats || stats.total === 0) continue;
+
+      const score = assessment.categoryPercentages[category.code];
+      if (!weakest || score < weakest.score) {
+        weakest = { code: category.code, score };
+      }
+    }
+    return weakest;
+  }
+
+  /**
+   * Get the students of a class with their latest results
+   * Students who finished a test come first, ordered by name.
+   * @param {string} code - Class code
+   * @returns {Array<Object>} Students
+   */
+  getReport(code) {
+    const cls = this.getClass(code);
+    if (!cls) {
+      return [];
+    }
+
+    return Object.entries(cls.students)
+      .map(([userId, student]) => ({ userId, ...student }))
+      .sort((a, b) => (!!b.result - !!a.result) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Export a class report as CSV
+   * @param {string} code - Class code
+   * @returns {string} CSV text
+   */
+  exportReportCsv(code) {
+    const rows = [[
+      'name', 'username', 'user_id', 'level', 'score', 'weakest_category',
+      'weakest_score', 'attempts', 'completed_at', 'result_id', 'joined_at'
+    ]];
+
+    for (const student of this.getReport(code)) {
+      const result = student.result || {};
+      const weakest = result.weakestCategory || {};
+      rows.push([
+        student.name,
+        student.username,
+        student.userId,
+        result.level,
+        result.score,
+        weakest.code,
+        weakest.score,
+        student.attempts || 0,
+        result.completedAt,
+        result.resultId,
+        student.joinedAt
+      ]);
+    }
+
+    // Names come from the students' Telegram profiles
+    return formatDelimited(rows, ',', { escapeFormulas: true });
+  }
+}
+
+module.exports = ClassService;
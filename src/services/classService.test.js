@@ -0,0 +1,66 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClassService = require('./classService');
+const { parseDelimited } = require('../utils/csv');
+
+let dir;
+let classService;
+
+beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'classes-'));
+  classService = new ClassService({ classesPath: path.join(dir, 'classes.json') });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exports the class report with formula-like names escaped', () => {
+  const cls = classService.createClass(1, '=Class');
+  classService.joinClass(cls.code, { userId: 2, name: '=HYPERLINK("http://example.com","Click")', username: 'mallory' });
+  classService.joinClass(cls.code, { userId: 3, name: 'Ann Lee', username: null });
+  classService.joinClass(cls.code, { userId: 4, name: '@Bob', username: null });
+
+  const rows = parseDelimited(classService.exportReportCsv(cls.code));
+  const names = rows.slice(1).map(row => row[0]).sort();
+
+  assert.deepStrictEqual(names, ['\'=HYPERLINK("http://example.com","Click")', "'@Bob", 'Ann Lee']);
+  assert.ok(rows.slice(1).every(row => /^\d+$/.test(row[2])), 'user IDs stay plain');
+});
+
+test('keeps classes across restarts without leaving a temp file', () => {
+  const cls = classService.createClass(1, '9B');
+  classService.joinClass(cls.code, { userId: 2, name: 'Ann', username: null });
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ['classes.json']);
+  const restored = new ClassService({ classesPath: path.join(dir, 'classes.json') });
+  assert.deepStrictEqual(Object.keys(restored.getClass(cls.code).students), ['2']);
+});
+
+test('moves an unreadable file aside instead of overwriting it', () => {
+  const classesPath = path.join(dir, 'classes.json');
+  fs.writeFileSync(classesPath, '{"K7QX2M": {"name": "9');
+  const restored = new ClassService({ classesPath });
+  const cls = restored.createClass(1, '9B');
+
+  const broken = fs.readdirSync(dir).filter(name => name.startsWith('classes.json.broken-'));
+  assert.strictEqual(broken.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, broken[0]), 'utf8'), '{"K7QX2M": {"name": "9');
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(classesPath, 'utf8'))), [cls.code]);
+});
+
+test('does not save when an unreadable file cannot be moved aside', (t) => {
+  const classesPath = path.join(dir, 'classes.json');
+  fs.writeFileSync(classesPath, 'not json');
+  t.mock.method(fs, 'renameSync', () => { throw new Error('EACCES'); });
+  const restored = new ClassService({ classesPath });
+  restored.createClass(1, '9B');
+
+  assert.strictEqual(restored.writable, false);
+  assert.strictEqual(fs.readFileSync(classesPath, 'utf8'), 'not json');
+});
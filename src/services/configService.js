@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { DEFAULT_LEVELS, getEnabledLevels, getLevelCodes } = require('../utils/levels');
+const { parseCron } = require('../utils/cron');
+
+const TEST_MODES = ['fixed', 'adaptive'];
+
+/**
+ * Config Service
+ * Single owner of config.json. Watches config.json and questions.json and
+ * reloads them when they change on disk. A new version is validated first and
+ * only swapped in if it is valid; otherwise the current version stays active
+ * and a `reloadError` event is emitted.
+ *
+ * Events:
+ * - `reloaded` (fileName) - a changed file was loaded
+ * - `reloadError` (fileName, error) - a changed file was rejected
+ */
+class ConfigService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.configPath - Path to config.json
+   * @param {number} options.debounceMs - Wait after the last change event before reloading
+   */
+  constructor(options = {}) {
+    super();
+    this.configPath = options.configPath || path.join(__dirname, '../../data/config.json');
+    this.debounceMs = options.debounceMs || 500;
+    this.watchers = [];
+    this.timers = new Map(); // file path -> pending reload timer
+    this.contents = new Map(); // file path -> last loaded file contents
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load config.json, falling back to the defaults if it is missing or invalid
+   * @returns {Object} Configuration object
+   */
+  loadConfig() {
+    try {
+      const data = fs.readFileSync(this.configPath, 'utf8');
+      const config = JSON.parse(data);
+      this.validateConfig(config);
+      this.contents.set(this.configPath, data);
+      return config;
+    } catch (error) {
+      console.error('Error loading config:', error.message);
+      return this.getDefaultConfig();
+    }
+  }
+
+  /**
+   * Get default configuration
+   * @returns {Object} Default configuration
+   */
+  getDefaultConfig() {
+    return {
+      test: {
+        mode: 'fixed',
+        totalQuestions: 20,
+        adaptive: {
+          startLevel: 'A2',
+          minQuestions: 8,
+          maxQuestions: 15,
+          initialStep: 1,
+          minStep: 0.25,
+          stabilityWindow: 4,
+          stabilityTolerance: 0.5
+        }
+      },
+      levels: DEFAULT_LEVELS
+    };
+  }
+
+  /**
+   * Get the active configuration
+   * Read it on every use instead of keeping a copy, so reloads take effect.
+   * @returns {Object} Configuration object
+   */
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Get the enabled level definitions of the active configuration
+   * @returns {Array} Enabled levels, lowest first
+   */
+  getLevels() {
+    return getEnabledLevels(this.config.levels);
+  }
+
+  /**
+   * Validate a configuration object
+   * @param {Object} config - Parsed config.json
+   * @throws {Error} Describing the first problem found
+   */
+  validateConfig(config) {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+    if (!config || typeof config.test !== 'object' || config.test === null) {
+      throw new Error('config.test must be an object');
+    }
+
+    // Levels
+    if (config.levels !== undefined) {
+      if (!Array.isArray(config.levels) || config.levels.length === 0) {
+        throw new Error('levels must be a non-empty array');
+      }
+
+      const codes = new Set();
+      for (const level of config.levels) {
+        if (typeof level.code !== 'string' || level.code === '' || codes.has(level.code)) {
+          throw new Error(`Level code "${level.code}" is missing or duplicated`);
+        }
+        codes.add(level.code);
+
+        if (!isNumber(level.maxScore) || level.maxScore < 0 || level.maxScore > 100) {
+          throw new Error(`Level ${level.code} must have a maxScore between 0 and 100`);
+        }
+        if (level.weight !== undefined && (!isNumber(level.weight) || level.weight <= 0)) {
+          throw new Error(`Level ${level.code} has an invalid weight`);
+        }
+      }
+    }
+
+    const levels = getEnabledLevels(config.levels);
+    if (levels.length === 0) {
+      throw new Error('At least one level must be enabled');
+    }
+    for (let i = 1; i < levels.length; i++) {
+      if (levels[i].maxScore <= levels[i - 1].maxScore) {
+        throw new Error('Level maxScore values must increase from the lowest level to the highest');
+      }
+    }
+    const levelCodes = getLevelCodes(levels);
+
+    // Test settings
+    const { test } = config;
+
+    if (test.mode !== undefined && !TEST_MODES.includes(test.mode)) {
+      throw new Error(`test.mode must be one of: ${TEST_MODES.join(', ')}`);
+    }
+
+    if (test.totalQuestions !== undefined && (!isCount(test.totalQuestions) || test.totalQuestions === 0)) {
+      throw new Error('test.totalQuestions must be a positive integer');
+    }
+
+    if (test.questionsPerLevel !== undefined) {
+      for (const [level, count] of Object.entries(test.questionsPerLevel)) {
+        if (!levelCodes.includes(level)) {
+          throw new Error(`test.questionsPerLevel has an unknown or disabled level: ${level}`);
+        }
+        if (!isCount(count)) {
+          throw new Error(`test.questionsPerLevel.${level} must be a non-negative integer`);
+        }
+      }
+    }
+
+    if (test.timed !== undefined) {
+      for (const field of ['perQuestionSeconds', 'totalSeconds']) {
+        if (test.timed[field] !== undefined && (!isNumber(test.timed[field]) || test.timed[field] < 0)) {
+          throw new Error(`test.timed.${field} must be a non-negative number`);
+        }
+      }
+    }
+
+    if (test.listening !== undefined && test.listening.maxReplays !== undefined &&
+        !isCount(test.listening.maxReplays)) {
+      throw new Error('test.listening.maxReplays must be a non-negative integer');
+    }
+
+    if (test.adaptive !== undefined) {
+      const adaptive = test.adaptive;
+
+      if (adaptive.startLevel !== undefined && !levelCodes.includes(adaptive.startLevel)) {
+        throw new Error(`test.adaptive.startLevel is not an enabled level: ${adaptive.startLevel}`);
+      }
+      for (const field of ['minQuestions', 'maxQuestions', 'stabilityWindow']) {
+        if (adaptive[field] !== undefined && (!isCount(adaptive[field]) || adaptive[field] === 0)) {
+          throw new Error(`test.adaptive.${field} must be a positive integer`);
+        }
+      }
+      for (const field of ['initialStep', 'minStep', 'stabilityTolerance']) {
+        if (adaptive[field] !== undefined && (!isNumber(adaptive[field]) || adaptive[field] < 0)) {
+          throw new Error(`test.adaptive.${field} must be a non-negative number`);
+        }
+      }
+      if (adaptive.minQuestions > adaptive.maxQuestions) {
+        throw new Error('test.adaptive.minQuestions cannot be larger than maxQuestions');
+      }
+    }
+
+    // Certificate settings
+    const { certificate } = config;
+    if (certificate !== undefined) {
+      if (certificate.enabled !== undefined && typeof certificate.enabled !== 'boolean') {
+        throw new Error('certificate.enabled must be true or false');
+      }
+      if (certificate.template !== undefined &&
+          (typeof certificate.template !== 'string' || certificate.template.trim() === '')) {
+        throw new Error('certificate.template must be a file path');
+      }
+    }
+
+    // Rate limit settings
+    const { rateLimit } = config;
+    if (rateLimit !== undefined) {
+      if (rateLimit.enabled !== undefined && typeof rateLimit.enabled !== 'boolean') {
+        throw new Error('rateLimit.enabled must be true or false');
+      }
+      for (const kind of ['messages', 'callbacks']) {
+        const bucket = rateLimit[kind];
+        if (bucket === undefined) continue;
+        if (bucket.capacity !== undefined && (!isNumber(bucket.capacity) || bucket.capacity < 1)) {
+          throw new Error(`rateLimit.${kind}.capacity must be at least 1`);
+        }
+        if (bucket.refillPerMinute !== undefined && (!isNumber(bucket.refillPerMinute) || bucket.refillPerMinute <= 0)) {
+          throw new Error(`rateLimit.${kind}.refillPerMinute must be a positive number`);
+        }
+      }
+      if (rateLimit.dailyTests !== undefined && (!Number.isInteger(rateLimit.dailyTests) || rateLimit.dailyTests < 0)) {
+        throw new Error('rateLimit.dailyTests must be a whole number (0 for no cap)');
+      }
+      const flood = rateLimit.flood;
+      if (flood !== undefined) {
+        for (const field of ['maxRejected', 'windowSeconds']) {
+          if (flood[field] !== undefined && (!isNumber(flood[field]) || flood[field] < 0)) {
+            throw new Error(`rateLimit.flood.${field} must be a non-negative number`);
+          }
+        }
+        if (flood.blockMinutes !== undefined &&
+            (!isNumber(flood.blockMinutes) || flood.blockMinutes <= 0 || flood.blockMinutes > 1440)) {
+          throw new Error('rateLimit.flood.blockMinutes must be between 1 and 1440');
+        }
+      }
+    }
+
+    // Scheduled statistics reports
+    const { reports } = config;
+    if (reports !== undefined) {
+      for (const [period, report] of Object.entries(reports)) {
+        if (!['daily', 'weekly'].includes(period)) {
+          throw new Error(`reports.${period} is not a known report (daily, weekly)`);
+        }
+        if (typeof report !== 'object' || report === null) {
+          throw new Error(`reports.${period} must be an object`);
+        }
+        if (report.enabled !== undefined && typeof report.enabled !== 'boolean') {
+          throw new Error(`reports.${period}.enabled must be true or false`);
+        }
+        try {
+          parseCron(report.schedule);
+        } catch (error) {
+          throw new Error(`reports.${period}.schedule: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start watching config.json and the question bank for changes
+   * @param {QuestionService} questionService - Reloaded when questions.json changes,
+   *   and checked against new level definitions when config.json changes
+   */
+  watch(questionService) {
+    this.questionService = questionService;
+    this.contents.set(questionService.questionsPath, this.readFile(questionService.questionsPath));
+    // Questions saved by the bot are already applied, so the watcher must not reload them
+    questionService.onSaved = (data) => this.contents.set(questionService.questionsPath, data);
+
+    this.watchFile(this.configPath, () => this.reloadConfig());
+    this.watchFile(questionService.questionsPath, () => this.reloadQuestions());
+
+    console.log('Watching config and questions for changes');
+  }
+
+  /**
+   * Stop watching files
+   */
+  stopWatching() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchers = [];
+    this.timers.clear();
+  }
+
+  /**
+   * Watch a single file
+   * The directory is watched rather than the file, because editors and atomic
+   * writes replace the file, which ends a watch on the file itself.
+   * @param {string} filePath - File to watch
+   * @param {Function} onChange - Called (debounced) after the file changed
+   */
+  watchFile(filePath, onChange) {
+    const fileName = path.basename(filePath);
+
+    const watcher = fs.watch(path.dirname(filePath), (eventType, changedName) => {
+      if (changedName !== fileName) return;
+
+      clearTimeout(this.timers.get(filePath));
+      this.timers.set(filePath, setTimeout(() => {
+        this.timers.delete(filePath);
+        onChange();
+      }, this.debounceMs));
+    });
+
+    watcher.on('error', (error) => console.error(`Error watching ${fileName}:`, error.message));
+    this.watchers.push(watcher);
+  }
+
+  /**
+   * Read a file, or return null if it cannot be read
+   */
+  readFile(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a file's contents differ from the last loaded version
+   * Skips duplicate change events and the bot's own writes that were already applied
+   * (QuestionService reports its saves through `onSaved`, see watch()).
+   */
+  hasChanged(filePath) {
+    const data = this.readFile(filePath);
+    return data !== null && data !== this.contents.get(filePath);
+  }
+
+  /**
+   * Reload config.json
+   * The question bank is re-validated against the new level definitions before anything is swapped.
+   */
+  reloadConfig() {
+    const fileName = path.basename(this.configPath);
+    if (!this.hasChanged(this.configPath)) return;
+
+    // Remember this version even if it is rejected, so it is reported once
+    const data = this.readFile(this.configPath);
+    this.contents.set(this.configPath, data);
+
+    try {
+      const config = JSON.parse(data);
+      this.validateConfig(config);
+
+      if (this.questionService) {
+        this.questionService.setLevels(getEnabledLevels(config.levels));
+      }
+
+      this.config = config;
+      console.log(`🔄 ${fileName} reloaded`);
+      this.emit('reloaded', fileName);
+    } catch (error) {
+      console.error(`❌ ${fileName} not reloaded, keeping the current version:`, error.message);
+      this.emit('reloadError', fileName, error);
+    }
+  }
+
+  /**
+   * Reload the question bank
+   * QuestionService keeps the current questions if the new file is invalid.
+   */
+  reloadQuestions() {
+    const filePath = this.questionService.questionsPath;
+    const fileName = path.basename(filePath);
+    if (!this.hasChanged(filePath)) return;
+
+    // Remember this version even if it is rejected, so it is reported once
+    this.contents.set(filePath, this.readFile(filePath));
+
+    try {
+      this.questionService.reloadQuestions();
+      console.log(`🔄 ${fileName} reloaded`);
+      this.emit('reloaded', fileName);
+    } catch (error) {
+      console.error(`❌ ${fileName} not reloaded, keeping the current version:`, error.message);
+      this.emit('reloadError', fileName, error);
+    }
+  }
+}
+
+module.exports = ConfigService;
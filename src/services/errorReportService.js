@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const MemoryStore = require('./stores/memoryStore');
+
+// Repeats of an error are alerted at most once per this many minutes
+const DEFAULT_THROTTLE_MINUTES = 15;
+
+// Error groups are forgotten after a day without new occurrences
+const GROUP_TTL_SECONDS = 24 * 60 * 60;
+
+// How often repeats held back by the throttle are checked for a summary alert
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Longest wait for the alert about an uncaught exception before the process exits
+const EXIT_ALERT_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * Error Report Service
+ * One place for unexpected errors from handlers, timers, polling and the process itself.
+ * Each error is logged with its context (user, action, session state) and grouped by a
+ * fingerprint of where it happened and what it says. The first error of a group is sent
+ * to the monitoring chat right away; repeats are counted and summed up in one alert per
+ * throttle window, so a failing handler can't flood the chat.
+ */
+class ErrorReportService {
+  /**
+   * @param {Object} options - Service options
+   * @param {MonitoringService} options.monitoringService - Sends the alerts
+   * @param {SessionService} options.sessionService - Adds the user's session state to reports
+   * @param {number} options.throttleMinutes - Minimum time between alerts of the same group
+   */
+  constructor(options = {}) {
+    this.monitoringService = options.monitoringService || null;
+    this.sessionService = options.sessionService || null;
+    this.throttleMs = (options.throttleMinutes || DEFAULT_THROTTLE_MINUTES) * 60 * 1000;
+    this.groups = new MemoryStore(GROUP_TTL_SECONDS); // fingerprint -> group
+    this.flushTimer = null;
+  }
+
+  /**
+   * Report an error
+   * @param {Error} error - The error (non-errors, e.g. rejection reasons, are wrapped)
+   * @param {Object} context - Where it happened
+   * @param {string} context.source - Handler or component, e.g. "handleCallback"
+   * @param {Object} context.user - Telegram user whose update failed, if any
+   * @param {string} context.action - Command or callback data being handled, if any
+   * @returns {string} Fingerprint of the error's group
+   */
+  report(error, context = {}) {
+    const err = error instanceof Error ? error : new Error(String(error));
+    const details = this.buildContext(context);
+
+    const who = details.userId ? ` (user ${details.userId}${details.action ? `, ${details.action}` : ''})` : '';
+    console.error(`Error in ${details.source}${who}:`, err);
+
+    const fingerprint = this.getFingerprint(err, details.source);
+    const now = Date.now();
+    const group = this.groups.get(fingerprint) ||
+      { fingerprint, count: 0, pending: 0, firstSeen: now, lastAlertAt: null };
+
+    group.count += 1;
+    group.pending += 1;
+    group.error = err;
+    group.context = details;
+    this.groups.set(fingerprint, group);
+
+    if (group.lastAlertAt === null || now - group.lastAlertAt >= this.throttleMs) {
+      this.sendAlert(group);
+    }
+    return fingerprint;
+  }
+
+  /**
+   * Collect the context of a report
+   * @param {Object} context - { source, user, action }
+   * @returns {Object} { source, userId, username, action, session }
+   */
+  buildContext(context) {
+    const user = context.user || null;
+    const details = {
+      source: context.source || 'Unknown',
+      userId: user ? user.id : null,
+      username: user ? user.username || null : null,
+      action: context.action || null,
+      session: null
+    };
+
+    if (user && this.sessionService) {
+      try {
+        const session = this.sessionService.getSession(user.id);
+        if (session) {
+          details.session = {
+            state: session.state,
+            mode: session.mode || 'fixed',
+            question: session.questions.length > 0
+              ? `${session.currentQuestion + 1}/${session.questions.length}`
+              : null,
+            attemptId: session.attemptId || null
+          };
+        }
+      } catch (e) {
+        // The session store itself may be what failed; report without it
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * Fingerprint an error: the same error from the same place gets the same fingerprint
+   * Numbers in the message are ignored (IDs, counts), and so are columns in the stack frame.
+   * @param {Error} error - The error
+   * @param {string} source - Where it was reported
+   * @returns {string} Fingerprint (8 hex characters)
+   */
+  getFingerprint(error, source) {
+    const message = String(error.message).replace(/\d+/g, '#');
+    const frame = (error.stack || '').split('\n').find(line => line.includes('/src/')) || '';
+    const location = frame.replace(/^.*\/src\//, 'src/').replace(/:\d+\)?$/, '');
+
+    return crypto
+      .createHash('sha1')
+      .update([source, error.name, message, location].join('|'))
+      .digest('hex')
+      .slice(0, 8);
+  }
+
+  /**
+   * Send the alert of a group with the occurrences since its last alert
+   * @param {Object} group - Error group
+   * @returns {Promise<boolean>}
+   */
+  sendAlert(group) {
+    const occurrences = group.pending;
+    group.pending = 0;
+    group.lastAlertAt = Date.now();
+
+    group.alert = this.monitoringService
+      ? this.monitoringService.sendErrorNotification(group.error, group.context.source, {
+        ...group.context,
+        fingerprint: group.fingerprint,
+        occurrences,
+        count: group.count,
+        firstSeen: new Date(group.firstSeen)
+      })
+      : Promise.resolve(false);
+    return group.alert;
+  }
+
+  /**
+   * Send summary alerts for repeats held back by the throttle, once their window is over
+   */
+  flush() {
+    const now = Date.now();
+    for (const fingerprint of this.groups.keys()) {
+      const group = this.groups.get(fingerprint);
+      if (group && group.pending > 0 && now - group.lastAlertAt >= this.throttleMs) {
+        this.sendAlert(group);
+      }
+    }
+  }
+
+  /**
+   * Start sending summary alerts
+   */
+  start() {
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Stop sending summary alerts
+   */
+  stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  /**
+   * Report unhandled promise rejections and uncaught exceptions
+   * After an uncaught exception the process exits (its state can't be trusted any more),
+   * once the alert was sent or after a short timeout.
+   */
+  registerProcessHandlers() {
+    process.on('unhandledRejection', (reason) => {
+      this.report(reason, { source: 'unhandledRejection' });
+    });
+
+    process.on('uncaughtException', (error) => {
+      const group = this.groups.get(this.report(error, { source: 'uncaughtException' }));
+      // A repeat held back by the throttle is sent now; there is no later flush
+      const alert = group.pending > 0 ? this.sendAlert(group) : group.alert;
+      const timeout = new Promise(resolve => setTimeout(resolve, EXIT_ALERT_TIMEOUT_MS));
+
+      Promise.race([alert, timeout]).finally(() => process.exit(1));
+    });
+  }
+}
+
+module.exports = ErrorReportService;
@@ -0,0 +1,187 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ErrorReportService = require('./errorReportService');
+
+const START = Date.UTC(2026, 9, 19, 12, 0);
+const MINUTE = 60 * 1000;
+
+let alerts;
+let monitoringService;
+
+/**
+ * Throw and catch an error from one place, so repeats share a stack frame
+ */
+const failAt = (message) => {
+  try {
+    throw new TypeError(message);
+  } catch (error) {
+    return error;
+  }
+};
+
+const createService = (options = {}) => new ErrorReportService({ monitoringService, throttleMinutes: 15, ...options });
+
+beforeEach(() => {
+  mock.method(console, 'error', () => {});
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: START });
+  alerts = [];
+  monitoringService = {
+    sendErrorNotification: async (error, source, details) => {
+      alerts.push({ message: error.message, source, ...details });
+      return true;
+    }
+  };
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('groups errors that differ only in numbers', () => {
+  const reporter = createService();
+
+  const first = reporter.report(failAt('No session for user 123'), { source: 'handleCallback' });
+  const second = reporter.report(failAt('No session for user 456'), { source: 'handleCallback' });
+
+  assert.match(first, /^[0-9a-f]{8}$/);
+  assert.strictEqual(second, first);
+});
+
+test('separates errors by source, type and message', () => {
+  const reporter = createService();
+  const fingerprint = reporter.report(failAt('No session'), { source: 'handleCallback' });
+
+  assert.notStrictEqual(reporter.report(failAt('No session'), { source: 'handleStart' }), fingerprint);
+  assert.notStrictEqual(reporter.report(failAt('No question'), { source: 'handleCallback' }), fingerprint);
+  assert.notStrictEqual(reporter.report(new RangeError('No session'), { source: 'handleCallback' }), fingerprint);
+});
+
+test('alerts the first error of a group right away and counts repeats within the throttle window', () => {
+  const reporter = createService();
+
+  for (let i = 0; i < 3; i++) {
+    reporter.report(failAt(`Timeout after ${i} ms`), { source: 'polling' });
+  }
+  reporter.report(failAt('Something else'), { source: 'polling' });
+
+  assert.deepStrictEqual(alerts.map(alert => [alert.message, alert.occurrences, alert.count]),
+    [['Timeout after 0 ms', 1, 1], ['Something else', 1, 1]]);
+});
+
+test('alerts again with the number of repeats once the window is over', () => {
+  const reporter = createService();
+  reporter.report(failAt('Timeout after 1 ms'), { source: 'polling' });
+  reporter.report(failAt('Timeout after 2 ms'), { source: 'polling' });
+
+  mock.timers.tick(15 * MINUTE);
+  reporter.report(failAt('Timeout after 3 ms'), { source: 'polling' });
+
+  assert.strictEqual(alerts.length, 2);
+  assert.deepStrictEqual([alerts[1].message, alerts[1].occurrences, alerts[1].count], ['Timeout after 3 ms', 2, 3]);
+  assert.deepStrictEqual(alerts[1].firstSeen, new Date(START));
+});
+
+test('flush sends the repeats held back by the throttle once their window is over', () => {
+  const reporter = createService();
+  reporter.report(failAt('Timeout after 1 ms'), { source: 'polling' });
+  reporter.report(failAt('Timeout after 2 ms'), { source: 'polling' });
+  reporter.report(failAt('Timeout after 3 ms'), { source: 'polling' });
+
+  mock.timers.tick(14 * MINUTE);
+  reporter.flush();
+  assert.strictEqual(alerts.length, 1);
+
+  mock.timers.tick(MINUTE);
+  reporter.flush();
+  reporter.flush();
+  assert.deepStrictEqual(alerts.map(alert => alert.occurrences), [1, 2]);
+});
+
+test('start flushes every minute until stopped', () => {
+  const reporter = createService();
+  reporter.report(failAt('Timeout after 1 ms'), { source: 'polling' });
+  reporter.report(failAt('Timeout after 2 ms'), { source: 'polling' });
+
+  reporter.start();
+  mock.timers.tick(15 * MINUTE);
+  assert.strictEqual(alerts.length, 2);
+
+  reporter.report(failAt('Timeout after 3 ms'), { source: 'polling' });
+  reporter.stop();
+  mock.timers.tick(30 * MINUTE);
+  assert.strictEqual(alerts.length, 2);
+});
+
+test('adds the user, action and session to the alert', () => {
+  const sessionService = {
+    getSession: (userId) => (userId === 5
+      ? { state: 'in_progress', mode: 'adaptive', questions: [1, 2, 3], currentQuestion: 1, attemptId: 'abc' }
+      : null)
+  };
+  const reporter = createService({ sessionService });
+
+  reporter.report(failAt('Broken'), { source: 'handleCallback', user: { id: 5, username: 'ann' }, action: 'answer_1_2' });
+  reporter.report('plain reason', { source: 'unhandledRejection' });
+
+  const [withUser, plain] = alerts;
+  assert.deepStrictEqual(
+    [withUser.source, withUser.userId, withUser.username, withUser.action, withUser.session],
+    ['handleCallback', 5, 'ann', 'answer_1_2', { state: 'in_progress', mode: 'adaptive', question: '2/3', attemptId: 'abc' }]
+  );
+  assert.deepStrictEqual([plain.message, plain.source, plain.userId, plain.session], ['plain reason', 'unhandledRejection', null, null]);
+});
+
+test('exits after an uncaught exception once the alert was sent', async (t) => {
+  const handlers = {};
+  t.mock.method(process, 'on', (event, listener) => { handlers[event] = listener; });
+  const exit = t.mock.method(process, 'exit', () => {});
+  createService().registerProcessHandlers();
+
+  handlers.uncaughtException(failAt('Fatal'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(alerts[0].source, 'uncaughtException');
+  assert.deepStrictEqual(exit.mock.calls.map(call => call.arguments), [[1]]);
+});
+
+test('exits after an uncaught exception even if the alert hangs', async (t) => {
+  const handlers = {};
+  t.mock.method(process, 'on', (event, listener) => { handlers[event] = listener; });
+  const exit = t.mock.method(process, 'exit', () => {});
+  monitoringService.sendErrorNotification = () => new Promise(() => {});
+  createService().registerProcessHandlers();
+
+  handlers.uncaughtException(failAt('Fatal'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(exit.mock.callCount(), 0);
+
+  mock.timers.tick(5000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(exit.mock.calls.map(call => call.arguments), [[1]]);
+});
+
+test('sends held-back repeats before exiting on an uncaught exception', async (t) => {
+  const handlers = {};
+  t.mock.method(process, 'on', (event, listener) => { handlers[event] = listener; });
+  t.mock.method(process, 'exit', () => {});
+  createService().registerProcessHandlers();
+
+  handlers.uncaughtException(failAt('Fatal 1'));
+  handlers.uncaughtException(failAt('Fatal 2'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(alerts.map(alert => [alert.message, alert.occurrences]), [['Fatal 1', 1], ['Fatal 2', 1]]);
+});
+
+test('reports unhandled rejections without exiting', (t) => {
+  const handlers = {};
+  t.mock.method(process, 'on', (event, listener) => { handlers[event] = listener; });
+  const exit = t.mock.method(process, 'exit', () => {});
+  createService().registerProcessHandlers();
+
+  handlers.unhandledRejection(new Error('Rejected'));
+
+  assert.deepStrictEqual(alerts.map(alert => [alert.message, alert.source]), [['Rejected', 'unhandledRejection']]);
+  assert.strictEqual(exit.mock.callCount(), 0);
+});
@@ -0,0 +1,295 @@
+const { getLevelCodes } = require('../utils/levels');
+
+const DEFAULT_OPTIONS = {
+  minResponses: 10, // items with fewer answers are reported but never flagged
+  groupFraction: 0.27, // size of the upper and lower score groups for discrimination
+  minDiscrimination: 0.2, // below this an item hardly separates strong and weak test-takers
+  masteryPValue: 0.5, // a level "masters" an item when at least this share of its test-takers gets it right
+  minLevelResponses: 3, // levels with fewer answers to an item are ignored when placing it
+  minDistractorShare: 0.1, // distractors chosen less often than this are never flagged
+  minDistractorGap: 2 // a distractor is misleading when at least this many more upper- than lower-group takers choose it
+};
+
+const FLAGS = {
+  TOO_EASY: 'too_easy',
+  TOO_HARD: 'too_hard',
+  LOW_DISCRIMINATION: 'low_discrimination',
+  NEGATIVE_DISCRIMINATION: 'negative_discrimination',
+  MISLEADING_DISTRACTOR: 'misleading_distractor'
+};
+
+const FLAG_LABELS = {
+  [FLAGS.TOO_EASY]: 'easier than its level',
+  [FLAGS.TOO_HARD]: 'harder than its level',
+  [FLAGS.LOW_DISCRIMINATION]: 'low discrimination',
+  [FLAGS.NEGATIVE_DISCRIMINATION]: 'weak test-takers do better',
+  [FLAGS.MISLEADING_DISTRACTOR]: 'misleading distractor'
+};
+
+/**
+ * Item Analysis Service
+ * Classical item statistics for every question, computed from the answers
+ * stored with each result on the monitoring side:
+ * - p-value: share of answers that were correct
+ * - discrimination: p-value of the top-scoring test-takers minus that of the
+ *   lowest-scoring ones (upper and lower 27%)
+ * - how often each option or wrong typed answer was chosen
+ * - average response time
+ * Items are also placed at the lowest level whose test-takers mostly answer
+ * them correctly, and flagged when that differs from the level they claim.
+ */
+class ItemAnalysisService {
+  /**
+   * @param {Array} levels - Enabled level definitions, lowest first
+   * @param {Object} options - Thresholds, see DEFAULT_OPTIONS
+   */
+  constructor(levels, options = {}) {
+    this.levels = levels;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Analyze every question answered in a set of results
+   * @param {Array} results - Stored results with `answers`
+   * @returns {Array} Item statistics, one entry per question
+   */
+  analyze(results) {
+    const levelCodes = getLevelCodes(this.levels);
+    const { upper, lower } = this.getScoreGroups(results);
+    const items = new Map();
+
+    for (const result of results) {
+      const group = upper.has(result) ? 'upper' : (lower.has(result) ? 'lower' : null);
+
+      for (const answer of result.answers || []) {
+        if (answer.questionId === undefined || answer.questionId === null) continue;
+
+        if (!items.has(answer.questionId)) {
+          items.set(answer.questionId, this.createItem(answer, levelCodes));
+        }
+        this.addAnswer(items.get(answer.questionId), answer, result.level, group);
+      }
+    }
+
+    return [...items.values()].map(item => this.summarize(item, levelCodes));
+  }
+
+  /**
+   * Split results into the upper and lower score groups
+   * @param {Array} results - Stored results
+   * @returns {Object} { upper, lower } sets of results; empty when there are too few results
+   */
+  getScoreGroups(results) {
+    const groupSize = Math.round(results.length * this.options.groupFraction);
+    if (groupSize === 0 || groupSize * 2 > results.length) {
+      return { upper: new Set(), lower: new Set() };
+    }
+
+    const sorted = [...results].sort((a, b) => a.score - b.score);
+    return {
+      lower: new Set(sorted.slice(0, groupSize)),
+      upper: new Set(sorted.slice(-groupSize))
+    };
+  }
+
+  /**
+   * Create the counters for a question
+   * @param {Object} answer - First answer seen for the question
+   * @param {Array<string>} levelCodes - Level codes, lowest first
+   * @returns {Object} Item counters
+   */
+  createItem(answer, levelCodes) {
+    const byLevel = {};
+    for (const code of levelCodes) {
+      byLevel[code] = { responses: 0, correct: 0 };
+    }
+
+    return {
+      questionId: answer.questionId,
+      type: answer.type || null,
+      level: answer.level || null,
+      category: answer.category || null,
+      correctOption: answer.correctOption !== undefined ? answer.correctOption : null,
+      responses: 0,
+      correct: 0,
+      timedOut: 0,
+      responseTimeTotal: 0,
+      responseTimeCount: 0,
+      choices: {}, // option index -> { count, upper, lower }
+      wrongTexts: {}, // typed wrong answer -> count
+      upper: { responses: 0, correct: 0 },
+      lower: { responses: 0, correct: 0 },
+      byLevel
+    };
+  }
+
+  /**
+   * Count one answer
+   * @param {Object} item - Item counters
+   * @param {Object} answer - Stored answer
+   * @param {string} takerLevel - Level the test-taker was placed at
+   * @param {string|null} group - 'upper', 'lower' or null
+   */
+  addAnswer(item, answer, takerLevel, group) {
+    item.responses++;
+    if (answer.isCorrect) item.correct++;
+    if (answer.timedOut) item.timedOut++;
+
+    if (Number.isFinite(answer.responseTimeMs)) {
+      item.responseTimeTotal += answer.responseTimeMs;
+      item.responseTimeCount++;
+    }
+
+    if (answer.selectedOption !== null && answer.selectedOption !== undefined) {
+      // Results stored before answers carried correctOption: learn it from a correct answer
+      if (item.correctOption === null && answer.isCorrect) {
+        item.correctOption = answer.selectedOption;
+      }
+
+      const choice = item.choices[answer.selectedOption] ||
+        (item.choices[answer.selectedOption] = { count: 0, upper: 0, lower: 0 });
+      choice.count++;
+      if (group) choice[group]++;
+    } else if (!answer.isCorrect && answer.textAnswer) {
+      const text = answer.textAnswer.trim().toLowerCase();
+      item.wrongTexts[text] = (item.wrongTexts[text] || 0) + 1;
+    }
+
+    if (group) {
+      item[group].responses++;
+      if (answer.isCorrect) item[group].correct++;
+    }
+
+    if (item.byLevel[takerLevel]) {
+      item.byLevel[takerLevel].responses++;
+      if (answer.isCorrect) item.byLevel[takerLevel].correct++;
+    }
+  }
+
+  /**
+   * Turn item counters into statistics and flags
+   * @param {Object} item - Item counters
+   * @param {Array<string>} levelCodes - Level codes, lowest first
+   * @returns {Object} Item statistics
+   */
+  summarize(item, levelCodes) {
+    const ratio = (part, total) => (total > 0 ? part / total : null);
+    const { options } = this;
+
+    const pValue = ratio(item.correct, item.responses);
+    const upperP = ratio(item.upper.correct, item.upper.responses);
+    const lowerP = ratio(item.lower.correct, item.lower.responses);
+    const discrimination = upperP !== null && lowerP !== null ? upperP - lowerP : null;
+
+    // Options other than the correct one, most chosen first
+    const distractors = Object.entries(item.choices)
+      .map(([option, choice]) => ({ option: Number(option), ...choice, share: ratio(choice.count, item.responses) }))
+      .filter(choice => choice.option !== item.correctOption)
+      .sort((a, b) => b.count - a.count);
+
+    const wrongAnswers = Object.entries(item.wrongTexts)
+      .map(([answer, count]) => ({ answer, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3);
+
+    const pByLevel = {};
+    for (const code of levelCodes) {
+      pByLevel[code] = ratio(item.byLevel[code].correct, item.byLevel[code].responses);
+    }
+    const observedLevel = this.getObservedLevel(item, levelCodes);
+
+    const flags = [];
+    if (item.responses >= options.minResponses) {
+      const claimedIndex = levelCodes.indexOf(item.level);
+      if (claimedIndex !== -1 && observedLevel !== undefined) {
+        const observedIndex = observedLevel === null ? levelCodes.length : levelCodes.indexOf(observedLevel);
+        if (observedIndex < claimedIndex) flags.push(FLAGS.TOO_EASY);
+        if (observedIndex > claimedIndex) flags.push(FLAGS.TOO_HARD);
+      }
+
+      if (discrimination !== null && discrimination < 0) {
+        flags.push(FLAGS.NEGATIVE_DISCRIMINATION);
+      } else if (discrimination !== null && discrimination < options.minDiscrimination) {
+        flags.push(FLAGS.LOW_DISCRIMINATION);
+      }
+
+      // A wrong option chosen often enough that attracts clearly more strong test-takers than weak
+      // ones, or more answers than the right one; a single strong test-taker's slip is not enough
+      const correctCount = item.choices[item.correctOption] ? item.choices[item.correctOption].count : 0;
+      if (distractors.some(d => d.share >= options.minDistractorShare &&
+          (d.upper - d.lower >= options.minDistractorGap || d.count > correctCount))) {
+        flags.push(FLAGS.MISLEADING_DISTRACTOR);
+      }
+    }
+
+    return {
+      questionId: item.questionId,
+      type: item.type,
+      level: item.level,
+      category: item.category,
+      correctOption: item.correctOption,
+      responses: item.responses,
+      timedOut: item.timedOut,
+      pValue,
+      discrimination,
+      avgResponseMs: item.responseTimeCount > 0
+        ? Math.round(item.responseTimeTotal / item.responseTimeCount)
+        : null,
+      distractors,
+      wrongAnswers,
+      pByLevel,
+      observedLevel,
+      flags
+    };
+  }
+
+  /**
+   * Find the lowest level whose test-takers mostly answer an item correctly
+   * @param {Object} item - Item counters
+   * @param {Array<string>} levelCodes - Level codes, lowest first
+   * @returns {string|null|undefined} Level code, null if no level masters it,
+   *   or undefined if there are too few answers to tell
+   */
+  getObservedLevel(item, levelCodes) {
+    const { masteryPValue, minLevelResponses } = this.options;
+    let hasData = false;
+
+    for (const code of levelCodes) {
+      const stats = item.byLevel[code];
+      if (stats.responses < minLevelResponses) continue;
+      hasData = true;
+      if (stats.correct / stats.responses >= masteryPValue) {
+        return code;
+      }
+    }
+
+    return hasData ? null : undefined;
+  }
+
+  /**
+   * Get the most problematic items
+   * Items with more flags come first, then those with the lowest discrimination.
+   * @param {Array} items - Item statistics from analyze()
+   * @param {number} limit - Maximum number of items
+   * @returns {Array} Flagged items
+   */
+  getWorstItems(items, limit = 10) {
+    const discriminationOf = (item) => (item.discrimination === null ? Infinity : item.discrimination);
+
+    return items
+      .filter(item => item.flags.length > 0)
+      .sort((a, b) => b.flags.length - a.flags.length || discriminationOf(a) - discriminationOf(b))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a readable description of a flag
+   * @param {string} flag - Flag code
+   * @returns {string} Description
+   */
+  getFlagLabel(flag) {
+    return FLAG_LABELS[flag] || flag;
+  }
+}
+
+module.exports = ItemAnalysisService;
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ItemAnalysisService = require('./itemAnalysisService');
+
+const LEVELS = [
+  { code: 'A1', name: 'Beginner', weight: 1, maxScore: 33 },
+  { code: 'A2', name: 'Elementary', weight: 2, maxScore: 66 },
+  { code: 'B1', name: 'Intermediate', weight: 3, maxScore: 100 }
+];
+
+// Ten test-takers: scores 10..100; 10-30 placed at A1, 40-60 at A2, 70-100 at B1.
+// The lower score group (27%) is 10-30, the upper group 80-100.
+const TAKERS = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100].map(score => ({
+  score,
+  level: score <= 30 ? 'A1' : (score <= 60 ? 'A2' : 'B1')
+}));
+
+/**
+ * Build an answer of a multiple-choice question (correct option 1)
+ * @param {number} questionId - Question ID
+ * @param {string} level - Level the question claims
+ * @param {number} selectedOption - Chosen option
+ */
+const answer = (questionId, level, selectedOption) => ({
+  questionId,
+  type: 'multiple_choice',
+  level,
+  category: 'grammar',
+  correctOption: 1,
+  selectedOption,
+  isCorrect: selectedOption === 1,
+  responseTimeMs: 1000 * questionId
+});
+
+const RESULTS = TAKERS.map(({ score, level }) => ({
+  score,
+  level,
+  answers: [
+    // Right from A2 up; the A1 takers choose option 0
+    answer(1, 'A2', score >= 40 ? 1 : 0),
+    // Claims A1 but only B1 takers get it right
+    answer(2, 'A1', score >= 70 ? 1 : 2),
+    // Everyone is right except one upper-group taker
+    answer(3, 'A1', score === 90 ? 2 : 1),
+    // Two upper-group takers choose option 3
+    answer(4, 'A1', score >= 90 ? 3 : 1)
+  ]
+}));
+
+const analyze = (results, options) => {
+  const items = new ItemAnalysisService(LEVELS, options).analyze(results);
+  return new Map(items.map(item => [item.questionId, item]));
+};
+
+test('computes p-values and discrimination', () => {
+  const items = analyze(RESULTS);
+
+  assert.strictEqual(items.get(1).pValue, 0.7);
+  assert.strictEqual(items.get(1).discrimination, 1);
+  assert.strictEqual(items.get(2).pValue, 0.4);
+  assert.strictEqual(items.get(2).discrimination, 1);
+  assert.strictEqual(items.get(3).pValue, 0.9);
+  assert.ok(Math.abs(items.get(3).discrimination - -1 / 3) < 1e-9);
+  assert.strictEqual(items.get(1).avgResponseMs, 1000);
+});
+
+test('counts distractors by score group, most chosen first', () => {
+  const item = analyze(RESULTS).get(2);
+
+  assert.deepStrictEqual(item.distractors, [{ option: 2, count: 6, upper: 0, lower: 3, share: 0.6 }]);
+  assert.deepStrictEqual(item.pByLevel, { A1: 0, A2: 0, B1: 1 });
+});
+
+test('places items at the lowest level that masters them', () => {
+  const items = analyze(RESULTS);
+
+  assert.strictEqual(items.get(1).observedLevel, 'A2');
+  assert.strictEqual(items.get(2).observedLevel, 'B1');
+  assert.strictEqual(items.get(3).observedLevel, 'A1');
+});
+
+test('places items no level masters at null, and items with too few answers at undefined', () => {
+  const allWrong = RESULTS.map(result => ({ ...result, answers: [answer(5, 'A1', 0)] }));
+  assert.strictEqual(analyze(allWrong).get(5).observedLevel, null);
+
+  // Two answers per level are below minLevelResponses
+  const few = RESULTS.filter(result => [10, 20, 40, 50, 70, 80].includes(result.score));
+  assert.strictEqual(analyze(few).get(1).observedLevel, undefined);
+});
+
+test('flags items that behave like another level', () => {
+  const items = analyze(RESULTS);
+
+  assert.deepStrictEqual(items.get(1).flags, []);
+  // Its distractor also gets more answers than the right option
+  assert.deepStrictEqual(items.get(2).flags, ['too_hard', 'misleading_distractor']);
+});
+
+test('does not flag a distractor chosen by a single strong test-taker', () => {
+  assert.deepStrictEqual(analyze(RESULTS).get(3).flags, ['negative_discrimination']);
+});
+
+test('flags a distractor that clearly attracts strong test-takers', () => {
+  assert.deepStrictEqual(analyze(RESULTS).get(4).flags, ['negative_discrimination', 'misleading_distractor']);
+  assert.deepStrictEqual(analyze(RESULTS, { minDistractorGap: 3 }).get(4).flags, ['negative_discrimination']);
+});
+
+test('never flags items with fewer answers than minResponses', () => {
+  const items = analyze(RESULTS, { minResponses: 11 });
+  assert.ok([...items.values()].every(item => item.flags.length === 0));
+});
+
+test('lists the flagged items, most flags and lowest discrimination first', () => {
+  const service = new ItemAnalysisService(LEVELS);
+  const worst = service.getWorstItems(service.analyze(RESULTS));
+
+  assert.deepStrictEqual(worst.map(item => item.questionId), [4, 2, 3]);
+});
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, moveAside } = require('../utils/dataFiles');
+
+/**
+ * Locale Service
+ * Loads locale bundles, translates user-facing text and remembers each user's language.
+ * Missing keys fall back to the default locale, then to the given fallback, then to the key itself.
+ */
+class LocaleService {
+  constructor(options = {}) {
+    this.localesDir = options.localesDir || path.join(__dirname, '../../data/locales');
+    this.preferencesPath = options.preferencesPath || path.join(__dirname, '../../data/user-locales.json');
+    this.defaultLocale = options.defaultLocale || 'en';
+    this.bundles = {};
+    this.preferences = {};
+    this.detected = new Map(); // userId -> locale detected from Telegram language_code
+    this.writable = true;
+
+    this.loadBundles();
+    this.loadPreferences();
+  }
+
+  /**
+   * Load all locale bundles from the locales directory
+   * @throws {Error} If the default locale bundle is missing
+   */
+  loadBundles() {
+    for (const file of fs.readdirSync(this.localesDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const locale = path.basename(file, '.json');
+      try {
+        this.bundles[locale] = JSON.parse(fs.readFileSync(path.join(this.localesDir, file), 'utf8'));
+      } catch (error) {
+        console.error(`Error loading locale ${locale}:`, error.message);
+      }
+    }
+
+    if (!this.bundles[this.defaultLocale]) {
+      throw new Error(`Default locale bundle "${this.defaultLocale}" not found`);
+    }
+
+    console.log(`Loaded locales: ${Object.keys(this.bundles).join(', ')}`);
+  }
+
+  /**
+   * Load saved per-user locale choices
+   * A file that can't be read is moved aside (never overwritten); if it can't be
+   * moved, saving is turned off so the file stays as it is.
+   */
+  loadPreferences() {
+    try {
+      if (fs.existsSync(this.preferencesPath)) {
+        this.preferences = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading locale preferences:', error.message);
+      this.preferences = {};
+
+      try {
+        const brokenPath = moveAside(this.preferencesPath);
+        console.warn(`⚠️  Unreadable locale preferences kept as ${brokenPath}`);
+      } catch (renameError) {
+        this.writable = false;
+        console.error(`Error moving the unreadable locale preferences aside, choices will not be saved: ${renameError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save per-user locale choices
+   */
+  savePreferences() {
+    if (!this.writable) {
+      return;
+    }
+
+    try {
+      writeFileAtomic(this.preferencesPath, JSON.stringify(this.preferences, null, 2));
+    } catch (error) {
+      console.error('Error saving locale preferences:', error.message);
+    }
+  }
+
+  /**
+   * Get available locales for the language picker
+   * @returns {Array<Object>} Locales with code, name and flag
+   */
+  getAvailableLocales() {
+    return Object.entries(this.bundles).map(([code, bundle]) => ({
+      code,
+      name: (bundle._meta && bundle._meta.name) || code,
+      flag: (bundle._meta && bundle._meta.flag) || '🌐'
+    }));
+  }
+
+  /**
+   * Check if a locale bundle exists
+   * @param {string} locale - Locale code
+   * @returns {boolean}
+   */
+  isSupported(locale) {
+    return !!this.bundles[locale];
+  }
+
+  /**
+   * Map a Telegram language_code (e.g. "ru", "en-US") to a supported locale
+   * @param {string} languageCode - Telegram language code
+   * @returns {string|null} Supported locale or null
+   */
+  detectLocale(languageCode) {
+    if (!languageCode) return null;
+
+    const base = languageCode.toLowerCase().split(/[-_]/)[0];
+    return this.isSupported(base) ? base : null;
+  }
+
+  /**
+   * Get the locale for a user
+   * Order: saved choice, Telegram language_code, default locale.
+   * @param {number} userId - Telegram user ID
+   * @param {string} languageCode - Telegram language_code (optional)
+   * @returns {string} Locale code
+   */
+  getUserLocale(userId, languageCode = null) {
+    const saved = this.preferences[userId];
+    if (saved && this.isSupported(saved)) {
+      return saved;
+    }
+
+    const detected = this.detectLocale(languageCode);
+    if (detected) {
+      this.detected.set(userId, detected);
+      return detected;
+    }
+
+    return this.detected.get(userId) || this.defaultLocale;
+  }
+
+  /**
+   * Save a user's locale choice
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - Locale code
+   * @returns {boolean} True if the locale is supported and was saved
+   */
+  setUserLocale(userId, locale) {
+    if (!this.isSupported(locale)) {
+      return false;
+    }
+
+    this.preferences[userId] = locale;
+    this.savePreferences();
+    return true;
+  }
+
+  /**
+   * Look up a key (dot notation) in a locale bundle
+   * @param {string} locale - Locale code
+   * @param {string} key - Translation key, e.g. "messages.welcome"
+   * @returns {string|undefined} Translation or undefined
+   */
+  lookup(locale, key) {
+    const bundle = this.bundles[locale];
+    if (!bundle) return undefined;
+
+    const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), bundle);
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  /**
+   * Translate a key
+   * @param {string} locale - Locale code
+   * @param {string} key - Translation key
+   * @param {Object} params - Values for {placeholders}
+   * @param {string} fallback - Text to use if the key is missing in every bundle
+   * @returns {string} Translated text
+   */
+  translate(locale, key, params = {}, fallback = undefined) {
+    let text = this.lookup(locale, key);
+    if (text === undefined) text = this.lookup(this.defaultLocale, key);
+    if (text === undefined) text = fallback !== undefined ? fallback : key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * Get a translate function bound to a user's locale
+   * @param {number} userId - Telegram user ID
+   * @param {string} languageCode - Telegram language_code (optional)
+   * @returns {Function} t(key, params, fallback)
+   */
+  getTranslator(userId, languageCode = null) {
+    const locale = this.getUserLocale(userId, languageCode);
+    const t = (key, params, fallback) => this.translate(locale, key, params, fallback);
+    t.locale = locale;
+    return t;
+  }
+}
+
+module.exports = LocaleService;
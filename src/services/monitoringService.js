@@ -1,4 +1,6 @@
 const TelegramBot = require('node-telegram-bot-api');
+const { getResultFileName } = require('../utils/resultPayload');
+const { CATEGORIES } = require('../utils/categories');
 
 /**
  * Monitoring Service
@@ -33,20 +35,36 @@ class MonitoringService {
 
   /**
    * Forward results to monitoring channel
+   * The human-readable message is followed by the JSON payload as a document
+   * replying to it; the monitoring bot records results from the payload only.
    * @param {string} message - Formatted result message
+   * @param {Object} payload - Machine-readable result payload (optional)
    * @returns {Promise<boolean>} Success status
    */
-  async forwardResults(message) {
+  async forwardResults(message, payload = null) {
     if (!this.enabled || !this.bot) {
       console.log('Monitoring service not enabled, skipping forward');
       return false;
     }
 
     try {
-      await this.bot.sendMessage(this.monitorChatId, message, {
+      const sent = await this.bot.sendMessage(this.monitorChatId, message, {
         parse_mode: 'Markdown',
         disable_notification: false
       });
+
+      if (payload) {
+        const buffer = Buffer.from(JSON.stringify(payload, null, 2), 'utf8');
+        await this.bot.sendDocument(this.monitorChatId, buffer, {
+          caption: `📎 Result data v${payload.version}`,
+          reply_to_message_id: sent.message_id,
+          disable_notification: true
+        }, {
+          filename: getResultFileName(payload),
+          contentType: 'application/json'
+        });
+      }
+
       console.log('Results forwarded to monitoring bot successfully');
       return true;
     } catch (error) {
@@ -103,39 +121,170 @@ class MonitoringService {
   }
 
   /**
-   * Send daily statistics
-   * @param {Object} stats - Statistics object
+   * Send a scheduled statistics report (see StatsService.getReport)
+   * Every figure is compared with the previous period of the same length.
+   * @param {Object} report - { period, from, to, current, previous }
+   * @param {Array<Object>} levels - Level definitions, for the order of the level distribution
    * @returns {Promise<boolean>}
    */
-  async sendDailyStats(stats) {
-    let message = `📊 *Daily Statistics*\n\n`;
-    message += `📅 Date: ${new Date().toLocaleDateString()}\n\n`;
-    message += `*Sessions:*\n`;
-    message += `• Total completed: ${stats.totalCompleted || 0}\n`;
-    message += `• In progress: ${stats.inProgress || 0}\n\n`;
-    
-    if (stats.levelDistribution) {
-      message += `*Level Distribution:*\n`;
-      for (const [level, count] of Object.entries(stats.levelDistribution)) {
-        message += `• ${level}: ${count}\n`;
+  async sendStatsReport(report, levels = []) {
+    const { current, previous } = report;
+    const lastDay = new Date(report.to);
+    lastDay.setDate(lastDay.getDate() - 1);
+    const dates = report.period === 'daily'
+      ? this.formatDate(report.from)
+      : `${this.formatDate(report.from)} – ${this.formatDate(lastDay)}`;
+
+    let message = `📊 *${report.period === 'daily' ? 'Daily' : 'Weekly'} Report*\n\n`;
+    message += `📅 ${dates}\n\n`;
+
+    message += `*Tests:*\n`;
+    message += `• Started: ${this.formatChange(current.started, previous.started)}\n`;
+    message += `• Completed: ${this.formatChange(current.completed, previous.completed)}\n`;
+    message += `• Completion rate: ${this.formatChange(current.completionRate, previous.completionRate, '%')}\n`;
+    message += `• Average score: ${this.formatChange(current.averageScore, previous.averageScore, '%')}\n`;
+    message += `• Average duration: ${this.formatDurationChange(current.averageDurationMs, previous.averageDurationMs)}\n`;
+
+    // Levels in config order; levels no longer configured go last
+    const levelCodes = levels.map(level => level.code);
+    const rank = (code) => (levelCodes.includes(code) ? levelCodes.indexOf(code) : levelCodes.length);
+    const reported = [...new Set([...Object.keys(current.levels), ...Object.keys(previous.levels)])]
+      .sort((a, b) => rank(a) - rank(b));
+    if (reported.length > 0) {
+      message += `\n*Level Distribution:*\n`;
+      for (const level of reported) {
+        const count = current.levels[level] || 0;
+        const share = current.completed > 0 ? ` (${Math.round(count / current.completed * 100)}%)` : '';
+        message += `• ${level}: ${count}${share}, before: ${previous.levels[level] || 0}\n`;
+      }
+    }
+
+    const categories = CATEGORIES.filter(category =>
+      current.categories[category.code] !== null || previous.categories[category.code] !== null);
+    if (categories.length > 0) {
+      message += `\n*Average Score by Category:*\n`;
+      for (const category of categories) {
+        message += `• ${category.name}: ` +
+          `${this.formatChange(current.categories[category.code], previous.categories[category.code], '%')}\n`;
       }
     }
 
     return this.sendMessage(message);
   }
 
+  /**
+   * Format a figure with its change from the previous period, e.g. "42 (+5 from 37)"
+   * @param {number|null} value - Current figure (null: nothing to report)
+   * @param {number|null} previousValue - Figure of the previous period
+   * @param {string} unit - Appended to the figures
+   * @returns {string}
+   */
+  formatChange(value, previousValue, unit = '') {
+    if (value === null) {
+      return previousValue === null ? '–' : `– (from ${previousValue}${unit})`;
+    }
+    if (previousValue === null) {
+      return `${value}${unit}`;
+    }
+
+    const change = value - previousValue;
+    const sign = change > 0 ? '+' : change < 0 ? '−' : '±';
+    return `${value}${unit} (${sign}${Math.abs(change)} from ${previousValue}${unit})`;
+  }
+
+  /**
+   * Format an average duration with its change from the previous period
+   */
+  formatDurationChange(ms, previousMs) {
+    if (ms === null) {
+      return '–';
+    }
+    if (previousMs === null) {
+      return this.formatDuration(ms);
+    }
+
+    const change = ms - previousMs;
+    const sign = change > 0 ? '+' : change < 0 ? '−' : '±';
+    return `${this.formatDuration(ms)} (${sign}${this.formatDuration(Math.abs(change))} from ${this.formatDuration(previousMs)})`;
+  }
+
+  /**
+   * Format a duration as minutes and seconds
+   */
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD (local time)
+   */
+  formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   /**
    * Send error notification
    * @param {Error} error - Error object
    * @param {string} context - Context where error occurred
+   * @param {Object} details - Report from ErrorReportService (optional): user, action, session,
+   *   fingerprint, occurrences since the last alert, total count and first occurrence
+   * @returns {Promise<boolean>}
+   */
+  async sendErrorNotification(error, context = 'Unknown', details = null) {
+    let message = `🚨 *Error Alert*\n\n` +
+      `📍 Context: ${this.escapeMarkdown(context)}\n` +
+      `❌ Error: ${this.escapeMarkdown(`${error.name}: ${error.message}`)}\n`;
+
+    if (details) {
+      if (details.userId) {
+        const username = details.username ? ` (@${this.escapeMarkdown(details.username)})` : '';
+        message += `👤 User: ${details.userId}${username}\n`;
+      }
+      if (details.action) {
+        message += `🔘 Action: ${this.escapeMarkdown(details.action)}\n`;
+      }
+      if (details.session) {
+        const { state, mode, question } = details.session;
+        message += `📋 Session: ${state}, ${mode}${question ? `, question ${question}` : ''}\n`;
+      }
+      if (details.occurrences > 1) {
+        message += `🔁 ${details.occurrences} times since the last alert (${details.count} in total, ` +
+          `first at ${details.firstSeen.toLocaleString()})\n`;
+      } else if (details.count > 1) {
+        message += `🔁 ${details.count} times in total, first at ${details.firstSeen.toLocaleString()}\n`;
+      }
+      message += `🏷 Fingerprint: ${details.fingerprint}\n`;
+    }
+
+    message += `📅 Time: ${new Date().toLocaleString()}`;
+    return this.sendMessage(message);
+  }
+
+  /**
+   * Escape text for Markdown messages (usernames, error messages and callback data
+   * often contain underscores, which would otherwise start italics)
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  escapeMarkdown(text) {
+    return String(text).replace(/([_*`[])/g, '\\$1');
+  }
+
+  /**
+   * Send a rate limit alert (user throttled, blocked or over the daily test cap)
+   * @param {Object} user - Telegram user the alert is about
+   * @param {string} details - What happened
    * @returns {Promise<boolean>}
    */
-  async sendErrorNotification(error, context = 'Unknown') {
-    const message = `🚨 *Error Alert*\n\n` +
-      `📍 Context: ${context}\n` +
-      `❌ Error: ${error.message}\n` +
+  async sendRateLimitNotification(user, details) {
+    const username = user.username ? ` (@${this.escapeMarkdown(user.username)})` : '';
+    const message = `🚦 *Rate Limit*\n\n` +
+      `👤 User: ${user.id}${username}\n` +
+      `⚠️ ${details}\n` +
       `📅 Time: ${new Date().toLocaleString()}`;
-    
+
     return this.sendMessage(message);
   }
 
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('../utils/categories');
+const { writeFileAtomic, moveAside } = require('../utils/dataFiles');
+
+// Oldest attempts are dropped beyond this many per user
+const MAX_ATTEMPTS = 50;
+
+/**
+ * Profile Service
+ * Opt-in store of each learner's past results, so retakes can be compared.
+ * Nothing is recorded for a user until they turn history on, and they can
+ * turn it off or delete it at any time. Only the outcome of each attempt is
+ * kept (level, score and category scores), not the individual answers.
+ */
+class ProfileService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.profilesPath - JSON file with the profiles
+   */
+  constructor(options = {}) {
+    this.profilesPath = options.profilesPath || path.join(__dirname, '../../data/profiles.json');
+    this.profiles = {};
+    this.writable = true;
+    this.loadProfiles();
+  }
+
+  /**
+   * Load profiles from disk
+   * A file that can't be read is moved aside (never overwritten), and history starts
+   * empty; if it can't be moved, saving is turned off so the file stays as it is.
+   */
+  loadProfiles() {
+    try {
+      if (fs.existsSync(this.profilesPath)) {
+        this.profiles = JSON.parse(fs.readFileSync(this.profilesPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading profiles:', error.message);
+      this.profiles = {};
+
+      try {
+        const brokenPath = moveAside(this.profilesPath);
+        console.warn(`⚠️  Unreadable profiles file kept as ${brokenPath}`);
+      } catch (renameError) {
+        this.writable = false;
+        console.error(`Error moving the unreadable profiles file aside, history will not be saved: ${renameError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save profiles to disk atomically (write to temp file, then rename)
+   */
+  saveProfiles() {
+    if (!this.writable) {
+      return;
+    }
+
+    try {
+      writeFileAtomic(this.profilesPath, JSON.stringify(this.profiles, null, 2));
+    } catch (error) {
+      console.error('Error saving profiles:', error.message);
+    }
+  }
+
+  /**
+   * Get a user's profile
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|null} Profile, or null if the user never made a choice
+   */
+  getProfile(userId) {
+    return this.profiles[userId.toString()] || null;
+  }
+
+  /**
+   * Check if history is turned on for a user
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean}
+   */
+  isEnabled(userId) {
+    const profile = this.getProfile(userId);
+    return !!(profile && profile.enabled);
+  }
+
+  /**
+   * Check if a user has already chosen whether to keep history
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean}
+   */
+  hasChosen(userId) {
+    return this.getProfile(userId) !== null;
+  }
+
+  /**
+   * Turn history on or off
+   * Turning it off stops recording; attempts already kept stay until wiped.
+   * @param {number} userId - Telegram user ID
+   * @param {boolean} enabled - New state
+   * @returns {Object} Updated profile
+   */
+  setEnabled(userId, enabled) {
+    const key = userId.toString();
+    const profile = this.profiles[key] || { attempts: [] };
+
+    this.profiles[key] = {
+      ...profile,
+      enabled,
+      updatedAt: new Date().toISOString()
+    };
+    this.saveProfiles();
+    return this.profiles[key];
+  }
+
+  /**
+   * Delete all kept attempts and turn history off
+   * Only the choice itself is kept, so the user isn't asked again.
+   * @param {number} userId - Telegram user ID
+   */
+  wipe(userId) {
+    this.profiles[userId.toString()] = {
+      enabled: false,
+      attempts: [],
+      updatedAt: new Date().toISOString()
+    };
+    this.saveProfiles();
+  }
+
+  /**
+   * Record a completed test if the user keeps history
+   * @param {number} userId - Telegram user ID
+   * @param {Object} assessment - Assessment result
+   * @returns {boolean} True if the attempt was recorded
+   */
+  recordAttempt(userId, assessment) {
+    const profile = this.getProfile(userId);
+    if (!profile || !profile.enabled) {
+      return false;
+    }
+
+    // The same result may be offered twice (e.g. enabling right after a test)
+    if (profile.attempts.some(attempt => attempt.completedAt === assessment.completedAt)) {
+      return false;
+    }
+
+    const categories = {};
+    for (const category of CATEGORIES) {
+      const stats = (assessment.categoryStats || {})[category.code];
+      if (stats && stats.total > 0) {
+        categories[category.code] = assessment.categoryPercentages[category.code];
+      }
+    }
+
+    profile.attempts.push({
+      completedAt: assessment.completedAt,
+      mode: assessment.mode || 'fixed',
+      level: assessment.level,
+      score: assessment.percentageScore,
+      categories
+    });
+    profile.attempts = profile.attempts.slice(-MAX_ATTEMPTS);
+
+    this.saveProfiles();
+    return true;
+  }
+
+  /**
+   * Get a user's kept attempts, oldest first
+   * @param {number} userId - Telegram user ID
+   * @returns {Array} Attempts
+   */
+  getAttempts(userId) {
+    const profile = this.getProfile(userId);
+    return profile ? profile.attempts : [];
+  }
+
+  /**
+   * Get how the overall score and each category changed over a user's attempts
+   * @param {number} userId - Telegram user ID
+   * @returns {Object} { overall, levels, categories } - score series, oldest first;
+   *   categories only include attempts where the category was tested
+   */
+  getProgress(userId) {
+    const attempts = this.getAttempts(userId);
+    const categories = {};
+
+    for (const category of CATEGORIES) {
+      const scores = attempts
+        .map(attempt => attempt.categories[category.code])
+        .filter(score => score !== undefined && score !== null);
+      if (scores.length > 0) {
+        categories[category.code] = scores;
+      }
+    }
+
+    return {
+      overall: attempts.map(attempt => attempt.score),
+      levels: attempts.map(attempt => attempt.level),
+      categories
+    };
+  }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,59 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProfileService = require('./profileService');
+
+const ASSESSMENT = {
+  completedAt: '2026-10-19T09:00:00.000Z',
+  level: 'B1',
+  percentageScore: 62,
+  categoryStats: { grammar: { total: 5 } },
+  categoryPercentages: { grammar: 60 }
+};
+
+let dir;
+let profilesPath;
+
+beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  profilesPath = path.join(dir, 'profiles.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('keeps history across restarts without leaving a temp file', () => {
+  const profiles = new ProfileService({ profilesPath });
+  profiles.setEnabled(1, true);
+  assert.strictEqual(profiles.recordAttempt(1, ASSESSMENT), true);
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ['profiles.json']);
+  const attempts = new ProfileService({ profilesPath }).getAttempts(1);
+  assert.deepStrictEqual(attempts.map(a => [a.level, a.score, a.categories]), [['B1', 62, { grammar: 60 }]]);
+});
+
+test('moves an unreadable file aside instead of overwriting it', () => {
+  fs.writeFileSync(profilesPath, '{"1": {"enabled": tr');
+  const profiles = new ProfileService({ profilesPath });
+  profiles.setEnabled(2, true);
+
+  const broken = fs.readdirSync(dir).filter(name => name.startsWith('profiles.json.broken-'));
+  assert.strictEqual(broken.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, broken[0]), 'utf8'), '{"1": {"enabled": tr');
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(profilesPath, 'utf8'))), ['2']);
+});
+
+test('does not save when an unreadable file cannot be moved aside', (t) => {
+  fs.writeFileSync(profilesPath, 'not json');
+  t.mock.method(fs, 'renameSync', () => { throw new Error('EACCES'); });
+  const profiles = new ProfileService({ profilesPath });
+  profiles.setEnabled(2, true);
+
+  assert.strictEqual(profiles.writable, false);
+  assert.strictEqual(fs.readFileSync(profilesPath, 'utf8'), 'not json');
+});
@@ -1,28 +1,56 @@
 const fs = require('fs');
 const path = require('path');
+const { loadLevels, getLevelCodes } = require('../utils/levels');
+const {
+  QUESTION_TYPES,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  getQuestionType,
+  normalizeTextAnswer,
+  getAcceptedAnswers
+} = require('../utils/questionTypes');
+const { getCategoryCodes } = require('../utils/categories');
+
+/**
+ * Serialize the question bank file
+ * Arrays of plain values (options, answers, words) stay on one line, as in the hand-written file.
+ * @param {Object} data - Question bank file contents
+ * @returns {string} JSON text
+ */
+function formatQuestionsFile(data) {
+  return JSON.stringify(data, null, 2).replace(
+    /\[\n\s*((?:"(?:[^"\\]|\\.)*"|-?[\d.]+|true|false|null)(?:,\n\s*(?:"(?:[^"\\]|\\.)*"|-?[\d.]+|true|false|null))*)\n\s*\]/g,
+    (match, items) => `[${items.split(/,\n\s*/).join(', ')}]`
+  ) + '\n';
+}
 
 /**
  * Question Service
  * Handles loading, validating, and selecting questions from JSON files
  */
 class QuestionService {
-  constructor(questionsPath = null) {
+  constructor(questionsPath = null, levels = null, audioDir = null) {
     this.questionsPath = questionsPath || path.join(__dirname, '../../data/questions.json');
+    this.levels = levels || loadLevels();
+    this.audioDir = audioDir || path.join(__dirname, '../../data/audio');
+    this.backupDir = path.join(path.dirname(this.questionsPath), 'backups');
     this.questions = [];
+    this.passages = [];
+    this.onSaved = null; // called with the written file contents after saveQuestions
     this.loadQuestions();
   }
 
   /**
    * Load questions from JSON file
+   * The current questions are kept if the file is invalid.
    * @throws {Error} If file cannot be read or parsed
    */
   loadQuestions() {
     try {
       const data = fs.readFileSync(this.questionsPath, 'utf8');
       const parsed = JSON.parse(data);
-      this.questions = parsed.questions || [];
-      this.validateQuestions();
-      console.log(`Loaded ${this.questions.length} questions successfully`);
+      this.applyQuestionBank(parsed.questions || [], parsed.passages || []);
+      console.log(`Loaded ${this.questions.length} questions and ${this.passages.length} passages successfully`);
     } catch (error) {
       console.error('Error loading questions:', error.message);
       throw new Error(`Failed to load questions: ${error.message}`);
@@ -30,42 +58,300 @@ class QuestionService {
   }
 
   /**
-   * Validate question structure
-   * @throws {Error} If questions are invalid
+   * Validate and switch to a new set of questions and passages
+   * @param {Array} questions - Questions
+   * @param {Array} passages - Reading passages
+   * @throws {Error} If validation fails; the previous questions stay in place
    */
-  validateQuestions() {
-    const requiredFields = ['id', 'text', 'options', 'correct', 'level', 'category'];
-    const validLevels = ['A1', 'A2', 'B1', 'B2'];
-    const validCategories = ['vocabulary', 'grammar'];
+  applyQuestionBank(questions, passages) {
+    const previous = { questions: this.questions, passages: this.passages };
+    this.questions = questions;
+    this.passages = passages;
 
-    for (const question of this.questions) {
-      // Check required fields
-      for (const field of requiredFields) {
-        if (question[field] === undefined) {
-          throw new Error(`Question ${question.id || 'unknown'} missing required field: ${field}`);
-        }
+    try {
+      this.validatePassages();
+      this.validateQuestions();
+    } catch (error) {
+      this.questions = previous.questions;
+      this.passages = previous.passages;
+      throw error;
+    }
+  }
+
+  /**
+   * Switch to new level definitions
+   * @param {Array} levels - Enabled level definitions
+   * @throws {Error} If the current questions don't fit the new levels; the old levels stay in place
+   */
+  setLevels(levels) {
+    const previous = this.levels;
+    this.levels = levels;
+
+    try {
+      this.validatePassages();
+      this.validateQuestions();
+    } catch (error) {
+      this.levels = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and write questions back to the question bank file
+   * The current file is copied to the backups directory first, and the new
+   * file is written to a temp file and renamed so it is never half-written.
+   * @param {Array} questions - Complete list of questions
+   * @throws {Error} If validation or writing fails; nothing is changed then
+   */
+  saveQuestions(questions) {
+    const previous = this.questions;
+    this.applyQuestionBank(questions, this.passages);
+
+    let contents;
+    try {
+      const raw = fs.readFileSync(this.questionsPath, 'utf8');
+      const data = { ...JSON.parse(raw), questions };
+
+      fs.mkdirSync(this.backupDir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      fs.writeFileSync(path.join(this.backupDir, `questions-${stamp}.json`), raw);
+
+      const tempPath = `${this.questionsPath}.tmp`;
+      contents = formatQuestionsFile(data);
+      fs.writeFileSync(tempPath, contents);
+      fs.renameSync(tempPath, this.questionsPath);
+    } catch (error) {
+      this.questions = previous;
+      throw new Error(`Failed to save questions: ${error.message}`);
+    }
+
+    if (this.onSaved) this.onSaved(contents);
+
+    console.log(`Saved ${questions.length} questions to ${this.questionsPath}`);
+  }
+
+  /**
+   * Add a question with the next free ID and save it
+   * @param {Object} question - Question without an ID
+   * @returns {Object} Saved question
+   */
+  addQuestion(question) {
+    const nextId = this.questions.reduce((max, q) => Math.max(max, q.id), 0) + 1;
+    const saved = { id: nextId, ...question };
+    this.saveQuestions([...this.questions, saved]);
+    return saved;
+  }
+
+  /**
+   * Replace a question and save it
+   * @param {number} id - Question ID
+   * @param {Object} question - Updated question (its ID is kept)
+   * @returns {Object} Saved question
+   */
+  updateQuestion(id, question) {
+    if (!this.getQuestionById(id)) {
+      throw new Error(`Question ${id} not found`);
+    }
+
+    const saved = { ...question, id };
+    this.saveQuestions(this.questions.map(q => (q.id === id ? saved : q)));
+    return saved;
+  }
+
+  /**
+   * Disable or re-enable a question; disabled questions are never selected for tests
+   * @param {number} id - Question ID
+   * @param {boolean} disabled - New state
+   * @returns {Object} Saved question
+   */
+  setQuestionDisabled(id, disabled) {
+    const question = this.getQuestionById(id);
+    if (!question) {
+      throw new Error(`Question ${id} not found`);
+    }
+
+    const { disabled: previous, ...rest } = question;
+    return this.updateQuestion(id, disabled ? { ...rest, disabled: true } : rest);
+  }
+
+  /**
+   * Validate reading passages
+   * @throws {Error} If passages are invalid
+   */
+  validatePassages() {
+    const validLevels = getLevelCodes(this.levels);
+    const seenIds = new Set();
+
+    for (const passage of this.passages) {
+      if (passage.id === undefined || typeof passage.text !== 'string' || passage.text.trim() === '') {
+        throw new Error(`Passage ${passage.id || 'unknown'} must have an id and text`);
       }
 
-      // Validate options
-      if (!Array.isArray(question.options) || question.options.length !== 4) {
-        throw new Error(`Question ${question.id} must have exactly 4 options`);
+      if (seenIds.has(passage.id)) {
+        throw new Error(`Duplicate passage id: ${passage.id}`);
       }
+      seenIds.add(passage.id);
 
-      // Validate correct answer index
-      if (question.correct < 0 || question.correct > 3) {
-        throw new Error(`Question ${question.id} has invalid correct answer index`);
+      if (!validLevels.includes(passage.level)) {
+        throw new Error(`Passage ${passage.id} has invalid level: ${passage.level}`);
       }
+    }
+  }
 
-      // Validate level
-      if (!validLevels.includes(question.level)) {
-        throw new Error(`Question ${question.id} has invalid level: ${question.level}`);
+  /**
+   * Validate question structure
+   * @param {Array} questions - Questions to check (defaults to the loaded questions)
+   * @throws {Error} If questions are invalid
+   */
+  validateQuestions(questions = this.questions) {
+    const seenIds = new Set();
+
+    for (const question of questions) {
+      this.validateQuestion(question);
+
+      if (seenIds.has(question.id)) {
+        throw new Error(`Question ${question.id} has a duplicate id`);
       }
+      seenIds.add(question.id);
+    }
+  }
 
-      // Validate category
-      if (!validCategories.includes(question.category)) {
-        throw new Error(`Question ${question.id} has invalid category: ${question.category}`);
+  /**
+   * Validate a single question against the current levels, passages and audio files
+   * @param {Object} question - Question object
+   * @throws {Error} If the question is invalid
+   */
+  validateQuestion(question) {
+    const requiredFields = ['id', 'text', 'level', 'category'];
+    const validLevels = getLevelCodes(this.levels);
+    const validCategories = getCategoryCodes();
+    const validTypes = Object.values(QUESTION_TYPES);
+
+    // Check required fields
+    for (const field of requiredFields) {
+      if (question[field] === undefined) {
+        throw new Error(`Question ${question.id || 'unknown'} missing required field: ${field}`);
       }
     }
+
+    if (!Number.isInteger(question.id)) {
+      throw new Error(`Question ${question.id} has an invalid id`);
+    }
+
+    if (question.disabled !== undefined && typeof question.disabled !== 'boolean') {
+      throw new Error(`Question ${question.id} has an invalid disabled flag`);
+    }
+
+    // Validate type and its answer fields
+    const type = getQuestionType(question);
+    if (!validTypes.includes(type)) {
+      throw new Error(`Question ${question.id} has invalid type: ${type}`);
+    }
+    this.validateAnswerFields(question, type);
+
+    // Validate level
+    if (!validLevels.includes(question.level)) {
+      throw new Error(`Question ${question.id} has invalid level: ${question.level}`);
+    }
+
+    // Validate category
+    if (!validCategories.includes(question.category)) {
+      throw new Error(`Question ${question.id} has invalid category: ${question.category}`);
+    }
+
+    // Validate passage reference: reading questions belong to a passage of the same level
+    if (question.passageId !== undefined) {
+      const passage = this.getPassageById(question.passageId);
+      if (!passage) {
+        throw new Error(`Question ${question.id} references unknown passage: ${question.passageId}`);
+      }
+      if (passage.level !== question.level) {
+        throw new Error(`Question ${question.id} level must match its passage level (${passage.level})`);
+      }
+    } else if (question.category === 'reading') {
+      throw new Error(`Reading question ${question.id} must reference a passage`);
+    }
+
+    // Validate audio file: listening questions need one, and it must exist in the audio directory
+    if (question.audio !== undefined) {
+      this.validateAudioFile(question);
+    } else if (question.category === 'listening') {
+      throw new Error(`Listening question ${question.id} must reference an audio file`);
+    }
+
+    // Validate optional explanation
+    if (question.explanation !== undefined &&
+        (typeof question.explanation !== 'string' || question.explanation.trim() === '')) {
+      throw new Error(`Question ${question.id} has an empty or invalid explanation`);
+    }
+  }
+
+  /**
+   * Check that a question's audio file exists inside the audio directory
+   * @param {Object} question - Question with an `audio` file name
+   * @throws {Error} If the file name is invalid or the file is missing
+   */
+  validateAudioFile(question) {
+    if (typeof question.audio !== 'string' || question.audio.trim() === '') {
+      throw new Error(`Question ${question.id} has an invalid audio file name`);
+    }
+
+    const audioDir = path.resolve(this.audioDir);
+    const filePath = path.resolve(audioDir, question.audio);
+    if (!filePath.startsWith(audioDir + path.sep)) {
+      throw new Error(`Question ${question.id} audio file must be inside ${this.audioDir}`);
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Question ${question.id} audio file not found: ${question.audio}`);
+    }
+  }
+
+  /**
+   * Validate the answer fields required by a question type
+   * @param {Object} question - Question object
+   * @param {string} type - Question type
+   * @throws {Error} If the fields don't match the type
+   */
+  validateAnswerFields(question, type) {
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+    switch (type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+        if (!Array.isArray(question.options) ||
+            question.options.length < MIN_OPTIONS || question.options.length > MAX_OPTIONS) {
+          throw new Error(`Question ${question.id} must have ${MIN_OPTIONS}-${MAX_OPTIONS} options`);
+        }
+        if (!Number.isInteger(question.correct) ||
+            question.correct < 0 || question.correct >= question.options.length) {
+          throw new Error(`Question ${question.id} has invalid correct answer index`);
+        }
+        break;
+
+      case QUESTION_TYPES.TRUE_FALSE:
+        if (typeof question.correct !== 'boolean') {
+          throw new Error(`Question ${question.id} must have a true/false correct answer`);
+        }
+        break;
+
+      case QUESTION_TYPES.GAP_FILL:
+        if (!Array.isArray(question.answers) || question.answers.length === 0 ||
+            !question.answers.every(isNonEmptyString)) {
+          throw new Error(`Question ${question.id} must have at least one accepted answer`);
+        }
+        break;
+
+      case QUESTION_TYPES.WORD_ORDER:
+        if (!Array.isArray(question.words) || question.words.length < 2 ||
+            !question.words.every(isNonEmptyString)) {
+          throw new Error(`Question ${question.id} must have at least 2 words to order`);
+        }
+        if (question.answers !== undefined &&
+            (!Array.isArray(question.answers) || !question.answers.every(isNonEmptyString))) {
+          throw new Error(`Question ${question.id} has invalid alternative answers`);
+        }
+        break;
+    }
   }
 
   /**
@@ -77,21 +363,105 @@ class QuestionService {
   }
 
   /**
-   * Get questions by level
-   * @param {string} level - CEFR level (A1, A2, B1, B2)
+   * Get questions that can be used in tests (not disabled)
+   * @returns {Array} Enabled questions
+   */
+  getActiveQuestions() {
+    return this.questions.filter(q => !q.disabled);
+  }
+
+  /**
+   * Get enabled questions by level
+   * @param {string} level - CEFR level code
    * @returns {Array} Questions matching the level
    */
   getQuestionsByLevel(level) {
-    return this.questions.filter(q => q.level === level);
+    return this.getActiveQuestions().filter(q => q.level === level);
   }
 
   /**
-   * Get questions by category
-   * @param {string} category - Category (vocabulary, grammar)
+   * Get enabled questions by category
+   * @param {string} category - Category (vocabulary, grammar, reading, listening)
    * @returns {Array} Questions matching the category
    */
   getQuestionsByCategory(category) {
-    return this.questions.filter(q => q.category === category);
+    return this.getActiveQuestions().filter(q => q.category === category);
+  }
+
+  /**
+   * Find questions matching admin list filters
+   * @param {Object} filters - Optional level, category, type, disabled (boolean) and text search
+   * @returns {Array} Matching questions, by ID
+   */
+  findQuestions(filters = {}) {
+    const search = filters.text ? filters.text.toLowerCase() : null;
+
+    return this.questions
+      .filter(q => !filters.level || q.level === filters.level)
+      .filter(q => !filters.category || q.category === filters.category)
+      .filter(q => !filters.type || getQuestionType(q) === filters.type)
+      .filter(q => filters.disabled === undefined || !!q.disabled === filters.disabled)
+      .filter(q => !search || q.text.toLowerCase().includes(search))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Get a reading passage by ID
+   * @param {number} id - Passage ID
+   * @returns {Object|null} Passage or null if not found
+   */
+  getPassageById(id) {
+    return this.passages.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Get the questions of a level as selection units
+   * Standalone questions are units of one; a passage's questions form one unit
+   * so they are always asked together and in their original order.
+   * @param {string} level - CEFR level code
+   * @returns {Array<Array<Object>>} Question groups
+   */
+  getQuestionGroups(level) {
+    const groups = [];
+    const passageGroups = new Map();
+
+    for (const question of this.getQuestionsByLevel(level)) {
+      if (question.passageId === undefined) {
+        groups.push([question]);
+        continue;
+      }
+
+      if (!passageGroups.has(question.passageId)) {
+        const group = [];
+        passageGroups.set(question.passageId, group);
+        groups.push(group);
+      }
+      passageGroups.get(question.passageId).push(question);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Pick random groups until the count is reached
+   * Passage groups that would overshoot the count are skipped.
+   * @param {Array<Array<Object>>} groups - Question groups
+   * @param {number} count - Number of questions wanted
+   * @returns {Array<Array<Object>>} Selected groups
+   */
+  pickGroups(groups, count) {
+    const selected = [];
+    let remaining = count;
+
+    for (const group of this.shuffleArray(groups)) {
+      if (remaining <= 0) break;
+      if (group.length > remaining) continue;
+
+      selected.push(group);
+      remaining -= group.length;
+    }
+
+    return selected;
   }
 
   /**
@@ -104,29 +474,55 @@ class QuestionService {
    */
   selectQuestionsForTest(config) {
     const { totalQuestions = 20, questionsPerLevel, questionsPerCategory } = config;
-    const selectedQuestions = [];
+    const selectedGroups = [];
 
     // If specific per-level configuration is provided
     if (questionsPerLevel) {
       for (const [level, count] of Object.entries(questionsPerLevel)) {
-        const levelQuestions = this.getQuestionsByLevel(level);
-        const selected = this.shuffleArray(levelQuestions).slice(0, count);
-        selectedQuestions.push(...selected);
+        selectedGroups.push(...this.pickGroups(this.getQuestionGroups(level), count));
       }
     } else {
       // Default: equal distribution across levels
-      const levels = ['A1', 'A2', 'B1', 'B2'];
+      const levels = getLevelCodes(this.levels);
       const perLevel = Math.floor(totalQuestions / levels.length);
 
       for (const level of levels) {
-        const levelQuestions = this.getQuestionsByLevel(level);
-        const selected = this.shuffleArray(levelQuestions).slice(0, perLevel);
-        selectedQuestions.push(...selected);
+        selectedGroups.push(...this.pickGroups(this.getQuestionGroups(level), perLevel));
       }
     }
 
-    // Shuffle final selection
-    return this.shuffleArray(selectedQuestions);
+    // Shuffle final selection, keeping passage questions together
+    return this.shuffleArray(selectedGroups).flat();
+  }
+
+  /**
+   * Pick the next question for an adaptive test
+   * Falls back to the nearest level when the target level has no unused questions left.
+   * Passage questions are not used: the test may stop before a passage is finished.
+   * @param {string} level - Target CEFR level
+   * @param {Array<number>} excludeIds - IDs of questions already asked
+   * @returns {Object|null} Selected question or null if none are left
+   */
+  selectAdaptiveQuestion(level, excludeIds = []) {
+    const levels = getLevelCodes(this.levels);
+    const targetIndex = Math.max(levels.indexOf(level), 0);
+
+    // Try the target level first, then widen the search one level at a time
+    for (let distance = 0; distance < levels.length; distance++) {
+      const candidateLevels = [levels[targetIndex + distance], levels[targetIndex - distance]]
+        .filter(Boolean);
+
+      for (const candidate of new Set(candidateLevels)) {
+        const available = this.getQuestionsByLevel(candidate)
+          .filter(q => q.passageId === undefined && !excludeIds.includes(q.id));
+
+        if (available.length > 0) {
+          return this.shuffleArray(available)[0];
+        }
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -154,23 +550,49 @@ class QuestionService {
 
   /**
    * Check if an answer is correct
-   * @param {number} questionId - Question ID
-   * @param {number} selectedOption - Selected option index (0-3)
+   * Pass the question object stored in the session so answers are checked against
+   * the question that was actually asked, even if the bank was reloaded since.
+   * @param {Object|number} questionOrId - Question object or question ID
+   * @param {number|string} answer - Selected option index, or typed text for gap-fill and word-order questions
    * @returns {Object} Result with isCorrect and correctAnswer
    */
-  checkAnswer(questionId, selectedOption) {
-    const question = this.getQuestionById(questionId);
+  checkAnswer(questionOrId, answer) {
+    const question = typeof questionOrId === 'object'
+      ? questionOrId
+      : this.getQuestionById(questionOrId);
     if (!question) {
-      throw new Error(`Question ${questionId} not found`);
+      throw new Error(`Question ${questionOrId} not found`);
     }
 
-    return {
-      isCorrect: question.correct === selectedOption,
-      correctAnswer: question.correct,
-      correctOption: question.options[question.correct],
-      selectedOption: selectedOption,
-      weight: question.weight || 1
-    };
+    const result = { isCorrect: false, correctAnswer: null, correctOption: null, weight: question.weight || 1 };
+
+    switch (getQuestionType(question)) {
+      case QUESTION_TYPES.TRUE_FALSE:
+        // Option 0 is "True", option 1 is "False"
+        result.isCorrect = (answer === 0) === question.correct;
+        result.correctAnswer = question.correct ? 0 : 1;
+        result.selectedOption = answer;
+        break;
+
+      case QUESTION_TYPES.GAP_FILL:
+      case QUESTION_TYPES.WORD_ORDER: {
+        const accepted = getAcceptedAnswers(question);
+        const normalized = normalizeTextAnswer(answer);
+        result.isCorrect = accepted.some(variant => normalizeTextAnswer(variant) === normalized);
+        result.correctAnswer = accepted[0];
+        result.correctOption = accepted[0];
+        result.textAnswer = answer;
+        break;
+      }
+
+      default:
+        result.isCorrect = question.correct === answer;
+        result.correctAnswer = question.correct;
+        result.correctOption = question.options[question.correct];
+        result.selectedOption = answer;
+    }
+
+    return result;
   }
 
   /**
@@ -180,25 +602,35 @@ class QuestionService {
   getStats() {
     const stats = {
       total: this.questions.length,
+      disabled: this.questions.filter(q => q.disabled).length,
+      passages: this.passages.length,
       byLevel: {},
-      byCategory: {}
+      byCategory: {},
+      byType: {}
     };
 
     // Count by level
-    for (const level of ['A1', 'A2', 'B1', 'B2']) {
+    for (const level of getLevelCodes(this.levels)) {
       stats.byLevel[level] = this.getQuestionsByLevel(level).length;
     }
 
     // Count by category
-    for (const category of ['vocabulary', 'grammar']) {
+    for (const category of getCategoryCodes()) {
       stats.byCategory[category] = this.getQuestionsByCategory(category).length;
     }
 
+    // Count by type
+    for (const question of this.getActiveQuestions()) {
+      const type = getQuestionType(question);
+      stats.byType[type] = (stats.byType[type] || 0) + 1;
+    }
+
     return stats;
   }
 
   /**
    * Reload questions from file (useful for hot reloading)
+   * @throws {Error} If the file is invalid; the current questions stay in place
    */
   reloadQuestions() {
     this.loadQuestions();
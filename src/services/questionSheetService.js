@@ -0,0 +1,379 @@
+const { findLevel } = require('../utils/levels');
+const { QUESTION_TYPES, MIN_OPTIONS, OPTION_LETTERS, getQuestionType } = require('../utils/questionTypes');
+const { parseDelimited, formatDelimited } = require('../utils/csv');
+
+const OPTION_COLUMNS = OPTION_LETTERS.map(letter => `option_${letter.toLowerCase()}`);
+
+// Spreadsheet columns, in export order
+const COLUMNS = [
+  'id', 'type', 'level', 'category', 'text',
+  ...OPTION_COLUMNS,
+  'correct', 'answers', 'words', 'weight', 'passageId', 'audio', 'explanation', 'disabled'
+];
+
+const REQUIRED_COLUMNS = ['level', 'category', 'text'];
+const LIST_SEPARATOR = '|';
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Question Sheet Service
+ * Converts the question bank to and from CSV/TSV spreadsheets, one question per row.
+ * Multiple-choice options go in option_a..option_f with `correct` as a letter;
+ * accepted answers and word-order words are separated by "|".
+ */
+class QuestionSheetService {
+  /**
+   * @param {QuestionService} questionService - Question bank to import into and export from
+   */
+  constructor(questionService) {
+    this.questionService = questionService;
+  }
+
+  /**
+   * Import questions from spreadsheet text
+   * Nothing is saved if any row is invalid or if this is a dry run.
+   * @param {string} text - CSV or TSV contents with a header row
+   * @param {Object} options - Import options
+   * @param {string} options.delimiter - Field delimiter
+   * @param {string} options.mode - 'merge' (add and update by id) or 'replace' (the file becomes the whole bank)
+   * @param {boolean} options.dryRun - Validate and report without saving
+   * @returns {Object} { added, updated, total, saved, errors }
+   */
+  importQuestions(text, options = {}) {
+    const { delimiter = ',', mode = 'merge', dryRun = false } = options;
+    const result = { added: 0, updated: 0, total: 0, saved: false, errors: [] };
+
+    let rows;
+    try {
+      rows = parseDelimited(text, delimiter);
+    } catch (error) {
+      result.errors.push(error.message);
+      return result;
+    }
+
+    if (rows.length < 2) {
+      result.errors.push('The file has no question rows');
+      return result;
+    }
+
+    const header = rows[0].map(column => column.trim());
+    const headerErrors = this.validateHeader(header);
+    if (headerErrors.length > 0) {
+      result.errors.push(...headerErrors);
+      return result;
+    }
+
+    // Convert rows; header is row 1, as in the spreadsheet
+    const entries = [];
+    const rowErrors = [];
+    rows.slice(1).forEach((fields, index) => {
+      const row = index + 2;
+      try {
+        entries.push({ row, question: this.rowToQuestion(header, fields) });
+      } catch (error) {
+        rowErrors.push({ row, message: error.message });
+      }
+    });
+
+    const existing = mode === 'replace' ? [] : this.questionService.getAllQuestions();
+    this.assignIds(entries, existing, rowErrors);
+
+    for (const { row, question } of entries) {
+      try {
+        this.questionService.validateQuestion(question);
+      } catch (error) {
+        rowErrors.push({ row, message: error.message });
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      result.errors = rowErrors
+        .sort((a, b) => a.row - b.row)
+        .map(({ row, message }) => `Row ${row}: ${message}`);
+      return result;
+    }
+
+    // Merge by id, keeping the bank's order and appending new questions
+    const imported = new Map(entries.map(({ question }) => [question.id, question]));
+    const questions = existing.map(question => {
+      if (!imported.has(question.id)) return question;
+      result.updated++;
+      const updated = imported.get(question.id);
+      imported.delete(question.id);
+      return updated;
+    });
+    result.added = imported.size;
+    questions.push(...imported.values());
+    result.total = questions.length;
+
+    try {
+      this.questionService.validateQuestions(questions);
+      if (!dryRun) {
+        this.questionService.saveQuestions(questions);
+        result.saved = true;
+      }
+    } catch (error) {
+      result.errors.push(error.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check the header row
+   * @param {Array<string>} header - Column names
+   * @returns {Array<string>} Errors
+   */
+  validateHeader(header) {
+    const errors = [];
+    const seen = new Set();
+
+    for (const column of header) {
+      if (!COLUMNS.includes(column)) {
+        errors.push(`Unknown column "${column}" (allowed: ${COLUMNS.join(', ')})`);
+      } else if (seen.has(column)) {
+        errors.push(`Column "${column}" appears more than once`);
+      }
+      seen.add(column);
+    }
+
+    for (const column of REQUIRED_COLUMNS) {
+      if (!seen.has(column)) {
+        errors.push(`Missing required column "${column}"`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Give every imported question an id
+   * Rows with an id keep it (updating the existing question in merge mode);
+   * rows without one get the next free id.
+   * @param {Array} entries - { row, question } pairs
+   * @param {Array} existing - Questions the import is merged into
+   * @param {Array} errors - { row, message } errors are added here
+   */
+  assignIds(entries, existing, errors) {
+    const seen = new Set();
+    let maxId = existing.reduce((max, q) => Math.max(max, q.id), 0);
+
+    for (const { row, question } of entries) {
+      if (question.id === undefined) continue;
+      if (seen.has(question.id)) {
+        errors.push({ row, message: `id ${question.id} is used by an earlier row` });
+      }
+      seen.add(question.id);
+      maxId = Math.max(maxId, question.id);
+    }
+
+    for (const entry of entries) {
+      if (entry.question.id === undefined) {
+        maxId++;
+        entry.question = { id: maxId, ...entry.question };
+      }
+    }
+  }
+
+  /**
+   * Convert a spreadsheet row to a question
+   * @param {Array<string>} header - Column names
+   * @param {Array<string>} fields - Row values
+   * @returns {Object} Question (without an id if the row has none)
+   * @throws {Error} If a value can't be converted
+   */
+  rowToQuestion(header, fields) {
+    if (fields.length > header.length && fields.slice(header.length).some(value => value.trim() !== '')) {
+      throw new Error(`has ${fields.length} fields but the header has ${header.length}`);
+    }
+
+    const values = {};
+    COLUMNS.forEach(column => {
+      values[column] = '';
+    });
+    header.forEach((column, index) => {
+      values[column] = (fields[index] || '').trim();
+    });
+
+    const question = {};
+
+    if (values.id) {
+      if (!/^\d+$/.test(values.id) || Number(values.id) === 0) {
+        throw new Error(`id must be a positive whole number, got "${values.id}"`);
+      }
+      question.id = Number(values.id);
+    }
+
+    if (values.passageId) {
+      if (!/^\d+$/.test(values.passageId)) {
+        throw new Error(`passageId must be a whole number, got "${values.passageId}"`);
+      }
+      question.passageId = Number(values.passageId);
+    }
+
+    const type = (values.type || QUESTION_TYPES.MULTIPLE_CHOICE).toLowerCase();
+    if (!Object.values(QUESTION_TYPES).includes(type)) {
+      throw new Error(`unknown type "${values.type}" (allowed: ${Object.values(QUESTION_TYPES).join(', ')})`);
+    }
+    if (type !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+      question.type = type;
+    }
+
+    if (!values.text) {
+      throw new Error('text is empty');
+    }
+    question.text = values.text;
+
+    const options = OPTION_COLUMNS.map(column => values[column] || '');
+    const lastOption = options.reduce((last, option, index) => (option ? index : last), -1);
+    const usedOptions = options.slice(0, lastOption + 1);
+
+    switch (type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE: {
+        const gap = usedOptions.indexOf('');
+        if (gap !== -1) {
+          throw new Error(`${OPTION_COLUMNS[gap]} is empty but a later option is filled in`);
+        }
+        if (usedOptions.length < MIN_OPTIONS) {
+          throw new Error(`needs at least ${MIN_OPTIONS} options (${OPTION_COLUMNS.slice(0, MIN_OPTIONS).join(', ')}, ...)`);
+        }
+        question.options = usedOptions;
+        const letter = values.correct.toUpperCase();
+        const index = OPTION_LETTERS.indexOf(letter);
+        if (index === -1 || index >= usedOptions.length) {
+          throw new Error(`correct must be the letter of a filled-in option (A-${OPTION_LETTERS[usedOptions.length - 1]}), got "${values.correct}"`);
+        }
+        question.correct = index;
+        break;
+      }
+
+      case QUESTION_TYPES.TRUE_FALSE:
+        question.correct = this.parseBoolean(values.correct, 'correct');
+        break;
+
+      case QUESTION_TYPES.GAP_FILL:
+        question.answers = this.parseList(values.answers);
+        break;
+
+      case QUESTION_TYPES.WORD_ORDER: {
+        question.words = this.parseList(values.words);
+        const answers = this.parseList(values.answers);
+        if (answers.length > 0) {
+          question.answers = answers;
+        }
+        break;
+      }
+    }
+
+    if (type !== QUESTION_TYPES.MULTIPLE_CHOICE && usedOptions.length > 0) {
+      throw new Error(`option columns are only used by multiple_choice questions, not ${type}`);
+    }
+
+    question.level = values.level;
+    question.category = values.category.toLowerCase();
+
+    if (values.weight) {
+      const weight = Number(values.weight);
+      if (!Number.isFinite(weight) || weight <= 0) {
+        throw new Error(`weight must be a positive number, got "${values.weight}"`);
+      }
+      question.weight = weight;
+    } else {
+      // Default to the level's weight, as in the hand-written bank
+      const level = findLevel(this.questionService.levels, question.level);
+      if (level && level.weight !== undefined) {
+        question.weight = level.weight;
+      }
+    }
+
+    if (values.audio) {
+      question.audio = values.audio;
+    }
+    if (values.explanation) {
+      question.explanation = values.explanation;
+    }
+    if (values.disabled && this.parseBoolean(values.disabled, 'disabled')) {
+      question.disabled = true;
+    }
+
+    return question;
+  }
+
+  /**
+   * Parse a yes/no cell
+   * @param {string} value - Cell value
+   * @param {string} column - Column name for the error message
+   * @returns {boolean}
+   */
+  parseBoolean(value, column) {
+    const normalized = value.toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return true;
+    if (FALSE_VALUES.includes(normalized)) return false;
+    throw new Error(`${column} must be true or false, got "${value}"`);
+  }
+
+  /**
+   * Parse a "|"-separated cell
+   * @param {string} value - Cell value
+   * @returns {Array<string>} Non-empty items
+   */
+  parseList(value) {
+    return (value || '').split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Export questions as spreadsheet text
+   * @param {Object} options - Export options
+   * @param {string} options.delimiter - Field delimiter
+   * @param {Array<string>} options.levels - Only these level codes (all if empty)
+   * @param {Array<string>} options.categories - Only these categories (all if empty)
+   * @returns {Object} { text, count }
+   */
+  exportQuestions(options = {}) {
+    const { delimiter = ',', levels = [], categories = [] } = options;
+
+    const questions = this.questionService.getAllQuestions().filter(question =>
+      (levels.length === 0 || levels.includes(question.level)) &&
+      (categories.length === 0 || categories.includes(question.category)));
+
+    const rows = [COLUMNS, ...questions.map(question => this.questionToRow(question))];
+    return { text: formatDelimited(rows, delimiter), count: questions.length };
+  }
+
+  /**
+   * Convert a question to a spreadsheet row
+   * @param {Object} question - Question object
+   * @returns {Array} Values in column order
+   */
+  questionToRow(question) {
+    const type = getQuestionType(question);
+    const values = {
+      id: question.id,
+      type,
+      level: question.level,
+      category: question.category,
+      text: question.text,
+      answers: (question.answers || []).join(LIST_SEPARATOR),
+      words: (question.words || []).join(LIST_SEPARATOR),
+      weight: question.weight,
+      passageId: question.passageId,
+      audio: question.audio,
+      explanation: question.explanation,
+      disabled: question.disabled ? 'true' : ''
+    };
+
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      question.options.forEach((option, index) => {
+        values[OPTION_COLUMNS[index]] = option;
+      });
+      values.correct = OPTION_LETTERS[question.correct];
+    } else if (type === QUESTION_TYPES.TRUE_FALSE) {
+      values.correct = String(question.correct);
+    }
+
+    return COLUMNS.map(column => values[column]);
+  }
+}
+
+module.exports = QuestionSheetService;
@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuestionService = require('./questionService');
+const QuestionSheetService = require('./questionSheetService');
+
+const LEVELS = [
+  { code: 'A1', name: 'Beginner', emoji: '🌱', weight: 1, maxScore: 50 },
+  { code: 'A2', name: 'Elementary', emoji: '🌿', weight: 2, maxScore: 100 }
+];
+
+const QUESTIONS = [
+  { id: 1, text: 'She ______ to school.', options: ['go', 'goes'], correct: 1, level: 'A1', category: 'grammar', weight: 1 },
+  { id: 2, type: 'true_false', text: 'Cats are animals.', correct: true, level: 'A1', category: 'vocabulary', weight: 1 },
+  { id: 3, type: 'gap_fill', text: 'I ______ (be) tired.', answers: ['am', "'m"], level: 'A2', category: 'grammar', weight: 2 }
+];
+
+const HEADER = 'id,type,level,category,text,option_a,option_b,correct,answers\n';
+
+let dir;
+let questionService;
+let sheets;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'questions-'));
+  fs.writeFileSync(path.join(dir, 'questions.json'), JSON.stringify({ questions: QUESTIONS, passages: [] }));
+  questionService = new QuestionService(path.join(dir, 'questions.json'), LEVELS, path.join(dir, 'audio'));
+  sheets = new QuestionSheetService(questionService);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readBank = () => JSON.parse(fs.readFileSync(path.join(dir, 'questions.json'), 'utf8')).questions;
+
+test('exported questions import back unchanged', () => {
+  const { text, count } = sheets.exportQuestions();
+  assert.strictEqual(count, 3);
+
+  const result = sheets.importQuestions(text, { mode: 'replace', dryRun: true });
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual({ added: result.added, updated: result.updated, total: result.total }, { added: 3, updated: 0, total: 3 });
+});
+
+test('merge updates rows by id and appends new ones with the next free id', () => {
+  const text = HEADER +
+    '1,,A1,grammar,"He ______ to work.",go,goes,B,\n' +
+    ',gap_fill,A2,vocabulary,"A baby cat is a ______.",,,,kitten\n';
+  const result = sheets.importQuestions(text);
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual({ added: result.added, updated: result.updated, total: result.total, saved: result.saved },
+    { added: 1, updated: 1, total: 4, saved: true });
+
+  const bank = readBank();
+  assert.deepStrictEqual(bank.map(q => q.id), [1, 2, 3, 4]);
+  assert.strictEqual(bank[0].text, 'He ______ to work.');
+  assert.deepStrictEqual(bank[3], { id: 4, text: 'A baby cat is a ______.', type: 'gap_fill', answers: ['kitten'], level: 'A2', category: 'vocabulary', weight: 2 });
+});
+
+test('replace makes the file the whole bank', () => {
+  const text = HEADER + '7,true_false,A1,grammar,"Is this true?",,,yes,\n';
+  const result = sheets.importQuestions(text, { mode: 'replace' });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual({ added: result.added, updated: result.updated, total: result.total }, { added: 1, updated: 0, total: 1 });
+  assert.deepStrictEqual(readBank().map(q => q.id), [7]);
+});
+
+test('a dry run validates without writing anything', () => {
+  const before = fs.readFileSync(path.join(dir, 'questions.json'), 'utf8');
+  const text = HEADER + ',,A1,grammar,"New question",a,b,A,\n';
+  const result = sheets.importQuestions(text, { dryRun: true });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.added, 1);
+  assert.strictEqual(result.saved, false);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'questions.json'), 'utf8'), before);
+  assert.ok(!fs.existsSync(path.join(dir, 'backups')));
+  assert.strictEqual(questionService.getAllQuestions().length, 3);
+});
+
+test('reports every invalid row by its spreadsheet row number and saves nothing', () => {
+  const before = fs.readFileSync(path.join(dir, 'questions.json'), 'utf8');
+  const text = HEADER +
+    ',,A1,grammar,"Fine",a,b,A,\n' +
+    'x,,A1,grammar,"Bad id",a,b,A,\n' +
+    ',,A1,grammar,"Bad letter",a,b,C,\n' +
+    ',,Z9,grammar,"Bad level",a,b,A,\n' +
+    '1,,A1,grammar,"Duplicate id",a,b,A,\n' +
+    '1,,A1,grammar,"Duplicate id",a,b,A,\n' +
+    ',essay,A1,grammar,"Bad type",,,,\n';
+  const result = sheets.importQuestions(text);
+
+  assert.strictEqual(result.saved, false);
+  assert.deepStrictEqual(result.errors, [
+    'Row 3: id must be a positive whole number, got "x"',
+    'Row 4: correct must be the letter of a filled-in option (A-B), got "C"',
+    'Row 5: Question 5 has invalid level: Z9',
+    'Row 7: id 1 is used by an earlier row',
+    'Row 8: unknown type "essay" (allowed: multiple_choice, true_false, gap_fill, word_order)'
+  ]);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'questions.json'), 'utf8'), before);
+});
+
+test('rejects unknown and missing columns', () => {
+  const result = sheets.importQuestions('id,level,txt\n1,A1,Hello\n');
+  assert.deepStrictEqual(result.errors, [
+    'Unknown column "txt" (allowed: id, type, level, category, text, option_a, option_b, option_c, option_d, option_e, option_f, correct, answers, words, weight, passageId, audio, explanation, disabled)',
+    'Missing required column "category"',
+    'Missing required column "text"'
+  ]);
+});
@@ -0,0 +1,208 @@
+const EventEmitter = require('events');
+const MemoryStore = require('./stores/memoryStore');
+
+// Idle buckets and flood counters are dropped after this many seconds (they would be full/empty anyway)
+const STATE_TTL_SECONDS = 60 * 60;
+
+// Daily test counters outlive the day they count, whatever the time zone of the day boundary
+const DAILY_TTL_SECONDS = 48 * 60 * 60;
+
+// Longest allowed block (config validation keeps flood.blockMinutes within it)
+const MAX_BLOCK_MINUTES = 24 * 60;
+
+// Used when config.json has no rateLimit section
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  messages: { capacity: 8, refillPerMinute: 20 },
+  callbacks: { capacity: 15, refillPerMinute: 60 },
+  dailyTests: 10,
+  flood: { maxRejected: 30, windowSeconds: 60, blockMinutes: 15 }
+};
+
+/**
+ * Rate Limit Service
+ * Per-user token buckets for messages (commands and typed answers) and callback queries,
+ * a daily cap on completed tests and a temporary block for users who keep flooding.
+ * Settings are read from the `rateLimit` section of config.json on every check,
+ * so they follow hot reloads. State is kept in memory and resets on restart.
+ *
+ * Events:
+ * - 'throttled' (user, kind): a user went over a limit (at most once per flood window)
+ * - 'blocked' (user, { rejected, minutes }): a user was blocked for flooding
+ * - 'dailyLimit' (user, { limit }): a user reached the daily test cap (once per day)
+ */
+class RateLimitService extends EventEmitter {
+  /**
+   * @param {ConfigService} configService - Source of the rateLimit settings
+   */
+  constructor(configService) {
+    super();
+    this.configService = configService;
+    this.buckets = new MemoryStore(STATE_TTL_SECONDS); // kind:userId -> { tokens, updatedAt, notified }
+    this.floods = new MemoryStore(STATE_TTL_SECONDS); // userId -> { rejected, windowStart, reported }
+    this.blocks = new MemoryStore(MAX_BLOCK_MINUTES * 60); // userId -> blocked until (ms)
+    this.dailyTests = new MemoryStore(DAILY_TTL_SECONDS); // userId:date -> { count, reported }
+  }
+
+  /**
+   * Active settings, with defaults for anything config.json leaves out
+   * @returns {Object} Rate limit settings
+   */
+  getSettings() {
+    const settings = this.configService.getConfig().rateLimit || {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      messages: { ...DEFAULT_SETTINGS.messages, ...settings.messages },
+      callbacks: { ...DEFAULT_SETTINGS.callbacks, ...settings.callbacks },
+      flood: { ...DEFAULT_SETTINGS.flood, ...settings.flood }
+    };
+  }
+
+  /**
+   * Check if rate limiting is turned on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getSettings().enabled !== false;
+  }
+
+  /**
+   * Get when a user's block ends
+   * @param {number} userId - Telegram user ID
+   * @returns {number|null} Timestamp (ms), or null if the user is not blocked
+   */
+  getBlockedUntil(userId) {
+    const until = this.blocks.get(String(userId));
+    return until && until > Date.now() ? until : null;
+  }
+
+  /**
+   * Take a token for an incoming update
+   * @param {Object} user - Telegram user who sent the update
+   * @param {string} kind - 'messages' or 'callbacks'
+   * @returns {Object} { allowed, notify, blockedUntil }:
+   *   notify is true for the first rejection in a row, so the user is told only once;
+   *   blockedUntil is set when the user is (or just got) blocked
+   */
+  consume(user, kind) {
+    if (!this.isEnabled()) {
+      return { allowed: true, notify: false, blockedUntil: null };
+    }
+
+    const blockedUntil = this.getBlockedUntil(user.id);
+    if (blockedUntil) {
+      return { allowed: false, notify: false, blockedUntil };
+    }
+
+    const settings = this.getSettings();
+    const { capacity, refillPerMinute } = settings[kind];
+    const key = `${kind}:${user.id}`;
+    const now = Date.now();
+
+    // Refill for the time since the last update, up to the bucket capacity
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, notified: false };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 60000 * refillPerMinute);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.notified = false;
+      this.buckets.set(key, bucket);
+      return { allowed: true, notify: false, blockedUntil: null };
+    }
+
+    const notify = !bucket.notified;
+    bucket.notified = true;
+    this.buckets.set(key, bucket);
+
+    return { allowed: false, notify, blockedUntil: this.recordRejection(user, kind, settings.flood) };
+  }
+
+  /**
+   * Count a rejected update and block the user if there were too many in the window
+   * @param {Object} user - Telegram user
+   * @param {string} kind - Limit that was hit
+   * @param {Object} flood - Flood settings
+   * @returns {number|null} Block end (ms) if the user was just blocked
+   */
+  recordRejection(user, kind, flood) {
+    const key = String(user.id);
+    const now = Date.now();
+
+    let state = this.floods.get(key);
+    if (!state || now - state.windowStart > flood.windowSeconds * 1000) {
+      state = { rejected: 0, windowStart: now, reported: false };
+    }
+    state.rejected += 1;
+
+    if (!state.reported) {
+      state.reported = true;
+      this.emit('throttled', user, kind);
+    }
+
+    if (flood.maxRejected > 0 && state.rejected >= flood.maxRejected) {
+      const until = now + flood.blockMinutes * 60 * 1000;
+      this.blocks.set(key, until);
+      this.floods.del(key);
+      this.emit('blocked', user, { rejected: state.rejected, minutes: flood.blockMinutes });
+      return until;
+    }
+
+    this.floods.set(key, state);
+    return null;
+  }
+
+  /**
+   * Get the key of today's test counter (UTC day)
+   */
+  getDailyKey(userId) {
+    return `${userId}:${new Date().toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Check if a user may start another test today
+   * @param {Object} user - Telegram user
+   * @returns {boolean}
+   */
+  canStartTest(user) {
+    const limit = this.getSettings().dailyTests;
+    if (!this.isEnabled() || !limit) {
+      return true;
+    }
+
+    const key = this.getDailyKey(user.id);
+    const today = this.dailyTests.get(key) || { count: 0, reported: false };
+    if (today.count < limit) {
+      return true;
+    }
+
+    if (!today.reported) {
+      today.reported = true;
+      this.dailyTests.set(key, today);
+      this.emit('dailyLimit', user, { limit });
+    }
+    return false;
+  }
+
+  /**
+   * Count a completed test towards the daily cap
+   * @param {number} userId - Telegram user ID
+   */
+  recordCompletedTest(userId) {
+    const key = this.getDailyKey(userId);
+    const today = this.dailyTests.get(key) || { count: 0, reported: false };
+    today.count += 1;
+    this.dailyTests.set(key, today);
+  }
+
+  /**
+   * Get the daily test cap
+   * @returns {number} Tests per day, 0 for no cap
+   */
+  getDailyTestLimit() {
+    return this.getSettings().dailyTests;
+  }
+}
+
+module.exports = RateLimitService;
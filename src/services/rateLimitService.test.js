@@ -0,0 +1,135 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const RateLimitService = require('./rateLimitService');
+
+const USER = { id: 42, username: 'learner' };
+
+// 2026-10-19 23:00 UTC
+const START = Date.UTC(2026, 9, 19, 23, 0);
+
+const createService = (rateLimit) => new RateLimitService({ getConfig: () => ({ rateLimit }) });
+
+const consumeTimes = (service, count, kind = 'messages') =>
+  Array.from({ length: count }, () => service.consume(USER, kind));
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('allows a full bucket, then rejects and tells the user once', () => {
+  const service = createService({ messages: { capacity: 3, refillPerMinute: 6 } });
+
+  const results = consumeTimes(service, 5);
+  assert.deepStrictEqual(results.map(r => r.allowed), [true, true, true, false, false]);
+  assert.deepStrictEqual(results.map(r => r.notify), [false, false, false, true, false]);
+});
+
+test('refills the bucket over time, up to its capacity', () => {
+  const service = createService({ messages: { capacity: 3, refillPerMinute: 6 } });
+  consumeTimes(service, 3);
+
+  // 6 per minute: one token every 10 seconds
+  mock.timers.tick(5 * 1000);
+  assert.strictEqual(service.consume(USER, 'messages').allowed, false);
+  mock.timers.tick(5 * 1000);
+  assert.strictEqual(service.consume(USER, 'messages').allowed, true);
+  assert.strictEqual(service.consume(USER, 'messages').allowed, false);
+
+  mock.timers.tick(60 * 60 * 1000);
+  assert.deepStrictEqual(consumeTimes(service, 4).map(r => r.allowed), [true, true, true, false]);
+});
+
+test('tells the user again after an allowed update', () => {
+  const service = createService({ messages: { capacity: 1, refillPerMinute: 6 } });
+  consumeTimes(service, 2);
+
+  mock.timers.tick(10 * 1000);
+  assert.strictEqual(service.consume(USER, 'messages').allowed, true);
+  assert.strictEqual(service.consume(USER, 'messages').notify, true);
+});
+
+test('keeps separate buckets for messages and callbacks', () => {
+  const service = createService({ messages: { capacity: 1, refillPerMinute: 1 }, callbacks: { capacity: 1, refillPerMinute: 1 } });
+
+  assert.strictEqual(service.consume(USER, 'messages').allowed, true);
+  assert.strictEqual(service.consume(USER, 'messages').allowed, false);
+  assert.strictEqual(service.consume(USER, 'callbacks').allowed, true);
+});
+
+test('reports throttling once per flood window and blocks after too many rejections', () => {
+  const service = createService({
+    messages: { capacity: 1, refillPerMinute: 1 },
+    flood: { maxRejected: 3, windowSeconds: 60, blockMinutes: 15 }
+  });
+  const events = [];
+  service.on('throttled', (user, kind) => events.push(['throttled', kind]));
+  service.on('blocked', (user, details) => events.push(['blocked', details]));
+
+  const results = consumeTimes(service, 4);
+  assert.deepStrictEqual(results.map(r => r.blockedUntil), [null, null, null, START + 15 * 60 * 1000]);
+  assert.deepStrictEqual(events, [['throttled', 'messages'], ['blocked', { rejected: 3, minutes: 15 }]]);
+
+  // Blocked users are rejected silently, whatever their bucket holds
+  mock.timers.tick(10 * 60 * 1000);
+  assert.deepStrictEqual(service.consume(USER, 'callbacks'),
+    { allowed: false, notify: false, blockedUntil: START + 15 * 60 * 1000 });
+
+  mock.timers.tick(5 * 60 * 1000);
+  assert.strictEqual(service.getBlockedUntil(USER.id), null);
+  assert.strictEqual(service.consume(USER, 'messages').allowed, true);
+});
+
+test('starts a new flood window after the old one ends', () => {
+  const service = createService({
+    messages: { capacity: 1, refillPerMinute: 0.5 },
+    flood: { maxRejected: 3, windowSeconds: 60, blockMinutes: 15 }
+  });
+  const throttled = [];
+  service.on('throttled', () => throttled.push(Date.now()));
+
+  consumeTimes(service, 3);
+  mock.timers.tick(61 * 1000);
+  const results = consumeTimes(service, 2);
+
+  assert.deepStrictEqual(results.map(r => r.blockedUntil), [null, null]);
+  assert.deepStrictEqual(throttled, [START, START + 61 * 1000]);
+});
+
+test('caps completed tests per UTC day and reports the cap once', () => {
+  const service = createService({ dailyTests: 2 });
+  const reported = [];
+  service.on('dailyLimit', (user, details) => reported.push(details));
+
+  service.recordCompletedTest(USER.id);
+  assert.strictEqual(service.canStartTest(USER), true);
+  service.recordCompletedTest(USER.id);
+  assert.strictEqual(service.canStartTest(USER), false);
+  assert.strictEqual(service.canStartTest(USER), false);
+  assert.deepStrictEqual(reported, [{ limit: 2 }]);
+  assert.strictEqual(service.canStartTest({ id: 7 }), true);
+
+  // A new UTC day starts at 00:00 UTC
+  mock.timers.tick(60 * 60 * 1000);
+  assert.strictEqual(service.canStartTest(USER), true);
+});
+
+test('does not limit anything when turned off', () => {
+  const service = createService({ enabled: false, messages: { capacity: 1, refillPerMinute: 1 }, dailyTests: 1 });
+
+  assert.deepStrictEqual(consumeTimes(service, 3).map(r => r.allowed), [true, true, true]);
+  service.recordCompletedTest(USER.id);
+  assert.strictEqual(service.canStartTest(USER), true);
+});
+
+test('fills in defaults for settings config.json leaves out', () => {
+  const service = createService({ messages: { capacity: 2 } });
+  const settings = service.getSettings();
+
+  assert.deepStrictEqual(settings.messages, { capacity: 2, refillPerMinute: 20 });
+  assert.strictEqual(settings.dailyTests, 10);
+  assert.strictEqual(createService(undefined).isEnabled(), true);
+});
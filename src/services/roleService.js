@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { ROLES, GRANTABLE_ROLES, ROLE_ENV_VARS, parseUserIds, getRoleRank } = require('../utils/roles');
+const { writeFileAtomic, moveAside } = require('../utils/dataFiles');
+
+/**
+ * Role Service
+ * Role-based access for both bots: viewer < teacher < admin < owner.
+ * Roles come from the *_USER_IDS environment variables and from data/roles.json,
+ * where owners grant and revoke roles in chat. The file is re-read when it changes,
+ * so a role granted through one bot applies to the other without a restart.
+ * Denied commands and role changes are appended to logs/audit.log (one JSON object per line).
+ */
+class RoleService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.rolesPath - JSON file with roles granted in chat
+   * @param {string} options.auditPath - Audit log file
+   * @param {Object} options.env - Environment to read role lists from (default process.env)
+   */
+  constructor(options = {}) {
+    this.rolesPath = options.rolesPath || path.join(__dirname, '../../data/roles.json');
+    this.auditPath = options.auditPath || path.join(__dirname, '../../logs/audit.log');
+    this.envRoles = this.readEnvRoles(options.env || process.env);
+    this.roles = {};
+    this.rolesMtime = null;
+    this.writable = true;
+    this.loadRoles();
+  }
+
+  /**
+   * Read the user IDs of each role from the environment
+   * A user listed under several roles gets the highest one.
+   * @param {Object} env - Environment variables
+   * @returns {Object} userId -> role
+   */
+  readEnvRoles(env) {
+    const roles = {};
+    for (const role of ROLES) {
+      for (const userId of parseUserIds(env[ROLE_ENV_VARS[role]])) {
+        roles[userId] = role;
+      }
+    }
+    return roles;
+  }
+
+  /**
+   * Load roles granted in chat, if the file changed since the last load
+   * A file that can't be read is moved aside (never overwritten) and replaced with the roles
+   * loaded before it broke (none at startup); if it can't be moved, saving is turned off
+   * so the file stays as it is.
+   */
+  loadRoles() {
+    try {
+      if (!fs.existsSync(this.rolesPath)) {
+        this.roles = {};
+        this.rolesMtime = null;
+        return;
+      }
+
+      const mtime = fs.statSync(this.rolesPath).mtimeMs;
+      if (mtime === this.rolesMtime) {
+        return;
+      }
+      this.roles = JSON.parse(fs.readFileSync(this.rolesPath, 'utf8'));
+      this.rolesMtime = mtime;
+      this.writable = true;
+    } catch (error) {
+      console.error('Error loading roles:', error.message);
+
+      let brokenPath;
+      try {
+        brokenPath = moveAside(this.rolesPath);
+      } catch (renameError) {
+        this.writable = false;
+        this.rolesMtime = fs.existsSync(this.rolesPath) ? fs.statSync(this.rolesPath).mtimeMs : null;
+        console.error(`Error moving the unreadable roles file aside, roles will not be saved: ${renameError.message}`);
+        return;
+      }
+
+      console.warn(`⚠️  Unreadable roles file kept as ${brokenPath}`);
+      try {
+        this.saveRoles();
+      } catch (saveError) {
+        // Logged by saveRoles
+      }
+    }
+  }
+
+  /**
+   * Save roles granted in chat atomically (write to temp file, then rename)
+   * @throws {Error} If the file can't be written
+   */
+  saveRoles() {
+    if (!this.writable) {
+      throw new Error(`Could not save roles: ${path.basename(this.rolesPath)} is unreadable, fix or remove it first`);
+    }
+
+    try {
+      writeFileAtomic(this.rolesPath, JSON.stringify(this.roles, null, 2));
+      this.rolesMtime = fs.statSync(this.rolesPath).mtimeMs;
+    } catch (error) {
+      console.error('Error saving roles:', error.message);
+      throw new Error('Could not save roles');
+    }
+  }
+
+  /**
+   * Get a user's role
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string|null} Highest role from the environment and data/roles.json, or null
+   */
+  getRole(userId) {
+    this.loadRoles();
+
+    const key = String(userId);
+    const envRole = this.envRoles[key] || null;
+    const granted = this.roles[key] ? this.roles[key].role : null;
+    return getRoleRank(granted) > getRoleRank(envRole) ? granted : envRole;
+  }
+
+  /**
+   * Check if a user has a role or a higher one
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} role - Required role
+   * @returns {boolean}
+   */
+  hasRole(userId, role) {
+    const userRole = this.getRole(userId);
+    return userRole !== null && getRoleRank(userRole) >= getRoleRank(role);
+  }
+
+  /**
+   * Count the users that have a role or a higher one
+   * @param {string} role - Role
+   * @returns {number} Number of users
+   */
+  countUsers(role) {
+    return this.listRoles().filter(entry => getRoleRank(entry.role) >= getRoleRank(role)).length;
+  }
+
+  /**
+   * Check a command against the user's role, audit-logging denied attempts
+   * @param {Object} user - Telegram user (msg.from / query.from)
+   * @param {string} role - Required role
+   * @param {string} action - What was attempted, e.g. "/export"
+   * @param {string} source - Which bot received it, e.g. "monitor"
+   * @returns {boolean} True if allowed
+   */
+  authorize(user, role, action, source) {
+    if (this.hasRole(user.id, role)) {
+      return true;
+    }
+
+    this.audit({
+      event: 'denied',
+      source,
+      action,
+      userId: user.id,
+      username: user.username || null,
+      role: this.getRole(user.id),
+      required: role
+    });
+    console.warn(`⛔ ${source}: ${action} denied for user ${user.id}`);
+    return false;
+  }
+
+  /**
+   * Grant a role in chat
+   * @param {number|string} userId - User to grant the role to
+   * @param {string} role - viewer, teacher or admin
+   * @param {Object} grantedBy - Telegram user who granted it
+   * @returns {string|null} Previous role
+   * @throws {Error} If the role or user ID is invalid
+   */
+  grant(userId, role, grantedBy) {
+    const key = String(userId);
+    if (!/^\d+$/.test(key)) {
+      throw new Error('User ID must be a number');
+    }
+    if (!GRANTABLE_ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${GRANTABLE_ROLES.join(', ')}`);
+    }
+
+    this.loadRoles();
+    const previous = this.getRole(key);
+    this.roles[key] = {
+      role,
+      grantedBy: grantedBy.id,
+      grantedAt: new Date().toISOString()
+    };
+    this.saveRoles();
+
+    this.audit({ event: 'grant', userId: key, role, previous, by: grantedBy.id });
+    return previous;
+  }
+
+  /**
+   * Revoke a role granted in chat
+   * Roles from the environment can only be changed there.
+   * @param {number|string} userId - User to revoke the role from
+   * @param {Object} revokedBy - Telegram user who revoked it
+   * @returns {string|null} Revoked role, or null if none was granted in chat
+   */
+  revoke(userId, revokedBy) {
+    const key = String(userId);
+    this.loadRoles();
+    if (!this.roles[key]) {
+      return null;
+    }
+
+    const { role } = this.roles[key];
+    delete this.roles[key];
+    this.saveRoles();
+
+    this.audit({ event: 'revoke', userId: key, role, by: revokedBy.id });
+    return role;
+  }
+
+  /**
+   * Get the role set in the environment for a user
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string|null} Role or null
+   */
+  getEnvRole(userId) {
+    return this.envRoles[String(userId)] || null;
+  }
+
+  /**
+   * List every user with a role, most privileged first
+   * @returns {Array<Object>} { userId, role, source: 'env' | 'chat', grantedBy, grantedAt }
+   */
+  listRoles() {
+    this.loadRoles();
+
+    const entries = new Map();
+    for (const [userId, role] of Object.entries(this.envRoles)) {
+      entries.set(userId, { userId, role, source: 'env' });
+    }
+    for (const [userId, granted] of Object.entries(this.roles)) {
+      const existing = entries.get(userId);
+      if (!existing || getRoleRank(granted.role) > getRoleRank(existing.role)) {
+        entries.set(userId, { userId, source: 'chat', ...granted });
+      }
+    }
+
+    return [...entries.values()]
+      .sort((a, b) => getRoleRank(b.role) - getRoleRank(a.role) || a.userId.localeCompare(b.userId));
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entry - Event details
+   */
+  audit(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.auditPath), { recursive: true });
+      fs.appendFileSync(this.auditPath, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+    } catch (error) {
+      console.error('Error writing audit log:', error.message);
+    }
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoleService = require('./roleService');
+
+const OWNER = { id: 1, username: 'owner' };
+const ENV = { OWNER_USER_IDS: '1', ADMIN_USER_IDS: '2, 3', TEACHER_USER_IDS: '3,4', VIEWER_USER_IDS: '' };
+
+let dir;
+let rolesPath;
+let auditPath;
+
+const createService = (env = ENV) => new RoleService({ rolesPath, auditPath, env });
+const readAudit = () => fs.readFileSync(auditPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+  rolesPath = path.join(dir, 'roles.json');
+  auditPath = path.join(dir, 'logs', 'audit.log');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads roles from the environment, the highest one winning', () => {
+  const roles = createService();
+
+  assert.strictEqual(roles.getRole(1), 'owner');
+  assert.strictEqual(roles.getRole('3'), 'admin');
+  assert.strictEqual(roles.getRole(4), 'teacher');
+  assert.strictEqual(roles.getRole(5), null);
+  assert.ok(roles.hasRole(2, 'teacher'));
+  assert.ok(!roles.hasRole(4, 'admin'));
+});
+
+test('uses the higher of the environment role and the role granted in chat', () => {
+  const roles = createService();
+  roles.grant(4, 'admin', OWNER);
+  roles.grant(2, 'viewer', OWNER);
+
+  assert.strictEqual(roles.getRole(4), 'admin');
+  assert.strictEqual(roles.getRole(2), 'admin');
+  assert.deepStrictEqual(roles.listRoles().map(entry => [entry.userId, entry.role, entry.source]), [
+    ['1', 'owner', 'env'],
+    ['2', 'admin', 'env'],
+    ['3', 'admin', 'env'],
+    ['4', 'admin', 'chat']
+  ]);
+});
+
+test('denies users without the role and writes an audit entry', () => {
+  const roles = createService();
+
+  assert.strictEqual(roles.authorize({ id: 4, username: 'teach' }, 'admin', '/export', 'monitor'), false);
+  assert.strictEqual(roles.authorize({ id: 2 }, 'admin', '/export', 'monitor'), true);
+
+  const [entry, ...rest] = readAudit();
+  assert.strictEqual(rest.length, 0);
+  assert.deepStrictEqual({ ...entry, time: undefined }, {
+    time: undefined,
+    event: 'denied',
+    source: 'monitor',
+    action: '/export',
+    userId: 4,
+    username: 'teach',
+    role: 'teacher',
+    required: 'admin'
+  });
+});
+
+test('persists grants and revokes to the roles file', () => {
+  const roles = createService();
+
+  assert.strictEqual(roles.grant(5, 'teacher', OWNER), null);
+  assert.strictEqual(roles.grant('5', 'admin', OWNER), 'teacher');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['logs', 'roles.json']);
+  assert.strictEqual(JSON.parse(fs.readFileSync(rolesPath, 'utf8'))['5'].role, 'admin');
+  assert.strictEqual(createService().getRole(5), 'admin');
+
+  assert.strictEqual(roles.revoke(5, OWNER), 'admin');
+  assert.strictEqual(roles.revoke(5, OWNER), null);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(rolesPath, 'utf8')), {});
+  assert.strictEqual(createService().getRole(5), null);
+
+  assert.deepStrictEqual(readAudit().map(entry => [entry.event, entry.role]),
+    [['grant', 'teacher'], ['grant', 'admin'], ['revoke', 'admin']]);
+});
+
+test('picks up roles granted by the other bot', () => {
+  const main = createService();
+  const monitor = createService();
+  main.getRole(5);
+
+  monitor.grant(5, 'viewer', OWNER);
+  // A different mtime marks the file as changed even within the same millisecond
+  fs.utimesSync(rolesPath, new Date(), new Date(Date.now() + 1000));
+  assert.strictEqual(main.getRole(5), 'viewer');
+});
+
+test('rejects invalid grants', () => {
+  const roles = createService();
+
+  assert.throws(() => roles.grant('abc', 'admin', OWNER), /User ID must be a number/);
+  assert.throws(() => roles.grant(5, 'owner', OWNER), /Role must be one of: viewer, teacher, admin/);
+  assert.ok(!fs.existsSync(rolesPath));
+});
+
+test('moves an unreadable roles file aside instead of overwriting it', () => {
+  fs.writeFileSync(rolesPath, '{"5": {"role": "adm');
+  const roles = createService();
+  roles.grant(6, 'viewer', OWNER);
+
+  const broken = fs.readdirSync(dir).filter(name => name.startsWith('roles.json.broken-'));
+  assert.strictEqual(broken.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, broken[0]), 'utf8'), '{"5": {"role": "adm');
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(rolesPath, 'utf8'))), ['6']);
+});
+
+test('keeps the last good roles when the file breaks while running', () => {
+  const roles = createService();
+  roles.grant(5, 'teacher', OWNER);
+
+  fs.writeFileSync(rolesPath, 'not json');
+  fs.utimesSync(rolesPath, new Date(), new Date(Date.now() + 1000));
+
+  assert.strictEqual(roles.getRole(5), 'teacher');
+  assert.strictEqual(JSON.parse(fs.readFileSync(rolesPath, 'utf8'))['5'].role, 'teacher');
+});
+
+test('refuses to save when an unreadable file cannot be moved aside', (t) => {
+  fs.writeFileSync(rolesPath, 'not json');
+  t.mock.method(fs, 'renameSync', () => { throw new Error('EACCES'); });
+  const roles = createService();
+
+  assert.throws(() => roles.grant(6, 'viewer', OWNER), /roles\.json is unreadable/);
+  assert.strictEqual(fs.readFileSync(rolesPath, 'utf8'), 'not json');
+});
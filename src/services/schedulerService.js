@@ -0,0 +1,95 @@
+const { parseCron, matchesCron } = require('../utils/cron');
+
+/**
+ * Scheduler Service
+ * Runs jobs on cron schedules (see utils/cron.js), checked at the start of every minute.
+ * A job's schedule is looked up on every check, so schedules read from config.json
+ * follow hot reloads. A job that is still running when it is due again is skipped.
+ */
+class SchedulerService {
+  /**
+   * @param {Object} options - Service options
+   * @param {ErrorReportService} options.errorReportService - Reports failed jobs (default: log only)
+   */
+  constructor(options = {}) {
+    this.errorReportService = options.errorReportService || null;
+    this.jobs = new Map(); // name -> { getSchedule, task, running }
+    this.timer = null;
+  }
+
+  /**
+   * Add a job
+   * @param {string} name - Job name (for logs)
+   * @param {Function} getSchedule - Returns the cron expression, or null while the job is turned off
+   * @param {Function} task - Async function to run when the job is due
+   */
+  schedule(name, getSchedule, task) {
+    this.jobs.set(name, { getSchedule, task, running: false });
+  }
+
+  /**
+   * Start checking the jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const scheduleNextTick = () => {
+      const now = new Date();
+      const msToNextMinute = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+      this.timer = setTimeout(() => {
+        this.runDueJobs(new Date());
+        scheduleNextTick();
+      }, msToNextMinute);
+    };
+    scheduleNextTick();
+  }
+
+  /**
+   * Stop checking the jobs (running jobs finish)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every job that is due at a given minute
+   * @param {Date} date - Current time
+   */
+  runDueJobs(date) {
+    for (const [name, job] of this.jobs) {
+      let due = false;
+      try {
+        const expression = job.getSchedule();
+        due = !!expression && matchesCron(parseCron(expression), date);
+      } catch (error) {
+        console.error(`Invalid schedule for job ${name}:`, error.message);
+      }
+
+      if (!due) continue;
+      if (job.running) {
+        console.warn(`⚠️ Job ${name} is still running, skipping this run`);
+        continue;
+      }
+
+      job.running = true;
+      console.log(`⏰ Running scheduled job ${name}`);
+      Promise.resolve()
+        .then(job.task)
+        .catch(error => {
+          if (this.errorReportService) {
+            this.errorReportService.report(error, { source: `scheduled job ${name}` });
+          } else {
+            console.error(`Error in scheduled job ${name}:`, error);
+          }
+        })
+        .finally(() => {
+          job.running = false;
+        });
+    }
+  }
+}
+
+module.exports = SchedulerService;
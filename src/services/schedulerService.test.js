@@ -0,0 +1,54 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const SchedulerService = require('./schedulerService');
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('runDueJobs skips a job that is still running', async () => {
+  const scheduler = new SchedulerService();
+  let runs = 0;
+  let finish;
+  scheduler.schedule('report', () => '* * * * *', () => {
+    runs += 1;
+    return new Promise(resolve => { finish = resolve; });
+  });
+
+  scheduler.runDueJobs(new Date(2026, 9, 19, 9, 0));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(runs, 1);
+
+  scheduler.runDueJobs(new Date(2026, 9, 19, 9, 1));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(runs, 1);
+
+  finish();
+  await new Promise(resolve => setImmediate(resolve));
+  scheduler.runDueJobs(new Date(2026, 9, 19, 9, 2));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(runs, 2);
+  finish();
+});
+
+test('runDueJobs only runs due jobs and reports failures', async () => {
+  const reported = [];
+  const scheduler = new SchedulerService({
+    errorReportService: { report: (error, context) => reported.push([error.message, context.source]) }
+  });
+  let disabledRuns = 0;
+  scheduler.schedule('daily', () => '0 9 * * *', async () => { throw new Error('send failed'); });
+  scheduler.schedule('disabled', () => null, () => { disabledRuns += 1; });
+
+  scheduler.runDueJobs(new Date(2026, 9, 19, 8, 0));
+  scheduler.runDueJobs(new Date(2026, 9, 19, 9, 0));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(reported, [['send failed', 'scheduled job daily']]);
+  assert.strictEqual(disabledRuns, 0);
+});
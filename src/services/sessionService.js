@@ -1,31 +1,36 @@
-const NodeCache = require('node-cache');
+const MemoryStore = require('./stores/memoryStore');
 
 /**
  * Session Management Service
- * Handles user sessions with automatic expiration and cleanup
+ * Handles user sessions with automatic expiration and cleanup.
+ * Storage is pluggable: any store with the MemoryStore interface can be passed in.
  */
 class SessionService {
-  constructor(timeoutMinutes = 30) {
-    // Initialize cache with TTL (time to live) in seconds
-    this.cache = new NodeCache({
-      stdTTL: timeoutMinutes * 60,
-      checkperiod: 60, // Check for expired keys every 60 seconds
-      useClones: false // For better performance with objects
-    });
-
+  /**
+   * @param {number} timeoutMinutes - Inactivity after which a session expires
+   * @param {MemoryStore} store - Session store (default: in memory)
+   * @param {number} warningMinutes - How long before expiry users of a test in progress are warned (0: no warning)
+   */
+  constructor(timeoutMinutes = 30, store = null, warningMinutes = 0) {
+    this.store = store || new MemoryStore(timeoutMinutes * 60);
+    // Last completed result per user, kept after the session is cleared (e.g. for reviewing mistakes)
+    this.resultStore = new MemoryStore(timeoutMinutes * 60);
     this.timeoutMinutes = timeoutMinutes;
+    this.warningMinutes = warningMinutes < timeoutMinutes ? warningMinutes : 0;
   }
 
   /**
    * Create a new session for a user
    * @param {number} userId - Telegram user ID
    * @param {string} username - Telegram username
+   * @param {string} classCode - Class the user joined through a class link, if any
    * @returns {Object} The created session
    */
-  createSession(userId, username) {
+  createSession(userId, username, classCode = null) {
     const session = {
       userId,
       username: username || null,
+      classCode: classCode || null,
       startTime: new Date().toISOString(),
       answers: [],
       currentQuestion: 0,
@@ -35,7 +40,7 @@ class SessionService {
       state: 'ready' // States: ready, in_progress, completed, cancelled
     };
 
-    this.cache.set(userId.toString(), session);
+    this.store.set(userId.toString(), session);
     return session;
   }
 
@@ -45,7 +50,7 @@ class SessionService {
    * @returns {Object|null} The session or null if not found
    */
   getSession(userId) {
-    return this.cache.get(userId.toString()) || null;
+    return this.store.get(userId.toString()) || null;
   }
 
   /**
@@ -61,14 +66,47 @@ class SessionService {
     }
 
     const updatedSession = { ...session, ...updates };
-    this.cache.set(userId.toString(), updatedSession);
+    this.store.set(userId.toString(), updatedSession);
     return updatedSession;
   }
 
+  /**
+   * Restart a session's inactivity timeout without changing it
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|null} The session or null if not found
+   */
+  extendSession(userId) {
+    const session = this.getSession(userId);
+    if (!session) {
+      return null;
+    }
+
+    this.store.set(userId.toString(), session);
+    return session;
+  }
+
+  /**
+   * Get when a session expires if the user stays inactive
+   * @param {number} userId - Telegram user ID
+   * @returns {number|null} Expiry time in ms since epoch, or null if there is no session
+   */
+  getExpiresAt(userId) {
+    return this.store.getTtl(userId.toString()) || null;
+  }
+
+  /**
+   * Call a listener with every session that expires from inactivity
+   * (not with sessions that are cleared or reset)
+   * @param {Function} listener - Called with the expired session
+   */
+  onSessionExpired(listener) {
+    this.store.on('expired', (key, session) => listener(session));
+  }
+
   /**
    * Record an answer in the session
    * @param {number} userId - Telegram user ID
-   * @param {Object} answer - Answer object containing questionId, selectedOption, isCorrect
+   * @param {Object} answer - Answer object containing questionId, selectedOption, textAnswer, isCorrect, timedOut
    * @returns {Object|null} Updated session or null if not found
    */
   recordAnswer(userId, answer) {
@@ -77,11 +115,21 @@ class SessionService {
       return null;
     }
 
+    const now = new Date();
     const answerRecord = {
       questionId: answer.questionId,
       selectedOption: answer.selectedOption,
+      textAnswer: answer.textAnswer !== undefined ? answer.textAnswer : null,
       isCorrect: answer.isCorrect,
-      timestamp: new Date().toISOString()
+      timedOut: !!answer.timedOut,
+      // Message the answer came from: the question message for buttons, the user's message for typed answers
+      messageId: answer.messageId || null,
+      via: answer.via || null,
+      // Time from sending the question to the answer; unknown for timed-out questions
+      responseTimeMs: !answer.timedOut && session.questionSentAt
+        ? now - new Date(session.questionSentAt)
+        : null,
+      timestamp: now.toISOString()
     };
 
     session.answers.push(answerRecord);
@@ -91,7 +139,7 @@ class SessionService {
       session.score += answer.weight || 1;
     }
 
-    this.cache.set(userId.toString(), session);
+    this.store.set(userId.toString(), session);
     return session;
   }
 
@@ -150,7 +198,7 @@ class SessionService {
    * @returns {boolean} True if session was deleted
    */
   clearSession(userId) {
-    return this.cache.del(userId.toString()) > 0;
+    return this.store.del(userId.toString()) > 0;
   }
 
   /**
@@ -158,8 +206,8 @@ class SessionService {
    * @returns {Array} Array of active sessions
    */
   getAllSessions() {
-    const keys = this.cache.keys();
-    return keys.map(key => this.cache.get(key));
+    const keys = this.store.keys();
+    return keys.map(key => this.store.get(key));
   }
 
   /**
@@ -167,7 +215,7 @@ class SessionService {
    * @returns {number}
    */
   getActiveSessionCount() {
-    return this.cache.keys().length;
+    return this.store.keys().length;
   }
 
   /**
@@ -176,18 +224,37 @@ class SessionService {
    * @returns {boolean}
    */
   hasSession(userId) {
-    return this.cache.has(userId.toString());
+    return this.store.has(userId.toString());
   }
 
   /**
    * Reset session for restart
    * @param {number} userId - Telegram user ID
    * @param {string} username - Telegram username
-   * @returns {Object} New session
+   * @returns {Object} New session (in the same class as the old one)
    */
   resetSession(userId, username) {
+    const previous = this.getSession(userId);
     this.clearSession(userId);
-    return this.createSession(userId, username);
+    return this.createSession(userId, username, previous && previous.classCode);
+  }
+
+  /**
+   * Keep the last completed result for a user
+   * @param {number} userId - Telegram user ID
+   * @param {Object} result - Result data (assessment, mistakes, ...)
+   */
+  saveLastResult(userId, result) {
+    this.resultStore.set(userId.toString(), result);
+  }
+
+  /**
+   * Get the last completed result for a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|null} Result data or null if expired
+   */
+  getLastResult(userId) {
+    return this.resultStore.get(userId.toString()) || null;
   }
 
   /**
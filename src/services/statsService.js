@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('../utils/categories');
+
+// Days of statistics kept in the file (enough to compare the last week with the one before)
+const KEEP_DAYS = 60;
+
+const PERIOD_DAYS = {
+  daily: 1,
+  weekly: 7
+};
+
+/**
+ * Stats Service
+ * Counts tests started and completed per day (server local time), with the level
+ * distribution, category scores and durations of completed tests, for the scheduled
+ * reports to the monitoring chat. Only totals are stored, no user IDs.
+ * Stored in data/stats.json.
+ */
+class StatsService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.statsPath - JSON file with the daily totals
+   */
+  constructor(options = {}) {
+    this.statsPath = options.statsPath || path.join(__dirname, '../../data/stats.json');
+    this.days = {};
+    this.loadStats();
+  }
+
+  /**
+   * Load statistics from disk
+   */
+  loadStats() {
+    try {
+      if (fs.existsSync(this.statsPath)) {
+        this.days = JSON.parse(fs.readFileSync(this.statsPath, 'utf8')).days || {};
+      }
+    } catch (error) {
+      console.error('Error loading stats:', error.message);
+      this.days = {};
+    }
+  }
+
+  /**
+   * Save statistics to disk, dropping days older than KEEP_DAYS
+   */
+  saveStats() {
+    const oldest = new Date();
+    oldest.setDate(oldest.getDate() - KEEP_DAYS);
+    const oldestKey = this.getDayKey(oldest);
+    for (const key of Object.keys(this.days)) {
+      if (key < oldestKey) {
+        delete this.days[key];
+      }
+    }
+
+    try {
+      fs.writeFileSync(this.statsPath, JSON.stringify({ days: this.days }, null, 2));
+    } catch (error) {
+      console.error('Error saving stats:', error.message);
+    }
+  }
+
+  /**
+   * Get the key of a day (YYYY-MM-DD, local time)
+   * @param {Date} date - Any time of the day
+   * @returns {string} Day key
+   */
+  getDayKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Get the totals of a day, creating them if needed
+   * @param {Date} date - Any time of the day
+   * @returns {Object} Day totals
+   */
+  getDay(date) {
+    const key = this.getDayKey(date);
+    if (!this.days[key]) {
+      this.days[key] = { started: 0, completed: 0, levels: {}, categories: {}, scoreSum: 0, durationMsSum: 0 };
+    }
+    return this.days[key];
+  }
+
+  /**
+   * Count a started test
+   * @param {Date} date - When it was started
+   */
+  recordTestStarted(date = new Date()) {
+    this.getDay(date).started += 1;
+    this.saveStats();
+  }
+
+  /**
+   * Count a completed test
+   * @param {Object} assessment - Assessment result
+   * @param {Object} session - The test's session (for its start time)
+   */
+  recordTestCompleted(assessment, session) {
+    const completedAt = new Date(assessment.completedAt);
+    const day = this.getDay(completedAt);
+
+    day.completed += 1;
+    day.levels[assessment.level] = (day.levels[assessment.level] || 0) + 1;
+    day.scoreSum += assessment.percentageScore;
+    day.durationMsSum += Math.max(completedAt - new Date(session.startTime), 0);
+
+    // Only categories the test had questions in count towards their average
+    for (const category of CATEGORIES) {
+      const stats = (assessment.categoryStats || {})[category.code];
+      if (!stats || stats.total === 0) continue;
+
+      const totals = day.categories[category.code] || { sum: 0, count: 0 };
+      totals.sum += assessment.categoryPercentages[category.code];
+      totals.count += 1;
+      day.categories[category.code] = totals;
+    }
+
+    this.saveStats();
+  }
+
+  /**
+   * Add up the days in a period
+   * @param {Date} from - Start of the period (inclusive, midnight)
+   * @param {Date} to - End of the period (exclusive, midnight)
+   * @returns {Object} { started, completed, completionRate, levels, averageScore, categories, averageDurationMs }
+   *   Averages and the completion rate are null when there is nothing to average.
+   */
+  summarize(from, to) {
+    const totals = { started: 0, completed: 0, levels: {}, categories: {}, scoreSum: 0, durationMsSum: 0 };
+
+    for (const date = new Date(from); date < to; date.setDate(date.getDate() + 1)) {
+      const day = this.days[this.getDayKey(date)];
+      if (!day) continue;
+
+      totals.started += day.started;
+      totals.completed += day.completed;
+      totals.scoreSum += day.scoreSum;
+      totals.durationMsSum += day.durationMsSum;
+      for (const [level, count] of Object.entries(day.levels)) {
+        totals.levels[level] = (totals.levels[level] || 0) + count;
+      }
+      for (const [code, { sum, count }] of Object.entries(day.categories)) {
+        const category = totals.categories[code] || { sum: 0, count: 0 };
+        category.sum += sum;
+        category.count += count;
+        totals.categories[code] = category;
+      }
+    }
+
+    const average = (sum, count) => (count > 0 ? Math.round(sum / count) : null);
+    const categories = {};
+    for (const category of CATEGORIES) {
+      const { sum, count } = totals.categories[category.code] || { sum: 0, count: 0 };
+      categories[category.code] = average(sum, count);
+    }
+
+    return {
+      started: totals.started,
+      completed: totals.completed,
+      // Tests finished in the period may have been started before it, so the rate is capped at 100%
+      completionRate: totals.started > 0 ? Math.min(Math.round(totals.completed / totals.started * 100), 100) : null,
+      levels: totals.levels,
+      averageScore: average(totals.scoreSum, totals.completed),
+      categories,
+      averageDurationMs: average(totals.durationMsSum, totals.completed)
+    };
+  }
+
+  /**
+   * Build a report for the last full period and the one before it
+   * @param {string} period - 'daily' (yesterday) or 'weekly' (the last 7 days)
+   * @param {Date} now - Report time (default: now)
+   * @returns {Object} { period, from, to, current, previous }
+   */
+  getReport(period, now = new Date()) {
+    const days = PERIOD_DAYS[period];
+    if (!days) {
+      throw new Error(`Unknown report period: ${period}`);
+    }
+
+    const to = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const from = new Date(to);
+    from.setDate(from.getDate() - days);
+    const previousFrom = new Date(from);
+    previousFrom.setDate(previousFrom.getDate() - days);
+
+    return {
+      period,
+      from,
+      to,
+      current: this.summarize(from, to),
+      previous: this.summarize(previousFrom, from)
+    };
+  }
+}
+
+module.exports = StatsService;
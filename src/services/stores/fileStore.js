@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const { writeFileAtomic, moveAside } = require('../../utils/dataFiles');
+
+/**
+ * File Session Store
+ * Keeps sessions in memory and mirrors every change to a JSON file,
+ * so tests in progress survive bot restarts. Remaining TTLs are restored on load.
+ */
+class FileStore extends MemoryStore {
+  constructor(ttlSeconds, filePath) {
+    super(ttlSeconds);
+    this.filePath = filePath;
+    this.writable = true;
+    this.load();
+
+    // Drop expired sessions from the file as well
+    this.on('expired', () => this.persist());
+  }
+
+  /**
+   * Load sessions from file, skipping the ones that expired while the bot was down
+   * A file that can't be read is moved aside (never overwritten); if it can't be
+   * moved, sessions are kept in memory only so the file stays as it is.
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      let restored = 0;
+
+      for (const [key, entry] of Object.entries(data.sessions || {})) {
+        const remainingSeconds = Math.ceil((entry.expiresAt - now) / 1000);
+        if (remainingSeconds > 0) {
+          this.cache.set(key, entry.value, remainingSeconds);
+          restored++;
+        }
+      }
+
+      console.log(`Restored ${restored} session(s) from ${this.filePath}`);
+    } catch (error) {
+      console.error('Error loading sessions from file:', error.message);
+
+      try {
+        const brokenPath = moveAside(this.filePath);
+        console.warn(`⚠️  Unreadable sessions file kept as ${brokenPath}`);
+      } catch (renameError) {
+        this.writable = false;
+        console.error(`Error moving the unreadable sessions file aside, sessions will not be saved: ${renameError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Write all sessions to file atomically (write to temp file, then rename)
+   */
+  persist() {
+    if (!this.writable) {
+      return;
+    }
+
+    const sessions = {};
+    for (const key of this.keys()) {
+      sessions[key] = {
+        value: this.get(key),
+        expiresAt: this.getTtl(key)
+      };
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      writeFileAtomic(this.filePath, JSON.stringify({ sessions }));
+    } catch (error) {
+      console.error('Error saving sessions to file:', error.message);
+    }
+  }
+
+  set(key, value) {
+    const result = super.set(key, value);
+    this.persist();
+    return result;
+  }
+
+  del(key) {
+    const deleted = super.del(key);
+    if (deleted > 0) {
+      this.persist();
+    }
+    return deleted;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,82 @@
+const NodeCache = require('node-cache');
+
+/**
+ * Memory Session Store
+ * Keeps sessions in an in-memory cache with automatic expiration.
+ * Sessions are lost when the process restarts.
+ */
+class MemoryStore {
+  constructor(ttlSeconds) {
+    // Initialize cache with TTL (time to live) in seconds
+    this.cache = new NodeCache({
+      stdTTL: ttlSeconds,
+      checkperiod: 60, // Check for expired keys every 60 seconds
+      useClones: false // For better performance with objects
+    });
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Session key
+   * @returns {Object|undefined} Stored value
+   */
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  /**
+   * Store a value and restart its TTL
+   * @param {string} key - Session key
+   * @param {Object} value - Value to store
+   * @returns {boolean} True on success
+   */
+  set(key, value) {
+    return this.cache.set(key, value);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Session key
+   * @returns {number} Number of deleted entries
+   */
+  del(key) {
+    return this.cache.del(key);
+  }
+
+  /**
+   * Check if a key exists
+   * @param {string} key - Session key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.cache.has(key);
+  }
+
+  /**
+   * Get all stored keys
+   * @returns {Array<string>}
+   */
+  keys() {
+    return this.cache.keys();
+  }
+
+  /**
+   * Get the expiry timestamp of a key
+   * @param {string} key - Session key
+   * @returns {number|undefined} Expiry time in ms since epoch
+   */
+  getTtl(key) {
+    return this.cache.getTtl(key);
+  }
+
+  /**
+   * Subscribe to store events (e.g. 'expired')
+   * @param {string} event - Event name
+   * @param {Function} listener - Event listener
+   */
+  on(event, listener) {
+    this.cache.on(event, listener);
+  }
+}
+
+module.exports = MemoryStore;
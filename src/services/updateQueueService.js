@@ -0,0 +1,114 @@
+// Updates that waited longer than this before their turn are skipped
+const DEFAULT_MAX_WAIT_MS = 10 * 1000;
+
+// A task running this long is reported as slow (it keeps its turn until it finishes)
+const DEFAULT_TASK_TIMEOUT_MS = 30 * 1000;
+
+// Further updates for a user are skipped while this many are queued
+const DEFAULT_MAX_PENDING = 20;
+
+/**
+ * Update Queue Service
+ * Runs the tasks of each user one at a time, in the order they were queued.
+ * Two updates of the same user (e.g. a double-tapped answer button) never run
+ * side by side, so both can't read the same session state. Different users
+ * don't wait for each other.
+ *
+ * run() resolves with how the task ended:
+ * - 'done': the task finished (or threw; the error is logged)
+ * - 'timeout': the task is still running after the task timeout; later tasks keep
+ *   waiting until it finishes, and expire if that takes longer than their maximum wait
+ * - 'expired': the task waited longer than the maximum wait and was not run
+ * - 'full': too many tasks were queued for the user; the task was not run
+ */
+class UpdateQueueService {
+  /**
+   * @param {Object} options - Service options
+   * @param {number} options.maxWaitMs - Longest time a task may wait for its turn
+   * @param {number} options.taskTimeoutMs - Time after which a running task is reported as slow
+   * @param {number} options.maxPending - Most tasks queued per user
+   */
+  constructor(options = {}) {
+    this.maxWaitMs = options.maxWaitMs || DEFAULT_MAX_WAIT_MS;
+    this.taskTimeoutMs = options.taskTimeoutMs || DEFAULT_TASK_TIMEOUT_MS;
+    this.maxPending = options.maxPending || DEFAULT_MAX_PENDING;
+    this.queues = new Map(); // key -> { tail, pending }
+  }
+
+  /**
+   * Queue a task behind the other tasks with the same key
+   * @param {number|string} key - Queue key (Telegram user ID)
+   * @param {Function} task - Async function to run
+   * @param {Object} options - Task options
+   * @param {number} options.maxWaitMs - Override the maximum wait (Infinity: never expire)
+   * @returns {Promise<string>} 'done', 'timeout', 'expired' or 'full'
+   */
+  run(key, task, options = {}) {
+    const id = String(key);
+    const queue = this.queues.get(id) || { tail: Promise.resolve(), pending: 0 };
+    if (queue.pending >= this.maxPending) {
+      return Promise.resolve('full');
+    }
+
+    const maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : this.maxWaitMs;
+    const queuedAt = Date.now();
+
+    let resolveStatus;
+    const status = new Promise(resolve => {
+      resolveStatus = resolve;
+    });
+
+    // The next task starts only once this one has settled, however long it takes
+    const settled = queue.tail.then(() => {
+      if (Date.now() - queuedAt > maxWaitMs) {
+        return 'expired';
+      }
+      return this.runTask(id, task, () => resolveStatus('timeout'));
+    });
+
+    queue.pending += 1;
+    queue.tail = settled;
+    this.queues.set(id, queue);
+
+    settled.then(result => {
+      queue.pending -= 1;
+      if (queue.pending === 0 && this.queues.get(id) === queue) {
+        this.queues.delete(id);
+      }
+      resolveStatus(result);
+    });
+
+    return status;
+  }
+
+  /**
+   * Run a task, reporting it as slow once it runs longer than the task timeout
+   * @param {string} key - Queue key
+   * @param {Function} task - Async function to run
+   * @param {Function} onTimeout - Called when the task runs longer than the task timeout
+   * @returns {Promise<string>} 'done' once the task has settled; never rejects
+   */
+  async runTask(key, task, onTimeout) {
+    const timer = setTimeout(onTimeout, this.taskTimeoutMs);
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Error in queued task for ${key}:`, error);
+    } finally {
+      clearTimeout(timer);
+    }
+    return 'done';
+  }
+
+  /**
+   * Get the number of tasks queued or running for a key
+   * @param {number|string} key - Queue key
+   * @returns {number}
+   */
+  getPending(key) {
+    const queue = this.queues.get(String(key));
+    return queue ? queue.pending : 0;
+  }
+}
+
+module.exports = UpdateQueueService;
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UpdateQueueService = require('./updateQueueService');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runs the tasks of a user one at a time, in order', async () => {
+  const queue = new UpdateQueueService();
+  const events = [];
+  const task = (name, ms) => async () => {
+    events.push(`start ${name}`);
+    await delay(ms);
+    events.push(`end ${name}`);
+  };
+
+  const results = await Promise.all([
+    queue.run(1, task('a', 20)),
+    queue.run(1, task('b', 0)),
+    queue.run(1, task('c', 5))
+  ]);
+
+  assert.deepStrictEqual(results, ['done', 'done', 'done']);
+  assert.deepStrictEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  assert.strictEqual(queue.getPending(1), 0);
+});
+
+test('does not make different users wait for each other', async () => {
+  const queue = new UpdateQueueService();
+  const events = [];
+  const slow = queue.run(1, async () => { await delay(30); events.push('user 1'); });
+  await queue.run(2, async () => { events.push('user 2'); });
+  await slow;
+
+  assert.deepStrictEqual(events, ['user 2', 'user 1']);
+});
+
+test('a failing task does not stop the queue', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const queue = new UpdateQueueService();
+
+  const results = await Promise.all([
+    queue.run(1, async () => { throw new Error('handler failed'); }),
+    queue.run(1, () => {})
+  ]);
+  assert.deepStrictEqual(results, ['done', 'done']);
+});
+
+test('skips tasks that waited longer than the maximum wait', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const queue = new UpdateQueueService({ maxWaitMs: 10 });
+  let ran = false;
+
+  const results = await Promise.all([
+    queue.run(1, () => t.mock.timers.tick(11)),
+    queue.run(1, () => { ran = true; }),
+    queue.run(1, () => {}, { maxWaitMs: Infinity })
+  ]);
+
+  assert.deepStrictEqual(results, ['done', 'expired', 'done']);
+  assert.strictEqual(ran, false);
+});
+
+test('skips tasks while the queue of the user is full', async () => {
+  const queue = new UpdateQueueService({ maxPending: 2 });
+  const first = queue.run(1, () => delay(10));
+  const second = queue.run(1, () => {});
+
+  assert.strictEqual(queue.getPending(1), 2);
+  assert.strictEqual(await queue.run(1, () => {}), 'full');
+  assert.strictEqual(await queue.run(2, () => {}), 'done');
+  assert.deepStrictEqual(await Promise.all([first, second]), ['done', 'done']);
+});
+
+test('a slow task is reported but keeps its turn until it finishes', async () => {
+  const queue = new UpdateQueueService({ taskTimeoutMs: 10, maxWaitMs: 1000 });
+  const events = [];
+  let finish;
+
+  const slow = queue.run(1, () => new Promise(resolve => { finish = resolve; }).then(() => events.push('end slow')));
+  const next = queue.run(1, () => { events.push('start next'); });
+
+  assert.strictEqual(await slow, 'timeout');
+  await delay(20);
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(queue.getPending(1), 2);
+
+  finish();
+  assert.strictEqual(await next, 'done');
+  assert.deepStrictEqual(events, ['end slow', 'start next']);
+});
+
+test('tasks queued behind a slow task expire once they waited too long', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const queue = new UpdateQueueService({ taskTimeoutMs: 5, maxWaitMs: 20 });
+  let ran = false;
+  let finish;
+
+  const slow = queue.run(1, () => new Promise(resolve => { finish = resolve; }));
+  const next = queue.run(1, () => { ran = true; });
+  await Promise.resolve();
+
+  t.mock.timers.tick(5);
+  assert.strictEqual(await slow, 'timeout');
+
+  t.mock.timers.tick(16);
+  finish();
+  assert.strictEqual(await next, 'expired');
+  assert.strictEqual(ran, false);
+  assert.strictEqual(queue.getPending(1), 0);
+});
@@ -0,0 +1,151 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Webhook Server
+ * Minimal HTTP server that receives Telegram updates via webhook.
+ * Accepts POST requests on the configured path, checks the secret token
+ * header and hands the parsed update to the callback.
+ */
+class WebhookServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Host to bind to
+   * @param {string} options.path - URL path that receives updates
+   * @param {string} options.secretToken - Expected X-Telegram-Bot-Api-Secret-Token value (optional)
+   * @param {Function} options.onUpdate - Called with each parsed update
+   * @param {Function} options.onError - Called when an update cannot be processed
+   * @param {number} options.maxBodyBytes - Maximum accepted request body size
+   */
+  constructor(options) {
+    this.port = options.port || 8080;
+    this.host = options.host || '0.0.0.0';
+    this.path = options.path || '/telegram/webhook';
+    this.secretToken = options.secretToken || null;
+    this.onUpdate = options.onUpdate;
+    this.onError = options.onError || ((error) => console.error('Webhook error:', error.message));
+    this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+    this.server = null;
+  }
+
+  /**
+   * Start listening for updates
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        console.log(`Webhook server listening on ${this.host}:${this.port}${this.path}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Handle an incoming HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== this.path) {
+      this.respond(res, 404, 'Not Found');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      this.respond(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      this.respond(res, 401, 'Unauthorized');
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+      if (aborted) return;
+
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        aborted = true;
+        this.respond(res, 413, 'Payload Too Large');
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (aborted) return;
+
+      let update;
+      try {
+        update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        this.respond(res, 400, 'Bad Request');
+        return;
+      }
+
+      // Acknowledge first so Telegram doesn't retry while the update is processed
+      this.respond(res, 200, 'OK');
+
+      try {
+        this.onUpdate(update);
+      } catch (error) {
+        this.onError(error);
+      }
+    });
+  }
+
+  /**
+   * Check the secret token header sent by Telegram
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean}
+   */
+  isAuthorized(req) {
+    if (!this.secretToken) {
+      return true;
+    }
+
+    const received = Buffer.from(req.headers['x-telegram-bot-api-secret-token'] || '');
+    const expected = Buffer.from(this.secretToken);
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Send a plain text response
+   */
+  respond(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+    res.end(body);
+  }
+}
+
+module.exports = WebhookServer;
@@ -0,0 +1,39 @@
+/**
+ * Question Categories
+ * Skill areas that questions are grouped under and that results are broken down by.
+ * Display names here are used by the monitoring side; user-facing names live in the locale bundles.
+ */
+
+const CATEGORIES = [
+  { code: 'vocabulary', name: 'Vocabulary' },
+  { code: 'grammar', name: 'Grammar' },
+  { code: 'reading', name: 'Reading' },
+  { code: 'listening', name: 'Listening' }
+];
+
+/**
+ * Get category codes in display order
+ * @returns {Array<string>} Category codes
+ */
+function getCategoryCodes() {
+  return CATEGORIES.map(category => category.code);
+}
+
+/**
+ * Create an object with one entry per category
+ * @param {Function} factory - Returns the initial value for a category
+ * @returns {Object} Object keyed by category code
+ */
+function createCategoryMap(factory) {
+  const map = {};
+  for (const category of CATEGORIES) {
+    map[category.code] = factory(category);
+  }
+  return map;
+}
+
+module.exports = {
+  CATEGORIES,
+  getCategoryCodes,
+  createCategoryMap
+};
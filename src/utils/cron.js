@@ -0,0 +1,114 @@
+/**
+ * Cron Schedules
+ * Parses the five-field cron expressions used in config.json
+ * ("minute hour day-of-month month day-of-week", in the server's local time).
+ * Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`0-30/10`; `*` takes a step too).
+ * Sunday is 0 or 7. As in cron, a day matches if either the day of month or
+ * the day of week matches when both are restricted.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition { name, min, max }
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the field is invalid
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2]);
+      to = match[3] !== undefined ? parseInt(match[3]) : (match[4] !== undefined ? field.max : from);
+    }
+    const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed: ${field.min}-${field.max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * 1" (Mondays at 09:00) or an alias such as "@daily"
+ * @returns {Object} Parsed schedule for matchesCron()
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (ALIASES[text] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${text}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+/**
+ * Check if a schedule is due at a given minute
+ * @param {Object} schedule - Result of parseCron()
+ * @param {Date} date - Time to check (local time; seconds are ignored)
+ * @returns {boolean}
+ */
+function matchesCron(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  let day;
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    day = dayOfMonth && dayOfWeek;
+  } else {
+    day = dayOfMonth || dayOfWeek;
+  }
+
+  return day &&
+    schedule.minutes.has(date.getMinutes()) &&
+    schedule.hours.has(date.getHours()) &&
+    schedule.months.has(date.getMonth() + 1);
+}
+
+module.exports = {
+  parseCron,
+  matchesCron
+};
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, matchesCron } = require('./cron');
+
+// 2026-10-19 is a Monday
+const at = (day, hour, minute) => new Date(2026, 9, day, hour, minute);
+
+test('parses steps on *', () => {
+  const schedule = parseCron('*/15 * * * *');
+  assert.deepStrictEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.strictEqual(schedule.hours.size, 24);
+});
+
+test('parses ranges and single values with steps', () => {
+  assert.deepStrictEqual([...parseCron('0-30/10 * * * *').minutes], [0, 10, 20, 30]);
+  assert.deepStrictEqual([...parseCron('0 8/6 * * *').hours], [8, 14, 20]);
+  assert.deepStrictEqual([...parseCron('0 9 * * 1-5').daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([...parseCron('5,35 * * * *').minutes], [5, 35]);
+});
+
+test('treats 7 as Sunday', () => {
+  const schedule = parseCron('0 9 * * 7');
+  assert.deepStrictEqual([...schedule.daysOfWeek], [0]);
+  assert.ok(matchesCron(schedule, at(25, 9, 0)));
+  assert.ok(!matchesCron(schedule, at(19, 9, 0)));
+});
+
+test('matches a day if either day field matches when both are restricted', () => {
+  const schedule = parseCron('0 9 1 * 1');
+  assert.ok(matchesCron(schedule, at(19, 9, 0)), 'Monday');
+  assert.ok(matchesCron(schedule, new Date(2026, 10, 1, 9, 0)), 'first of the month (Sunday)');
+  assert.ok(!matchesCron(schedule, at(20, 9, 0)), 'Tuesday the 20th');
+});
+
+test('requires both day fields when one is *', () => {
+  const schedule = parseCron('0 9 * * 1');
+  assert.ok(matchesCron(schedule, at(19, 9, 0)));
+  assert.ok(!matchesCron(schedule, at(20, 9, 0)));
+  assert.ok(!matchesCron(schedule, at(19, 9, 1)));
+  assert.ok(!matchesCron(schedule, at(19, 10, 0)));
+});
+
+test('expands aliases', () => {
+  assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.deepStrictEqual(parseCron(' @weekly '), parseCron('0 0 * * 0'));
+  assert.ok(matchesCron(parseCron('@hourly'), at(19, 13, 0)));
+  assert.ok(matchesCron(parseCron('@monthly'), new Date(2026, 10, 1, 0, 0)));
+});
+
+test('rejects out-of-range values and malformed expressions', () => {
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+  assert.throws(() => parseCron('0 24 * * *'), /Invalid hour/);
+  assert.throws(() => parseCron('0 0 0 * *'), /Invalid day of month/);
+  assert.throws(() => parseCron('0 0 * 13 *'), /Invalid month/);
+  assert.throws(() => parseCron('0 0 * * 8'), /Invalid day of week/);
+  assert.throws(() => parseCron('30-10 * * * *'), /Invalid minute/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+  assert.throws(() => parseCron('mon * * * *'), /Invalid minute/);
+  assert.throws(() => parseCron('0 9 * *'), /must have 5 fields/);
+  assert.throws(() => parseCron(''), /must have 5 fields/);
+});
@@ -0,0 +1,112 @@
+/**
+ * CSV / TSV Helpers
+ * Reading and writing delimited text as saved by spreadsheet programs:
+ * quoted fields may contain delimiters, doubled quotes and line breaks.
+ */
+
+/**
+ * Pick the delimiter for a file from its extension, or from its first line
+ * @param {string} fileName - File name (may be empty)
+ * @param {string} text - File contents (used when the extension doesn't decide)
+ * @returns {string} ',' or '\t'
+ */
+function detectDelimiter(fileName, text = '') {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  if (extension === 'tsv' || extension === 'tab') return '\t';
+  if (extension === 'csv') return ',';
+
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return firstLine.includes('\t') ? '\t' : ',';
+}
+
+/**
+ * Parse delimited text into rows of fields
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ */
+function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Excel prepends a byte order mark to UTF-8 files
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field at end of file');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Spreadsheet programs run text cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format rows of values as delimited text
+ * @param {Array<Array>} rows - Rows of values; null and undefined become empty fields
+ * @param {string} delimiter - Field delimiter
+ * @param {Object} options - Format options
+ * @param {boolean} options.escapeFormulas - Prefix text that would run as a formula with "'"
+ *   (for files with user-supplied text that are opened in Excel); numbers are left alone
+ * @returns {string} File contents
+ */
+function formatDelimited(rows, delimiter = ',', options = {}) {
+  const formatField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (options.escapeFormulas && typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  };
+
+  return rows.map(row => row.map(formatField).join(delimiter)).join('\n') + '\n';
+}
+
+module.exports = {
+  detectDelimiter,
+  parseDelimited,
+  formatDelimited
+};
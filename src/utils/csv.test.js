@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectDelimiter, parseDelimited, formatDelimited } = require('./csv');
+
+test('parses plain rows and skips blank lines', () => {
+  assert.deepStrictEqual(parseDelimited('a,b,c\n\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  assert.deepStrictEqual(parseDelimited('a,,c'), [['a', '', 'c']]);
+});
+
+test('parses quoted fields with delimiters, doubled quotes and line breaks', () => {
+  const text = 'text,note\n"Hello, world","She said ""hi"""\n"two\nlines",x\n';
+  assert.deepStrictEqual(parseDelimited(text), [
+    ['text', 'note'],
+    ['Hello, world', 'She said "hi"'],
+    ['two\nlines', 'x']
+  ]);
+});
+
+test('handles CRLF line endings and a byte order mark', () => {
+  assert.deepStrictEqual(parseDelimited('﻿id,text\r\n1,"a\r\nb"\r\n2,c\r\n'), [
+    ['id', 'text'],
+    ['1', 'a\r\nb'],
+    ['2', 'c']
+  ]);
+});
+
+test('parses tab-delimited text', () => {
+  assert.deepStrictEqual(parseDelimited('a\tb, c\n1\t2', '\t'), [['a', 'b, c'], ['1', '2']]);
+});
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(() => parseDelimited('a,"b\n'), /Unterminated quoted field/);
+});
+
+test('detects the delimiter from the extension or the first line', () => {
+  assert.strictEqual(detectDelimiter('bank.TSV'), '\t');
+  assert.strictEqual(detectDelimiter('bank.csv', 'a\tb'), ',');
+  assert.strictEqual(detectDelimiter('', 'a\tb\nc,d'), '\t');
+  assert.strictEqual(detectDelimiter(null, 'a,b'), ',');
+});
+
+test('formats fields so they parse back unchanged', () => {
+  const rows = [
+    ['id', 'text', 'note'],
+    [1, 'Hello, world', 'She said "hi"'],
+    [2, 'two\nlines', null],
+    [3, 'tab\there', undefined]
+  ];
+  for (const delimiter of [',', '\t']) {
+    const text = formatDelimited(rows, delimiter);
+    const expected = rows.map(row => row.map(value => (value === null || value === undefined ? '' : String(value))));
+    assert.deepStrictEqual(parseDelimited(text, delimiter), expected);
+  }
+  assert.strictEqual(formatDelimited([['a', 'b,c']]), 'a,"b,c"\n');
+});
+
+test('escapes text that would run as a formula when asked to', () => {
+  const rows = [['=HYPERLINK("http://example.com","x")', '+1', '-2', '@SUM(A1)', '\tname', 'Ann', -3, 'a=b']];
+
+  assert.strictEqual(formatDelimited(rows), '"=HYPERLINK(""http://example.com"",""x"")",+1,-2,@SUM(A1),\tname,Ann,-3,a=b\n');
+  assert.deepStrictEqual(parseDelimited(formatDelimited(rows, ',', { escapeFormulas: true })), [
+    ['\'=HYPERLINK("http://example.com","x")', "'+1", "'-2", "'@SUM(A1)", "'\tname", 'Ann', '-3', 'a=b']
+  ]);
+});
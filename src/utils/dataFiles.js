@@ -0,0 +1,37 @@
+const fs = require('fs');
+
+/**
+ * Data Files
+ * Safe writes for the JSON files in data/: a file is never left half-written,
+ * and a file that can't be read is kept aside instead of being overwritten.
+ */
+
+/**
+ * Write a file atomically (write to temp file, then rename)
+ * @param {string} filePath - File to write
+ * @param {string} contents - File contents
+ * @throws {Error} If writing fails; the old file is left as it was
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Move an unreadable file aside, so the next save doesn't overwrite it
+ * @param {string} filePath - File that failed to load
+ * @returns {string} New path (<file>.broken-<timestamp>)
+ * @throws {Error} If the file can't be moved; callers should then stop saving
+ */
+function moveAside(filePath) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const brokenPath = `${filePath}.broken-${stamp}`;
+  fs.renameSync(filePath, brokenPath);
+  return brokenPath;
+}
+
+module.exports = {
+  writeFileAtomic,
+  moveAside
+};
@@ -1,3 +1,5 @@
+const { DEFAULT_LEVELS, findLevel, getLevelForScore } = require('./levels');
+
 /**
  * Utility Helper Functions
  */
@@ -88,6 +90,16 @@ function generateId(length = 8) {
   return result;
 }
 
+/**
+ * Get the name to show for a Telegram user
+ * @param {Object} user - Telegram user (msg.from / query.from)
+ * @returns {string} "First Last", or @username, or the user ID
+ */
+function getDisplayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') ||
+    (user.username ? `@${user.username}` : String(user.id));
+}
+
 /**
  * Validate Telegram user ID
  * @param {any} userId - User ID to validate
@@ -100,43 +112,33 @@ function isValidUserId(userId) {
 /**
  * Parse CEFR level from score
  * @param {number} percentage - Score percentage
+ * @param {Array} levels - Level definitions (default: built-in A1-B2)
  * @returns {string} CEFR level
  */
-function getLevelFromScore(percentage) {
-  if (percentage <= 25) return 'A1';
-  if (percentage <= 50) return 'A2';
-  if (percentage <= 75) return 'B1';
-  return 'B2';
+function getLevelFromScore(percentage, levels = DEFAULT_LEVELS) {
+  return getLevelForScore(levels, percentage);
 }
 
 /**
  * Get level description
  * @param {string} level - CEFR level
+ * @param {Array} levels - Level definitions (default: built-in A1-B2)
  * @returns {string} Level description
  */
-function getLevelDescription(level) {
-  const descriptions = {
-    'A1': 'Beginner',
-    'A2': 'Elementary',
-    'B1': 'Intermediate',
-    'B2': 'Upper-Intermediate'
-  };
-  return descriptions[level] || level;
+function getLevelDescription(level, levels = DEFAULT_LEVELS) {
+  const definition = findLevel(levels, level);
+  return (definition && definition.name) || level;
 }
 
 /**
  * Get level emoji
  * @param {string} level - CEFR level
+ * @param {Array} levels - Level definitions (default: built-in A1-B2)
  * @returns {string} Emoji for level
  */
-function getLevelEmoji(level) {
-  const emojis = {
-    'A1': '🌱',
-    'A2': '🌿',
-    'B1': '🌳',
-    'B2': '🌲'
-  };
-  return emojis[level] || '📊';
+function getLevelEmoji(level, levels = DEFAULT_LEVELS) {
+  const definition = findLevel(levels, level);
+  return (definition && definition.emoji) || '📊';
 }
 
 module.exports = {
@@ -147,6 +149,7 @@ module.exports = {
   delay,
   truncateText,
   generateId,
+  getDisplayName,
   isValidUserId,
   getLevelFromScore,
   getLevelDescription,
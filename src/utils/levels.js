@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * CEFR Level Definitions
+ * Single source of truth for the levels used by both bots.
+ * Levels are read from the `levels` array in config.json, ordered from lowest to highest.
+ */
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../data/config.json');
+
+/**
+ * Fallback level definitions used when config.json has no `levels` array
+ */
+const DEFAULT_LEVELS = [
+  {
+    code: 'A1',
+    name: 'Beginner',
+    emoji: '🌱',
+    weight: 1,
+    maxScore: 25,
+    recommendation: 'Focus on basic vocabulary and simple grammar structures.'
+  },
+  {
+    code: 'A2',
+    name: 'Elementary',
+    emoji: '🌿',
+    weight: 2,
+    maxScore: 50,
+    recommendation: 'Practice past and future tenses, expand your vocabulary.'
+  },
+  {
+    code: 'B1',
+    name: 'Intermediate',
+    emoji: '🌳',
+    weight: 3,
+    maxScore: 75,
+    recommendation: 'Work on more complex grammar and improve fluency.'
+  },
+  {
+    code: 'B2',
+    name: 'Upper-Intermediate',
+    emoji: '🌲',
+    weight: 4,
+    maxScore: 100,
+    recommendation: 'Focus on advanced vocabulary and complex sentence structures.'
+  }
+];
+
+/**
+ * Get enabled level definitions
+ * Levels with `enabled: false` are skipped everywhere.
+ * @param {Array} definitions - Level definitions from config
+ * @returns {Array} Enabled levels, lowest first
+ */
+function getEnabledLevels(definitions) {
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    return DEFAULT_LEVELS;
+  }
+  return definitions.filter(level => level.enabled !== false);
+}
+
+/**
+ * Load enabled level definitions from config.json
+ * @param {string} configPath - Path to config.json
+ * @returns {Array} Enabled levels, lowest first
+ */
+function loadLevels(configPath = DEFAULT_CONFIG_PATH) {
+  try {
+    const data = fs.readFileSync(configPath, 'utf8');
+    return getEnabledLevels(JSON.parse(data).levels);
+  } catch (error) {
+    console.error('Error loading level definitions:', error.message);
+    return DEFAULT_LEVELS;
+  }
+}
+
+/**
+ * Get level codes in order
+ * @param {Array} levels - Level definitions
+ * @returns {Array<string>} Level codes
+ */
+function getLevelCodes(levels) {
+  return levels.map(level => level.code);
+}
+
+/**
+ * Find a level definition by code
+ * @param {Array} levels - Level definitions
+ * @param {string} code - Level code
+ * @returns {Object|null} Level definition or null
+ */
+function findLevel(levels, code) {
+  return levels.find(level => level.code === code) || null;
+}
+
+/**
+ * Determine level from a percentage score
+ * Returns the first level whose `maxScore` is not below the percentage.
+ * @param {Array} levels - Level definitions
+ * @param {number} percentage - Score percentage (0-100)
+ * @returns {string} Level code
+ */
+function getLevelForScore(levels, percentage) {
+  const match = levels.find(level => percentage <= level.maxScore);
+  return (match || levels[levels.length - 1]).code;
+}
+
+/**
+ * Create an object with one entry per level
+ * @param {Array} levels - Level definitions
+ * @param {Function} factory - Returns the initial value for a level
+ * @returns {Object} Object keyed by level code
+ */
+function createLevelMap(levels, factory) {
+  const map = {};
+  for (const level of levels) {
+    map[level.code] = factory(level);
+  }
+  return map;
+}
+
+module.exports = {
+  DEFAULT_LEVELS,
+  getEnabledLevels,
+  loadLevels,
+  getLevelCodes,
+  findLevel,
+  getLevelForScore,
+  createLevelMap
+};
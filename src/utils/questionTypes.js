@@ -0,0 +1,74 @@
+/**
+ * Question Types
+ * Shared definitions for the supported question formats.
+ * Questions without a `type` field are treated as multiple choice.
+ */
+
+const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple_choice',
+  TRUE_FALSE: 'true_false',
+  GAP_FILL: 'gap_fill',
+  WORD_ORDER: 'word_order'
+};
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * Get the type of a question
+ * @param {Object} question - Question object
+ * @returns {string} Question type
+ */
+function getQuestionType(question) {
+  return question.type || QUESTION_TYPES.MULTIPLE_CHOICE;
+}
+
+/**
+ * Check if a question is answered by typing a text message
+ * @param {Object} question - Question object
+ * @returns {boolean}
+ */
+function isTextAnswerQuestion(question) {
+  const type = getQuestionType(question);
+  return type === QUESTION_TYPES.GAP_FILL || type === QUESTION_TYPES.WORD_ORDER;
+}
+
+/**
+ * Normalize a typed answer for comparison
+ * Ignores case, curly apostrophes, repeated whitespace and trailing punctuation.
+ * @param {string} text - Raw answer text
+ * @returns {string} Normalized text
+ */
+function normalizeTextAnswer(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.!?]+$/, '')
+    .trim();
+}
+
+/**
+ * Get the accepted answers of a text question
+ * @param {Object} question - Gap-fill or word-order question
+ * @returns {Array<string>} Accepted answers, preferred answer first
+ */
+function getAcceptedAnswers(question) {
+  if (getQuestionType(question) === QUESTION_TYPES.WORD_ORDER) {
+    return [question.words.join(' '), ...(question.answers || [])];
+  }
+  return question.answers || [];
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  OPTION_LETTERS,
+  getQuestionType,
+  isTextAnswerQuestion,
+  normalizeTextAnswer,
+  getAcceptedAnswers
+};
@@ -0,0 +1,63 @@
+/**
+ * Result Payload Format
+ * Shared by the main bot (which sends results) and the monitoring bot (which stores them).
+ * Bump RESULT_PAYLOAD_VERSION whenever the payload shape changes incompatibly.
+ */
+
+const RESULT_PAYLOAD_TYPE = 'assessment_result';
+const RESULT_PAYLOAD_VERSION = 1;
+const RESULT_FILE_PREFIX = 'result_';
+
+/**
+ * Build the file name for a result payload document
+ * @param {Object} payload - Result payload
+ * @returns {string} File name
+ */
+function getResultFileName(payload) {
+  return `${RESULT_FILE_PREFIX}${payload.resultId}.json`;
+}
+
+/**
+ * Check if a Telegram document looks like a result payload
+ * @param {Object} document - Telegram document object
+ * @returns {boolean}
+ */
+function isResultDocument(document) {
+  return !!(document &&
+    document.file_name &&
+    document.file_name.startsWith(RESULT_FILE_PREFIX) &&
+    document.file_name.endsWith('.json'));
+}
+
+/**
+ * Parse and validate a result payload
+ * @param {string} text - Raw JSON text
+ * @returns {Object} Parsed payload
+ * @throws {Error} If the payload is malformed or has an unsupported version
+ */
+function parseResultPayload(text) {
+  const payload = JSON.parse(text);
+
+  if (!payload || payload.type !== RESULT_PAYLOAD_TYPE) {
+    throw new Error('Not an assessment result payload');
+  }
+
+  if (!Number.isInteger(payload.version) || payload.version > RESULT_PAYLOAD_VERSION) {
+    throw new Error(`Unsupported result payload version: ${payload.version}`);
+  }
+
+  if (!payload.resultId || !payload.userId || !payload.assessment || !payload.assessment.level) {
+    throw new Error('Result payload is missing required fields');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  RESULT_PAYLOAD_TYPE,
+  RESULT_PAYLOAD_VERSION,
+  RESULT_FILE_PREFIX,
+  getResultFileName,
+  isResultDocument,
+  parseResultPayload
+};
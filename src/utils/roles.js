@@ -0,0 +1,46 @@
+/**
+ * Access Roles
+ * Roles from least to most privileged; each role can do everything the ones before it can.
+ */
+
+const ROLES = ['viewer', 'teacher', 'admin', 'owner'];
+
+// Roles that owners can grant in chat; owners themselves are only set in the environment
+const GRANTABLE_ROLES = ['viewer', 'teacher', 'admin'];
+
+// Environment variables listing the user IDs of each role
+const ROLE_ENV_VARS = {
+  owner: 'OWNER_USER_IDS',
+  admin: 'ADMIN_USER_IDS',
+  teacher: 'TEACHER_USER_IDS',
+  viewer: 'VIEWER_USER_IDS'
+};
+
+/**
+ * Parse a comma-separated list of Telegram user IDs
+ * @param {string} value - e.g. "12345,67890"
+ * @returns {Array<string>} User IDs
+ */
+function parseUserIds(value) {
+  return (value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get the rank of a role (higher is more privileged)
+ * @param {string|null} role - Role name
+ * @returns {number} Rank, -1 for no role
+ */
+function getRoleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+module.exports = {
+  ROLES,
+  GRANTABLE_ROLES,
+  ROLE_ENV_VARS,
+  parseUserIds,
+  getRoleRank
+};